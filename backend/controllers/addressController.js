@@ -0,0 +1,291 @@
+/**
+ * Address Controller
+ * Handles the user's saved delivery addresses
+ */
+
+const { supabaseAdmin } = require('../db/supabase');
+const { sanitizeInput } = require('../utils/helpers');
+const { getDeliveryTerms } = require('../services/delivery');
+
+/**
+ * Run the delivery availability check for a location
+ */
+const checkAddressDelivery = async (lat, lng) => {
+    const terms = await getDeliveryTerms(lat, lng);
+
+    return {
+        delivery_available: terms.delivery_available,
+        nearest_outlet_id: terms.outlet_id,
+        distance_km: terms.outlet_id ? parseFloat(terms.distance_km).toFixed(2) : null
+    };
+};
+
+/**
+ * Make an address the user's default, clearing the old default in the same transaction
+ * Returns the updated address
+ */
+const setDefaultAddress = async (userId, addressId) => {
+    const { data: addresses, error } = await supabaseAdmin.rpc('set_default_address', {
+        p_user_id: userId,
+        p_address_id: addressId
+    });
+
+    if (error) throw error;
+
+    return addresses[0];
+};
+
+/**
+ * Get a saved address that belongs to the user, or null
+ */
+const getUserAddress = async (userId, addressId) => {
+    const { data: address, error } = await supabaseAdmin
+        .from('user_addresses')
+        .select('*')
+        .eq('id', addressId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return address;
+};
+
+/**
+ * Get the user's saved addresses, default first
+ */
+const getAddresses = async (req, res) => {
+    try {
+        const { data: addresses, error } = await supabaseAdmin
+            .from('user_addresses')
+            .select('*')
+            .eq('user_id', req.user.id)
+            .order('is_default', { ascending: false })
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Get addresses error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch addresses'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: addresses
+        });
+
+    } catch (error) {
+        console.error('Get addresses error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Save a new address
+ */
+const createAddress = async (req, res) => {
+    try {
+        const { label, street, city, district, lat, lng, is_default } = req.body;
+        const userId = req.user.id;
+
+        const { count, error: countError } = await supabaseAdmin
+            .from('user_addresses')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', userId);
+
+        if (countError) {
+            console.error('Count addresses error:', countError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to save address'
+            });
+        }
+
+        const delivery = await checkAddressDelivery(lat, lng);
+
+        // Saved as non-default first; the old default is only replaced once the insert succeeds
+        const { data: inserted, error } = await supabaseAdmin
+            .from('user_addresses')
+            .insert([{
+                user_id: userId,
+                label: sanitizeInput(label),
+                street: sanitizeInput(street),
+                city: sanitizeInput(city),
+                district: sanitizeInput(district),
+                lat,
+                lng,
+                is_default: false,
+                ...delivery
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Create address error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to save address'
+            });
+        }
+
+        // The first address becomes the default
+        const address = is_default || count === 0
+            ? await setDefaultAddress(userId, inserted.id)
+            : inserted;
+
+        res.status(201).json({
+            success: true,
+            message: delivery.delivery_available
+                ? 'Address saved successfully'
+                : 'Address saved, but it is outside our delivery area',
+            data: address
+        });
+
+    } catch (error) {
+        console.error('Create address error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Update a saved address
+ */
+const updateAddress = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        const existing = await getUserAddress(userId, id);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Address not found'
+            });
+        }
+
+        const updateData = {};
+        ['label', 'street', 'city', 'district'].forEach(field => {
+            if (req.body[field] !== undefined) updateData[field] = sanitizeInput(req.body[field]);
+        });
+
+        // Moving the pin means re-checking delivery
+        const lat = req.body.lat !== undefined ? req.body.lat : existing.lat;
+        const lng = req.body.lng !== undefined ? req.body.lng : existing.lng;
+        if (req.body.lat !== undefined || req.body.lng !== undefined) {
+            Object.assign(updateData, { lat, lng }, await checkAddressDelivery(lat, lng));
+        }
+
+        updateData.updated_at = new Date().toISOString();
+
+        const { data: updated, error } = await supabaseAdmin
+            .from('user_addresses')
+            .update(updateData)
+            .eq('id', id)
+            .eq('user_id', userId)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Update address error:', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Failed to update address'
+            });
+        }
+
+        const address = req.body.is_default === true && !existing.is_default
+            ? await setDefaultAddress(userId, id)
+            : updated;
+
+        res.json({
+            success: true,
+            message: 'Address updated successfully',
+            data: address
+        });
+
+    } catch (error) {
+        console.error('Update address error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Delete a saved address
+ */
+const deleteAddress = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        const existing = await getUserAddress(userId, id);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Address not found'
+            });
+        }
+
+        const { error } = await supabaseAdmin
+            .from('user_addresses')
+            .delete()
+            .eq('id', id)
+            .eq('user_id', userId);
+
+        if (error) {
+            console.error('Delete address error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to delete address'
+            });
+        }
+
+        // Promote the newest remaining address when the default goes
+        if (existing.is_default) {
+            const { data: next, error: nextError } = await supabaseAdmin
+                .from('user_addresses')
+                .select('id')
+                .eq('user_id', userId)
+                .order('created_at', { ascending: false })
+                .limit(1)
+                .maybeSingle();
+
+            if (nextError) throw nextError;
+
+            if (next) {
+                await setDefaultAddress(userId, next.id);
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'Address deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete address error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+module.exports = {
+    getUserAddress,
+    getAddresses,
+    createAddress,
+    updateAddress,
+    deleteAddress
+};
@@ -0,0 +1,136 @@
+/**
+ * Admin Controller
+ * Handles user role management for administrators
+ */
+
+const { supabaseAdmin } = require('../db/supabase');
+const { sanitizeInput } = require('../utils/helpers');
+const { invalidateProfile } = require('../services/authCache');
+
+/**
+ * Change a user's role (and outlets for outlet staff); the change is audited
+ */
+const updateUserRole = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { role, outlet_ids = [], reason } = req.body;
+
+        // Stop admins from locking themselves out
+        if (id === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot change your own role'
+            });
+        }
+
+        if (outlet_ids.length > 0) {
+            const { data: outlets, error: outletError } = await supabaseAdmin
+                .from('outlets')
+                .select('id')
+                .in('id', outlet_ids);
+
+            if (outletError) {
+                console.error('Outlet lookup error:', outletError);
+                return res.status(500).json({
+                    success: false,
+                    message: 'Failed to update user role'
+                });
+            }
+
+            if (outlets.length !== outlet_ids.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'One or more outlets do not exist'
+                });
+            }
+        }
+
+        const { data: users, error } = await supabaseAdmin.rpc('set_user_role', {
+            p_user_id: id,
+            p_role: role,
+            p_outlet_ids: outlet_ids,
+            p_changed_by: req.user.id,
+            p_reason: reason ? sanitizeInput(reason) : null
+        });
+
+        if (error) {
+            if (error.message && error.message.includes('USER_NOT_FOUND')) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            console.error('Update user role error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update user role'
+            });
+        }
+
+        const userData = users[0];
+        invalidateProfile(userData.auth_user_id);
+
+        res.json({
+            success: true,
+            message: 'User role updated successfully',
+            data: {
+                id: userData.id,
+                name: userData.name,
+                email: userData.email,
+                role: userData.role,
+                outlet_ids: role === 'outlet_staff' ? outlet_ids : []
+            }
+        });
+
+    } catch (error) {
+        console.error('Update user role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Get the role change history for a user
+ */
+const getUserRoleHistory = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: history, error } = await supabaseAdmin
+            .from('role_audit_log')
+            .select(`
+                *,
+                changed_by_user:users!role_audit_log_changed_by_fkey (id, name, email)
+            `)
+            .eq('user_id', id)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Get role history error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch role history'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: history
+        });
+
+    } catch (error) {
+        console.error('Get role history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+module.exports = {
+    updateUserRole,
+    getUserRoleHistory
+};
@@ -3,8 +3,28 @@
  * Handles user registration, login, and profile management
  */
 
-const { supabase, supabaseAdmin } = require('../db/supabase');
-const { sanitizeInput } = require('../utils/helpers');
+const jwt = require('jsonwebtoken');
+const { supabaseAdmin, createAuthClient } = require('../db/supabase');
+const { sanitizeInput, generateVerificationCode, hashVerificationCode } = require('../utils/helpers');
+const { sendSms } = require('../services/sms');
+const { invalidateProfile, revokeSession, revokeUserSessions } = require('../services/authCache');
+const { exportUserData } = require('../services/accountData');
+
+// Days a deleted account can still be restored
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+// Codes for adding a phone to an existing account
+const PHONE_CODE_TTL_MINUTES = 10;
+const PHONE_CODE_MAX_ATTEMPTS = 5;
+
+/**
+ * Shape a Supabase session into the auth payload returned to clients
+ */
+const formatSession = (session) => ({
+    access_token: session.access_token,
+    refresh_token: session.refresh_token,
+    expires_at: session.expires_at
+});
 
 /**
  * Register a new user
@@ -29,7 +49,7 @@ const signup = async (req, res) => {
         }
 
         // Create user profile in our users table
-        const { data: userData, error: userError } = await supabase
+        const { data: userData, error: userError } = await supabaseAdmin
             .from('users')
             .insert([{
                 auth_user_id: authData.user.id,
@@ -88,13 +108,14 @@ const signup = async (req, res) => {
  */
 const login = async (req, res) => {
     try {
-        const { email, password } = req.body;
+        const { email, phone, password } = req.body;
 
-        // Sign in with Supabase Auth
-        const { data: authData, error: authError } = await supabase.auth.signInWithPassword({
-            email: sanitizeInput(email),
-            password
-        });
+        // Sign in on a client of its own, so the session isn't shared with other requests
+        const { data: authData, error: authError } = await createAuthClient().auth.signInWithPassword(
+            email
+                ? { email: sanitizeInput(email), password }
+                : { phone, password }
+        );
 
         if (authError) {
             return res.status(401).json({
@@ -104,7 +125,7 @@ const login = async (req, res) => {
         }
 
         // Get user profile
-        const { data: userData, error: userError } = await supabase
+        const { data: userData, error: userError } = await supabaseAdmin
             .from('users')
             .select('*')
             .eq('auth_user_id', authData.user.id)
@@ -126,13 +147,10 @@ const login = async (req, res) => {
                     id: userData.id,
                     name: userData.name,
                     email: userData.email,
-                    phone: userData.phone
+                    phone: userData.phone,
+                    deletion_scheduled_for: userData.deletion_scheduled_for
                 },
-                auth: {
-                    access_token: authData.session.access_token,
-                    refresh_token: authData.session.refresh_token,
-                    expires_at: authData.session.expires_at
-                }
+                auth: formatSession(authData.session)
             }
         });
 
@@ -145,12 +163,161 @@ const login = async (req, res) => {
     }
 };
 
+/**
+ * Mint a session for the auth user that owns an email, via a one-time magic link token
+ */
+const createSessionForEmail = async (email) => {
+    const { data: linkData, error: linkError } = await supabaseAdmin.auth.admin.generateLink({
+        type: 'magiclink',
+        email
+    });
+
+    if (linkError) throw linkError;
+
+    const { data: authData, error: verifyError } = await createAuthClient().auth.verifyOtp({
+        token_hash: linkData.properties.hashed_token,
+        type: 'magiclink'
+    });
+
+    if (verifyError) throw verifyError;
+
+    return authData.session;
+};
+
+/**
+ * Sign in with Google or Facebook
+ * Creates the profile on first login and links to an existing account with the same email
+ */
+const socialSignIn = async (req, res) => {
+    try {
+        const { provider, id_token, nonce, code, code_verifier, name } = req.body;
+
+        const { data: authData, error: authError } = id_token
+            ? await createAuthClient().auth.signInWithIdToken({ provider, token: id_token, nonce })
+            : await createAuthClient({ codeVerifier: code_verifier }).auth.exchangeCodeForSession(code);
+
+        if (authError || !authData.session) {
+            return res.status(401).json({
+                success: false,
+                message: authError?.message || `${provider} sign-in failed`
+            });
+        }
+
+        const authUser = authData.user;
+        let session = authData.session;
+        let isNewUser = false;
+
+        // Existing profile for this auth user (including ones Supabase linked by email itself)
+        let { data: userData, error: fetchError } = await supabaseAdmin
+            .from('users')
+            .select('*')
+            .eq('auth_user_id', authUser.id)
+            .maybeSingle();
+
+        if (fetchError) throw fetchError;
+
+        if (!userData) {
+            // Previously linked social identity
+            const { data: identity, error: identityError } = await supabaseAdmin
+                .from('user_identities')
+                .select('users (*)')
+                .eq('auth_user_id', authUser.id)
+                .maybeSingle();
+
+            if (identityError) throw identityError;
+            userData = identity?.users || null;
+        }
+
+        if (!userData && authUser.email) {
+            const { data: emailOwner, error: emailError } = await supabaseAdmin
+                .from('users')
+                .select('*')
+                .eq('email', authUser.email)
+                .maybeSingle();
+
+            if (emailError) throw emailError;
+
+            if (emailOwner) {
+                // Only trust the match when the provider vouches for the email
+                if (!authUser.email_confirmed_at) {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'An account with this email already exists. Log in with your password instead'
+                    });
+                }
+
+                const { error: linkError } = await supabaseAdmin
+                    .from('user_identities')
+                    .insert([{
+                        user_id: emailOwner.id,
+                        auth_user_id: authUser.id,
+                        provider,
+                        email: authUser.email
+                    }]);
+
+                if (linkError) throw linkError;
+                userData = emailOwner;
+            }
+        }
+
+        if (userData && userData.auth_user_id !== authUser.id) {
+            // Linked identity: hand out a session for the account's own auth user
+            session = await createSessionForEmail(userData.email);
+        }
+
+        if (!userData) {
+            const { data: createdUser, error: createError } = await supabaseAdmin
+                .from('users')
+                .insert([{
+                    auth_user_id: authUser.id,
+                    name: sanitizeInput(name || authUser.user_metadata?.full_name || authUser.user_metadata?.name || 'Fruity Gulp Customer'),
+                    email: authUser.email || null,
+                    phone: null
+                }])
+                .select()
+                .single();
+
+            if (createError) {
+                console.error('User profile creation error:', createError);
+                return res.status(500).json({
+                    success: false,
+                    message: 'Failed to create user profile'
+                });
+            }
+
+            userData = createdUser;
+            isNewUser = true;
+        }
+
+        res.status(isNewUser ? 201 : 200).json({
+            success: true,
+            message: isNewUser ? 'Account created successfully' : 'Login successful',
+            data: {
+                user: {
+                    id: userData.id,
+                    name: userData.name,
+                    email: userData.email,
+                    phone: userData.phone
+                },
+                auth: formatSession(session)
+            }
+        });
+
+    } catch (error) {
+        console.error('Social sign-in error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error during social sign-in'
+        });
+    }
+};
+
 /**
  * Get user profile
  */
 const getProfile = async (req, res) => {
     try {
-        const { data: userData, error } = await supabase
+        const { data: userData, error } = await supabaseAdmin
             .from('users')
             .select('*')
             .eq('id', req.user.id)
@@ -170,6 +337,10 @@ const getProfile = async (req, res) => {
                 name: userData.name,
                 email: userData.email,
                 phone: userData.phone,
+                phone_verified: userData.phone_verified,
+                role: userData.role,
+                outlet_ids: req.user.outlet_ids,
+                deletion_scheduled_for: userData.deletion_scheduled_for,
                 created_at: userData.created_at
             }
         });
@@ -192,10 +363,14 @@ const updateProfile = async (req, res) => {
         
         const updateData = {};
         if (name) updateData.name = sanitizeInput(name);
-        if (phone) updateData.phone = sanitizeInput(phone);
+        if (phone && phone !== req.user.phone) {
+            // A changed number has to be verified again
+            updateData.phone = sanitizeInput(phone);
+            updateData.phone_verified = false;
+        }
         updateData.updated_at = new Date().toISOString();
 
-        const { data: userData, error } = await supabase
+        const { data: userData, error } = await supabaseAdmin
             .from('users')
             .update(updateData)
             .eq('id', req.user.id)
@@ -209,6 +384,8 @@ const updateProfile = async (req, res) => {
             });
         }
 
+        invalidateProfile(req.user.auth_user_id);
+
         res.json({
             success: true,
             message: 'Profile updated successfully',
@@ -230,16 +407,172 @@ const updateProfile = async (req, res) => {
 };
 
 /**
- * Logout user
+ * Download everything we hold about the user as a JSON archive
+ */
+const exportData = async (req, res) => {
+    try {
+        const archive = await exportUserData(req.user.id);
+
+        res.setHeader('Content-Disposition', `attachment; filename="fruity-gulp-data-${req.user.id}.json"`);
+        res.json({
+            success: true,
+            data: archive
+        });
+
+    } catch (error) {
+        console.error('Export data error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export data'
+        });
+    }
+};
+
+/**
+ * Schedule the account for deletion after the grace period
+ */
+const requestAccountDeletion = async (req, res) => {
+    try {
+        const now = new Date();
+        const scheduledFor = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+        const { error } = await supabaseAdmin
+            .from('users')
+            .update({
+                deletion_requested_at: now.toISOString(),
+                deletion_scheduled_for: scheduledFor.toISOString(),
+                updated_at: now.toISOString()
+            })
+            .eq('id', req.user.id);
+
+        if (error) {
+            console.error('Request account deletion error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to schedule account deletion'
+            });
+        }
+
+        invalidateProfile(req.user.auth_user_id);
+
+        res.json({
+            success: true,
+            message: `Your account will be deleted in ${ACCOUNT_DELETION_GRACE_DAYS} days. Restore it before then with POST /api/auth/profile/restore to cancel`,
+            data: {
+                deletion_scheduled_for: scheduledFor.toISOString()
+            }
+        });
+
+    } catch (error) {
+        console.error('Request account deletion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to schedule account deletion'
+        });
+    }
+};
+
+/**
+ * Cancel a scheduled account deletion during the grace period
+ */
+const cancelAccountDeletion = async (req, res) => {
+    try {
+        const { data: userData, error } = await supabaseAdmin
+            .from('users')
+            .update({
+                deletion_requested_at: null,
+                deletion_scheduled_for: null,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', req.user.id)
+            .gt('deletion_scheduled_for', new Date().toISOString())
+            .select('id')
+            .maybeSingle();
+
+        if (error) {
+            console.error('Cancel account deletion error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to cancel account deletion'
+            });
+        }
+
+        if (!userData) {
+            return res.status(400).json({
+                success: false,
+                message: 'No pending account deletion to cancel'
+            });
+        }
+
+        invalidateProfile(req.user.auth_user_id);
+
+        res.json({
+            success: true,
+            message: 'Account deletion cancelled'
+        });
+
+    } catch (error) {
+        console.error('Cancel account deletion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel account deletion'
+        });
+    }
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ */
+const refreshToken = async (req, res) => {
+    try {
+        const { refresh_token } = req.body;
+
+        const { data: authData, error: authError } = await createAuthClient().auth.refreshSession({
+            refresh_token
+        });
+
+        if (authError || !authData.session) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Token refreshed successfully',
+            data: {
+                auth: formatSession(authData.session)
+            }
+        });
+
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to refresh token'
+        });
+    }
+};
+
+/**
+ * Logout user - revokes only the session the caller's token belongs to
  */
 const logout = async (req, res) => {
     try {
-        const { error } = await supabase.auth.signOut();
-        
+        const { error } = await supabaseAdmin.auth.admin.signOut(req.accessToken, 'local');
+
         if (error) {
             console.error('Logout error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to logout'
+            });
         }
 
+        // Locally verified tokens stay valid until expiry unless revoked here too
+        revokeSession(jwt.decode(req.accessToken));
+
         res.json({
             success: true,
             message: 'Logged out successfully'
@@ -254,10 +587,538 @@ const logout = async (req, res) => {
     }
 };
 
+/**
+ * Logout user from all devices - revokes every session for the account
+ */
+const logoutAll = async (req, res) => {
+    try {
+        const { error } = await supabaseAdmin.auth.admin.signOut(req.accessToken, 'global');
+
+        if (error) {
+            console.error('Logout all error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to logout from all devices'
+            });
+        }
+
+        revokeUserSessions(req.user.auth_user_id);
+
+        res.json({
+            success: true,
+            message: 'Logged out from all devices successfully'
+        });
+
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to logout from all devices'
+        });
+    }
+};
+
+/**
+ * Request a password reset code
+ * Always returns the same response so accounts can't be enumerated
+ */
+const requestPasswordReset = async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        const { error } = await createAuthClient().auth.resetPasswordForEmail(sanitizeInput(email), {
+            redirectTo: process.env.PASSWORD_RESET_REDIRECT_URL
+        });
+
+        if (error) {
+            console.error('Password reset request error:', error);
+        }
+
+        res.json({
+            success: true,
+            message: 'If an account exists for this email, a password reset code has been sent'
+        });
+
+    } catch (error) {
+        console.error('Password reset request error:', error);
+        res.json({
+            success: true,
+            message: 'If an account exists for this email, a password reset code has been sent'
+        });
+    }
+};
+
+/**
+ * Confirm a password reset with the emailed one-time code
+ * Code expiry is enforced by Supabase Auth (email OTP expiration setting)
+ */
+const confirmPasswordReset = async (req, res) => {
+    try {
+        const { email, token, new_password } = req.body;
+
+        const { data: authData, error: verifyError } = await createAuthClient().auth.verifyOtp({
+            email: sanitizeInput(email),
+            token,
+            type: 'recovery'
+        });
+
+        if (verifyError || !authData.user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired reset code'
+            });
+        }
+
+        const { error: updateError } = await supabaseAdmin.auth.admin.updateUserById(authData.user.id, {
+            password: new_password
+        });
+
+        if (updateError) {
+            console.error('Password reset update error:', updateError);
+            return res.status(400).json({
+                success: false,
+                message: updateError.message || 'Failed to reset password'
+            });
+        }
+
+        // Sign out every device, including the recovery session itself
+        const { error: signOutError } = await supabaseAdmin.auth.admin.signOut(authData.session.access_token, 'global');
+
+        if (signOutError) {
+            console.error('Password reset sign out error:', signOutError);
+        }
+        revokeUserSessions(authData.user.id);
+
+        res.json({
+            success: true,
+            message: 'Password reset successfully. Please log in with your new password'
+        });
+
+    } catch (error) {
+        console.error('Confirm password reset error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reset password'
+        });
+    }
+};
+
+/**
+ * Change password for the logged-in user
+ */
+const changePassword = async (req, res) => {
+    try {
+        const { current_password, new_password } = req.body;
+
+        // Re-check the current password before accepting a new one
+        const { error: verifyError } = await createAuthClient().auth.signInWithPassword({
+            email: req.user.email,
+            password: current_password
+        });
+
+        if (verifyError) {
+            return res.status(401).json({
+                success: false,
+                message: 'Current password is incorrect'
+            });
+        }
+
+        const { error: updateError } = await supabaseAdmin.auth.admin.updateUserById(req.user.auth_user_id, {
+            password: new_password
+        });
+
+        if (updateError) {
+            console.error('Change password error:', updateError);
+            return res.status(400).json({
+                success: false,
+                message: updateError.message || 'Failed to change password'
+            });
+        }
+
+        // Keep this device signed in, revoke the rest
+        const { error: signOutError } = await supabaseAdmin.auth.admin.signOut(req.accessToken, 'others');
+
+        if (signOutError) {
+            console.error('Change password sign out error:', signOutError);
+        }
+        revokeUserSessions(req.user.auth_user_id, jwt.decode(req.accessToken)?.session_id);
+
+        res.json({
+            success: true,
+            message: 'Password changed successfully'
+        });
+
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to change password'
+        });
+    }
+};
+
+/**
+ * Send a login/signup code to a phone number
+ * New numbers get an account; the optional name is kept for the profile
+ */
+const requestPhoneOtp = async (req, res) => {
+    try {
+        const { phone, name } = req.body;
+
+        const { error } = await createAuthClient().auth.signInWithOtp({
+            phone,
+            options: {
+                shouldCreateUser: true,
+                ...(name && { data: { name: sanitizeInput(name) } })
+            }
+        });
+
+        if (error) {
+            console.error('Phone OTP request error:', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Failed to send verification code'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Verification code sent'
+        });
+
+    } catch (error) {
+        console.error('Phone OTP request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send verification code'
+        });
+    }
+};
+
+/**
+ * Verify a phone code and log in, creating the user profile on first login
+ */
+const verifyPhoneOtp = async (req, res) => {
+    try {
+        const { phone, token, name } = req.body;
+
+        const { data: authData, error: authError } = await createAuthClient().auth.verifyOtp({
+            phone,
+            token,
+            type: 'sms'
+        });
+
+        if (authError || !authData.session) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired verification code'
+            });
+        }
+
+        const { data: existingUser, error: fetchError } = await supabaseAdmin
+            .from('users')
+            .select('*')
+            .eq('auth_user_id', authData.user.id)
+            .maybeSingle();
+
+        if (fetchError) {
+            console.error('User profile fetch error:', fetchError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch user profile'
+            });
+        }
+
+        let userData = existingUser;
+        const isNewUser = !existingUser;
+
+        if (isNewUser) {
+            const { data: createdUser, error: createError } = await supabaseAdmin
+                .from('users')
+                .insert([{
+                    auth_user_id: authData.user.id,
+                    name: sanitizeInput(name || authData.user.user_metadata?.name || 'Fruity Gulp Customer'),
+                    email: authData.user.email || null,
+                    phone,
+                    phone_verified: true
+                }])
+                .select()
+                .single();
+
+            if (createError) {
+                console.error('User profile creation error:', createError);
+                return res.status(500).json({
+                    success: false,
+                    message: 'Failed to create user profile'
+                });
+            }
+
+            userData = createdUser;
+        } else if (existingUser.phone !== phone || !existingUser.phone_verified) {
+            const { data: updatedUser, error: updateError } = await supabaseAdmin
+                .from('users')
+                .update({
+                    phone,
+                    phone_verified: true,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', existingUser.id)
+                .select()
+                .single();
+
+            if (updateError) {
+                console.error('User phone update error:', updateError);
+            } else {
+                userData = updatedUser;
+                invalidateProfile(authData.user.id);
+            }
+        }
+
+        res.status(isNewUser ? 201 : 200).json({
+            success: true,
+            message: isNewUser ? 'Account created successfully' : 'Login successful',
+            data: {
+                user: {
+                    id: userData.id,
+                    name: userData.name,
+                    email: userData.email,
+                    phone: userData.phone
+                },
+                auth: formatSession(authData.session)
+            }
+        });
+
+    } catch (error) {
+        console.error('Verify phone OTP error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error during phone verification'
+        });
+    }
+};
+
+/**
+ * Supabase Auth "Send SMS" hook - delivers Supabase-generated OTPs through our SMS sender
+ * Responds in the hook format Supabase expects rather than the API's usual shape
+ */
+const sendSmsHook = async (req, res) => {
+    try {
+        const { user, sms } = req.body;
+
+        if (!user?.phone || !sms?.otp) {
+            return res.status(400).json({
+                error: { http_code: 400, message: 'Missing phone or OTP' }
+            });
+        }
+
+        // Supabase stores numbers without the leading +
+        const to = user.phone.startsWith('+') ? user.phone : `+${user.phone}`;
+        await sendSms(to, `Your Fruity Gulp verification code is ${sms.otp}`);
+
+        res.json({});
+
+    } catch (error) {
+        console.error('Send SMS hook error:', error);
+        res.status(500).json({
+            error: { http_code: 500, message: 'Failed to send SMS' }
+        });
+    }
+};
+
+/**
+ * Send a verification code to add a phone number to the logged-in account
+ */
+const requestPhoneLink = async (req, res) => {
+    try {
+        const { phone } = req.body;
+
+        const { data: phoneOwner, error: ownerError } = await supabaseAdmin
+            .from('users')
+            .select('id')
+            .eq('phone', phone)
+            .eq('phone_verified', true)
+            .neq('id', req.user.id)
+            .maybeSingle();
+
+        if (ownerError) {
+            console.error('Phone owner lookup error:', ownerError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to send verification code'
+            });
+        }
+
+        if (phoneOwner) {
+            return res.status(409).json({
+                success: false,
+                message: 'This phone number is already linked to another account'
+            });
+        }
+
+        const code = generateVerificationCode();
+        const expiresAt = new Date(Date.now() + PHONE_CODE_TTL_MINUTES * 60 * 1000);
+
+        const { error: insertError } = await supabaseAdmin
+            .from('phone_verifications')
+            .insert([{
+                user_id: req.user.id,
+                phone,
+                code_hash: hashVerificationCode(code),
+                expires_at: expiresAt.toISOString()
+            }]);
+
+        if (insertError) {
+            console.error('Phone verification insert error:', insertError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to send verification code'
+            });
+        }
+
+        await sendSms(phone, `Your Fruity Gulp verification code is ${code}. It expires in ${PHONE_CODE_TTL_MINUTES} minutes.`);
+
+        res.json({
+            success: true,
+            message: 'Verification code sent',
+            data: {
+                expires_at: expiresAt.toISOString()
+            }
+        });
+
+    } catch (error) {
+        console.error('Request phone link error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send verification code'
+        });
+    }
+};
+
+/**
+ * Confirm the code and attach the verified phone to the logged-in account
+ */
+const confirmPhoneLink = async (req, res) => {
+    try {
+        const { phone, code } = req.body;
+
+        const { data: verification, error: fetchError } = await supabaseAdmin
+            .from('phone_verifications')
+            .select('*')
+            .eq('user_id', req.user.id)
+            .eq('phone', phone)
+            .is('verified_at', null)
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (fetchError) {
+            console.error('Phone verification fetch error:', fetchError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to verify phone number'
+            });
+        }
+
+        if (!verification ||
+            new Date(verification.expires_at) < new Date() ||
+            verification.attempts >= PHONE_CODE_MAX_ATTEMPTS) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired verification code'
+            });
+        }
+
+        if (verification.code_hash !== hashVerificationCode(code)) {
+            await supabaseAdmin
+                .from('phone_verifications')
+                .update({ attempts: verification.attempts + 1 })
+                .eq('id', verification.id);
+
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired verification code'
+            });
+        }
+
+        // Confirm the phone on the auth user too so phone OTP login reaches this account
+        const { error: authError } = await supabaseAdmin.auth.admin.updateUserById(req.user.auth_user_id, {
+            phone,
+            phone_confirm: true
+        });
+
+        if (authError) {
+            console.error('Auth phone update error:', authError);
+            return res.status(409).json({
+                success: false,
+                message: 'This phone number is already linked to another account'
+            });
+        }
+
+        await supabaseAdmin
+            .from('phone_verifications')
+            .update({ verified_at: new Date().toISOString() })
+            .eq('id', verification.id);
+
+        const { data: userData, error: updateError } = await supabaseAdmin
+            .from('users')
+            .update({
+                phone,
+                phone_verified: true,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', req.user.id)
+            .select()
+            .single();
+
+        if (updateError) {
+            console.error('User phone update error:', updateError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update profile'
+            });
+        }
+
+        invalidateProfile(req.user.auth_user_id);
+
+        res.json({
+            success: true,
+            message: 'Phone number verified successfully',
+            data: {
+                id: userData.id,
+                name: userData.name,
+                email: userData.email,
+                phone: userData.phone,
+                phone_verified: userData.phone_verified
+            }
+        });
+
+    } catch (error) {
+        console.error('Confirm phone link error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to verify phone number'
+        });
+    }
+};
+
 module.exports = {
     signup,
     login,
+    socialSignIn,
     getProfile,
     updateProfile,
-    logout
+    exportData,
+    requestAccountDeletion,
+    cancelAccountDeletion,
+    refreshToken,
+    logout,
+    logoutAll,
+    requestPasswordReset,
+    confirmPasswordReset,
+    changePassword,
+    requestPhoneOtp,
+    verifyPhoneOtp,
+    sendSmsHook,
+    requestPhoneLink,
+    confirmPhoneLink
 };
\ No newline at end of file
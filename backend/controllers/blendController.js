@@ -0,0 +1,523 @@
+/**
+ * Blend Controller
+ * Handles the ingredient catalog and customers' build-your-own blends
+ */
+
+const { supabase, supabaseAdmin } = require('../db/supabase');
+const { sanitizeInput } = require('../utils/helpers');
+const { findAllergyConflicts } = require('../services/healthProfile');
+const { BLEND_RULES, generateShareCode, evaluateBlend } = require('../services/blends');
+
+// Blend columns plus the ingredients it's made of
+const BLEND_SELECT = 'id, name, share_code, price_per_litre, nutritional_info, allergens, created_at, updated_at, blend_ingredients (percentage, ingredients (id, slug, name, kind, image_url))';
+
+// Attempts at picking an unused share code
+const SHARE_CODE_ATTEMPTS = 3;
+
+/**
+ * Send the response for a mix that breaks the blend rules
+ */
+const sendBlendErrors = (res, errors) => res.status(400).json({
+    success: false,
+    message: 'Blend is not allowed',
+    errors: errors.map(message => ({ field: 'ingredients', message }))
+});
+
+/**
+ * Flag which of the user's allergies a blend contains
+ */
+const withAllergyConflicts = (blend, ingredientNames, req) => {
+    const healthProfile = req.user ? req.user.health_profile : null;
+    const allergyConflicts = healthProfile
+        ? findAllergyConflicts({ allergens: blend.allergens, ingredients: ingredientNames }, healthProfile.allergies)
+        : [];
+
+    return {
+        ...blend,
+        allergy_conflicts: allergyConflicts,
+        has_allergy_conflict: allergyConflicts.length > 0
+    };
+};
+
+/**
+ * Shape a stored blend for the response, largest ingredient first
+ */
+const presentBlend = (req, { blend_ingredients: parts, ...blend }) => {
+    const ingredients = parts
+        .slice()
+        .sort((a, b) => b.percentage - a.percentage)
+        .map(({ percentage, ingredients: ingredient }) => ({
+            ingredient_id: ingredient.id,
+            slug: ingredient.slug,
+            name: ingredient.name,
+            kind: ingredient.kind,
+            image_url: ingredient.image_url,
+            percentage
+        }));
+
+    return withAllergyConflicts(
+        { ...blend, ingredients },
+        ingredients.map(ingredient => ingredient.name.toLowerCase()),
+        req
+    );
+};
+
+/**
+ * Fetch a blend by ID for the response
+ */
+const fetchBlend = async (id) => {
+    const { data: blend, error } = await supabaseAdmin
+        .from('blends')
+        .select(BLEND_SELECT)
+        .eq('id', id)
+        .single();
+
+    if (error) throw error;
+
+    return blend;
+};
+
+/**
+ * Replace a blend's ingredient mix
+ */
+const saveBlendIngredients = async (blendId, mix) => {
+    const { error: deleteError } = await supabaseAdmin
+        .from('blend_ingredients')
+        .delete()
+        .eq('blend_id', blendId);
+
+    if (deleteError) throw deleteError;
+
+    const { error } = await supabaseAdmin
+        .from('blend_ingredients')
+        .insert(mix.map(part => ({
+            blend_id: blendId,
+            ingredient_id: part.ingredient_id,
+            percentage: part.percentage
+        })));
+
+    if (error) throw error;
+};
+
+/**
+ * Save a new blend for the user with a fresh share code
+ * Returns the new blend's ID
+ */
+const insertBlend = async (userId, name, mix, computed) => {
+    for (let attempt = 1; attempt <= SHARE_CODE_ATTEMPTS; attempt++) {
+        const { data: blend, error } = await supabaseAdmin
+            .from('blends')
+            .insert([{
+                user_id: userId,
+                name: sanitizeInput(name),
+                share_code: generateShareCode(),
+                price_per_litre: computed.price_per_litre,
+                nutritional_info: computed.nutritional_info,
+                allergens: computed.allergens
+            }])
+            .select('id')
+            .single();
+
+        // Share code already taken - try another
+        if (error && error.code === '23505' && attempt < SHARE_CODE_ATTEMPTS) continue;
+        if (error) throw error;
+
+        try {
+            await saveBlendIngredients(blend.id, mix);
+        } catch (ingredientsError) {
+            await supabaseAdmin.from('blends').delete().eq('id', blend.id);
+            throw ingredientsError;
+        }
+
+        return blend.id;
+    }
+};
+
+/**
+ * Get the ingredient catalog, the pairs that can't be blended and the blend rules
+ */
+const getIngredients = async (req, res) => {
+    try {
+        const [{ data: ingredients, error }, { data: incompatibilities, error: pairsError }] = await Promise.all([
+            supabase
+                .from('ingredients')
+                .select('id, slug, name, kind, price_per_litre, nutrition_per_100ml, allergens, max_percentage, image_url')
+                .eq('is_available', true)
+                .order('sort_order')
+                .order('name'),
+            supabase
+                .from('ingredient_incompatibilities')
+                .select('ingredient_a, ingredient_b, reason')
+        ]);
+
+        if (error || pairsError) {
+            console.error('Get ingredients error:', error || pairsError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch ingredients'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ingredients,
+                incompatibilities,
+                rules: BLEND_RULES
+            }
+        });
+
+    } catch (error) {
+        console.error('Get ingredients error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Check a mix and work out its price, nutrition and allergens without saving it
+ */
+const previewBlend = async (req, res) => {
+    try {
+        const { errors, blend } = await evaluateBlend(req.body.ingredients);
+
+        if (errors.length > 0) {
+            return sendBlendErrors(res, errors);
+        }
+
+        const { ingredients: ingredientNames, composition, ...computed } = blend;
+
+        res.json({
+            success: true,
+            data: withAllergyConflicts({ ...computed, ingredients: composition }, ingredientNames, req)
+        });
+
+    } catch (error) {
+        console.error('Preview blend error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Get the user's saved blends, newest first
+ */
+const getMyBlends = async (req, res) => {
+    try {
+        const { data: blends, error } = await supabaseAdmin
+            .from('blends')
+            .select(BLEND_SELECT)
+            .eq('user_id', req.user.id)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Get blends error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch blends'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: blends.map(blend => presentBlend(req, blend))
+        });
+
+    } catch (error) {
+        console.error('Get blends error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Get one of the user's saved blends
+ */
+const getBlendById = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: blend, error } = await supabaseAdmin
+            .from('blends')
+            .select(BLEND_SELECT)
+            .eq('id', id)
+            .eq('user_id', req.user.id)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Get blend error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch blend'
+            });
+        }
+
+        if (!blend) {
+            return res.status(404).json({
+                success: false,
+                message: 'Blend not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: presentBlend(req, blend)
+        });
+
+    } catch (error) {
+        console.error('Get blend error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Save a named blend
+ */
+const createBlend = async (req, res) => {
+    try {
+        const { name, ingredients: mix } = req.body;
+
+        const { errors, blend: computed } = await evaluateBlend(mix);
+
+        if (errors.length > 0) {
+            return sendBlendErrors(res, errors);
+        }
+
+        const blendId = await insertBlend(req.user.id, name, mix, computed);
+        const blend = await fetchBlend(blendId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Blend saved successfully',
+            data: presentBlend(req, blend)
+        });
+
+    } catch (error) {
+        console.error('Create blend error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Rename a saved blend or change its mix
+ */
+const updateBlend = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, ingredients: mix } = req.body;
+
+        const { data: existing } = await supabaseAdmin
+            .from('blends')
+            .select('id')
+            .eq('id', id)
+            .eq('user_id', req.user.id)
+            .maybeSingle();
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Blend not found'
+            });
+        }
+
+        const updateData = {};
+        if (name) updateData.name = sanitizeInput(name);
+
+        if (mix) {
+            const { errors, blend: computed } = await evaluateBlend(mix);
+
+            if (errors.length > 0) {
+                return sendBlendErrors(res, errors);
+            }
+
+            updateData.price_per_litre = computed.price_per_litre;
+            updateData.nutritional_info = computed.nutritional_info;
+            updateData.allergens = computed.allergens;
+        }
+
+        const { error } = await supabaseAdmin
+            .from('blends')
+            .update(updateData)
+            .eq('id', id);
+
+        if (error) {
+            console.error('Update blend error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update blend'
+            });
+        }
+
+        if (mix) await saveBlendIngredients(id, mix);
+
+        const blend = await fetchBlend(id);
+
+        res.json({
+            success: true,
+            message: 'Blend updated successfully',
+            data: presentBlend(req, blend)
+        });
+
+    } catch (error) {
+        console.error('Update blend error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Delete a saved blend - past orders keep their copy of the recipe
+ */
+const deleteBlend = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: blend, error } = await supabaseAdmin
+            .from('blends')
+            .delete()
+            .eq('id', id)
+            .eq('user_id', req.user.id)
+            .select('id')
+            .maybeSingle();
+
+        if (error) {
+            console.error('Delete blend error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to delete blend'
+            });
+        }
+
+        if (!blend) {
+            return res.status(404).json({
+                success: false,
+                message: 'Blend not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Blend deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete blend error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Find a blend by its share code
+ */
+const findSharedBlend = async (code) => {
+    const { data: blend, error } = await supabaseAdmin
+        .from('blends')
+        .select(BLEND_SELECT)
+        .eq('share_code', code.toUpperCase())
+        .maybeSingle();
+
+    if (error) throw error;
+
+    return blend;
+};
+
+/**
+ * Get a blend someone shared, by its share code
+ */
+const getSharedBlend = async (req, res) => {
+    try {
+        const blend = await findSharedBlend(req.params.code);
+
+        if (!blend) {
+            return res.status(404).json({
+                success: false,
+                message: 'Blend not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: presentBlend(req, blend)
+        });
+
+    } catch (error) {
+        console.error('Get shared blend error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Save a copy of a shared blend to the user's blends, priced from current ingredients
+ */
+const copySharedBlend = async (req, res) => {
+    try {
+        const shared = await findSharedBlend(req.params.code);
+
+        if (!shared) {
+            return res.status(404).json({
+                success: false,
+                message: 'Blend not found'
+            });
+        }
+
+        const mix = shared.blend_ingredients.map(part => ({
+            ingredient_id: part.ingredients.id,
+            percentage: part.percentage
+        }));
+
+        // Ingredients may have changed since the blend was shared
+        const { errors, blend: computed } = await evaluateBlend(mix);
+
+        if (errors.length > 0) {
+            return sendBlendErrors(res, errors);
+        }
+
+        const blendId = await insertBlend(req.user.id, req.body.name || shared.name, mix, computed);
+        const blend = await fetchBlend(blendId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Blend saved successfully',
+            data: presentBlend(req, blend)
+        });
+
+    } catch (error) {
+        console.error('Copy shared blend error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+module.exports = {
+    getIngredients,
+    previewBlend,
+    getMyBlends,
+    getBlendById,
+    createBlend,
+    updateBlend,
+    deleteBlend,
+    getSharedBlend,
+    copySharedBlend
+};
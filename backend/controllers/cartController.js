@@ -0,0 +1,499 @@
+/**
+ * Cart Controller
+ * Handles the user's server-side cart, its price quote and checkout
+ */
+
+const { supabaseAdmin } = require('../db/supabase');
+const { sanitizeInput } = require('../utils/helpers');
+const { getUserAddress } = require('./addressController');
+const { priceOrderItems, quoteOrder, placeOrder } = require('./orderController');
+
+// Cart columns plus its items and delivery address
+const CART_SELECT = `
+    id, address_id, payment_method, notes, updated_at,
+    cart_items (
+        id, product_id, variant_id, blend_id, quantity, quantity_litres, created_at,
+        products (id, name, image_url, is_available),
+        product_variants (id, size_label, volume_ml, is_available),
+        blends (id, name)
+    ),
+    user_addresses (id, label, street, city, district)
+`;
+
+// Largest quantity of one line, matching order item limits
+const MAX_BOTTLES = 50;
+const MAX_LITRES = 10;
+
+/**
+ * Get the user's cart, creating an empty one on first use
+ */
+const getOrCreateCart = async (userId) => {
+    const { data: cart, error } = await supabaseAdmin
+        .from('carts')
+        .select(CART_SELECT)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (cart) return cart;
+
+    const { error: insertError } = await supabaseAdmin
+        .from('carts')
+        .insert([{ user_id: userId }]);
+
+    // A parallel request may have just created it
+    if (insertError && insertError.code !== '23505') throw insertError;
+
+    return getOrCreateCart(userId);
+};
+
+/**
+ * Shape a cart for the response, oldest item first
+ */
+const presentCart = ({ cart_items: items, user_addresses: address, ...cart }) => ({
+    ...cart,
+    address,
+    items: items
+        .slice()
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+        .map(({ products: product, product_variants: variant, blends: blend, ...item }) => ({
+            ...item,
+            product,
+            variant,
+            blend
+        }))
+});
+
+/**
+ * Turn cart items into createOrder items
+ */
+const toOrderItems = (items) => items.map(item => {
+    if (item.blend_id) return { blend_id: item.blend_id, quantity_litres: parseFloat(item.quantity_litres) };
+
+    return item.variant_id
+        ? { product_id: item.product_id, variant_id: item.variant_id, quantity: item.quantity }
+        : { product_id: item.product_id, quantity_litres: parseFloat(item.quantity_litres) };
+});
+
+/**
+ * Find the cart line for the same product and size, or the same blend
+ */
+const findMatchingItem = (items, item) => items.find(existing =>
+    existing.product_id === (item.product_id || null) &&
+    existing.variant_id === (item.variant_id || null) &&
+    existing.blend_id === (item.blend_id || null)
+);
+
+/**
+ * Add one item to a cart, adding to the quantity of its line for the same product size or blend
+ * Returns { error: { status, message } } when the line would go over the per-line limit
+ */
+const addItemToCart = async (cart, item) => {
+    const existing = findMatchingItem(cart.cart_items, item);
+
+    const quantity = item.quantity
+        ? item.quantity + (existing ? existing.quantity : 0)
+        : null;
+    const quantityLitres = item.quantity_litres
+        ? item.quantity_litres + (existing ? parseFloat(existing.quantity_litres) : 0)
+        : null;
+
+    if (quantity > MAX_BOTTLES || quantityLitres > MAX_LITRES) {
+        return {
+            error: {
+                status: 400,
+                message: `A cart line can have at most ${MAX_BOTTLES} bottles or ${MAX_LITRES} litres`
+            }
+        };
+    }
+
+    const { error } = existing
+        ? await supabaseAdmin
+            .from('cart_items')
+            .update({ quantity, quantity_litres: quantityLitres })
+            .eq('id', existing.id)
+        : await supabaseAdmin
+            .from('cart_items')
+            .insert([{
+                cart_id: cart.id,
+                product_id: item.product_id || null,
+                variant_id: item.variant_id || null,
+                blend_id: item.blend_id || null,
+                quantity,
+                quantity_litres: quantityLitres
+            }]);
+
+    if (error) throw error;
+
+    return { error: null };
+};
+
+/**
+ * Send the 400 for a cart that can't be quoted or checked out yet
+ * Returns null when the cart is ready
+ */
+const checkCartReady = (res, cart) => {
+    if (cart.cart_items.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Your cart is empty'
+        });
+    }
+
+    if (!cart.address_id) {
+        return res.status(400).json({
+            success: false,
+            message: 'Choose a delivery address first'
+        });
+    }
+
+    return null;
+};
+
+/**
+ * Get the user's cart
+ */
+const getCart = async (req, res) => {
+    try {
+        const cart = await getOrCreateCart(req.user.id);
+
+        res.json({
+            success: true,
+            data: presentCart(cart)
+        });
+
+    } catch (error) {
+        console.error('Get cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Add an item to the cart - adding the same product size or blend again adds to its quantity
+ */
+const addCartItem = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const item = req.body;
+
+        // Checks the product, size or blend can be ordered
+        const { error: itemError } = await priceOrderItems(userId, [item]);
+
+        if (itemError) {
+            return res.status(itemError.status).json({
+                success: false,
+                code: itemError.code,
+                message: itemError.message
+            });
+        }
+
+        const { error } = await addItemToCart(await getOrCreateCart(userId), item);
+
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Added to cart',
+            data: presentCart(await getOrCreateCart(userId))
+        });
+
+    } catch (error) {
+        console.error('Add cart item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Change the quantity of a cart line - bottles for a size, litres otherwise
+ */
+const updateCartItem = async (req, res) => {
+    try {
+        const { itemId } = req.params;
+        const { quantity, quantity_litres } = req.body;
+
+        const cart = await getOrCreateCart(req.user.id);
+        const item = cart.cart_items.find(candidate => candidate.id === itemId);
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cart item not found'
+            });
+        }
+
+        if (Boolean(item.variant_id) !== Boolean(quantity)) {
+            return res.status(400).json({
+                success: false,
+                message: item.variant_id
+                    ? 'Bottle sizes are counted with quantity'
+                    : 'Litre items are counted with quantity_litres'
+            });
+        }
+
+        const { error } = await supabaseAdmin
+            .from('cart_items')
+            .update(quantity ? { quantity } : { quantity_litres })
+            .eq('id', itemId);
+
+        if (error) {
+            console.error('Update cart item error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update cart item'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Cart updated',
+            data: presentCart(await getOrCreateCart(req.user.id))
+        });
+
+    } catch (error) {
+        console.error('Update cart item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Remove a line from the cart
+ */
+const removeCartItem = async (req, res) => {
+    try {
+        const { itemId } = req.params;
+
+        const cart = await getOrCreateCart(req.user.id);
+
+        const { data: item, error } = await supabaseAdmin
+            .from('cart_items')
+            .delete()
+            .eq('id', itemId)
+            .eq('cart_id', cart.id)
+            .select('id')
+            .maybeSingle();
+
+        if (error) {
+            console.error('Remove cart item error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to remove cart item'
+            });
+        }
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cart item not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Removed from cart',
+            data: presentCart(await getOrCreateCart(req.user.id))
+        });
+
+    } catch (error) {
+        console.error('Remove cart item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Set the cart's delivery address, payment method or notes
+ */
+const updateCart = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { address_id, payment_method, notes } = req.body;
+
+        if (address_id && !await getUserAddress(userId, address_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Saved address not found'
+            });
+        }
+
+        const cart = await getOrCreateCart(userId);
+
+        const updateData = {};
+        if (address_id !== undefined) updateData.address_id = address_id;
+        if (payment_method) updateData.payment_method = payment_method;
+        if (notes !== undefined) updateData.notes = notes ? sanitizeInput(notes) : null;
+
+        const { error } = await supabaseAdmin
+            .from('carts')
+            .update(updateData)
+            .eq('id', cart.id);
+
+        if (error) {
+            console.error('Update cart error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update cart'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Cart updated',
+            data: presentCart(await getOrCreateCart(userId))
+        });
+
+    } catch (error) {
+        console.error('Update cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Remove every item from the cart, keeping its address and payment method
+ */
+const clearCart = async (req, res) => {
+    try {
+        const cart = await getOrCreateCart(req.user.id);
+
+        const { error } = await supabaseAdmin
+            .from('cart_items')
+            .delete()
+            .eq('cart_id', cart.id);
+
+        if (error) {
+            console.error('Clear cart error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to clear cart'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Cart cleared'
+        });
+
+    } catch (error) {
+        console.error('Clear cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Price the cart exactly as checkout would: itemized lines, subtotal, delivery fee and total
+ */
+const getCartQuote = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const cart = await getOrCreateCart(userId);
+
+        if (checkCartReady(res, cart)) return;
+
+        const { error, quote } = await quoteOrder(userId, {
+            items: toOrderItems(cart.cart_items),
+            address_id: cart.address_id
+        });
+
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                code: error.code,
+                message: error.message
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...quote,
+                items: quote.items.map(({ blend_snapshot, ...line }) => line),
+                payment_method: cart.payment_method
+            }
+        });
+
+    } catch (error) {
+        console.error('Get cart quote error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Place an order for everything in the cart and empty it, in one transaction
+ */
+const checkout = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const cart = await getOrCreateCart(userId);
+
+        if (checkCartReady(res, cart)) return;
+
+        const { error, order } = await placeOrder(userId, {
+            items: toOrderItems(cart.cart_items),
+            address_id: cart.address_id,
+            payment_method: cart.payment_method,
+            notes: cart.notes
+        }, {
+            cartId: cart.id,
+            itemIds: cart.cart_items.map(item => item.id)
+        });
+
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                code: error.code,
+                message: error.message
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Order created successfully',
+            data: order
+        });
+
+    } catch (error) {
+        console.error('Checkout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+module.exports = {
+    getOrCreateCart,
+    presentCart,
+    addItemToCart,
+    getCart,
+    addCartItem,
+    updateCartItem,
+    removeCartItem,
+    updateCart,
+    clearCart,
+    getCartQuote,
+    checkout
+};
@@ -0,0 +1,236 @@
+/**
+ * Category Admin Controller
+ * Handles category management and product membership for administrators
+ */
+
+const { supabaseAdmin } = require('../db/supabase');
+const { sanitizeInput } = require('../utils/helpers');
+
+const ADMIN_CATEGORY_SELECT = '*, product_categories (count)';
+
+/**
+ * Look up the categories a product is being put in, in the order given (primary first)
+ * Returns { categories }, or { error } with code UNKNOWN_CATEGORY when any of them doesn't exist
+ */
+const findProductCategories = async (categoryIds) => {
+    const { data: categories, error } = await supabaseAdmin
+        .from('categories')
+        .select('id, slug')
+        .in('id', categoryIds);
+
+    if (error) return { error };
+
+    if (categories.length !== new Set(categoryIds).size) {
+        return { error: { code: 'UNKNOWN_CATEGORY', message: 'One or more categories do not exist' } };
+    }
+
+    return { categories: categoryIds.map(id => categories.find(category => category.id === id)) };
+};
+
+/**
+ * Replace the categories a product belongs to - check them with findProductCategories first
+ * The caller stores the primary category's slug in products.category
+ */
+const setProductCategories = async (productId, categoryIds) => {
+    const { error: deleteError } = await supabaseAdmin
+        .from('product_categories')
+        .delete()
+        .eq('product_id', productId);
+
+    if (deleteError) return { error: deleteError };
+
+    const { error: insertError } = await supabaseAdmin
+        .from('product_categories')
+        .insert(categoryIds.map(categoryId => ({ product_id: productId, category_id: categoryId })));
+
+    return { error: insertError };
+};
+
+/**
+ * List all categories, including inactive ones
+ */
+const listCategories = async (req, res) => {
+    try {
+        const { data: categories, error } = await supabaseAdmin
+            .from('categories')
+            .select(ADMIN_CATEGORY_SELECT)
+            .order('sort_order')
+            .order('name');
+
+        if (error) {
+            console.error('Admin list categories error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch categories'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: categories.map(({ product_categories, ...category }) => ({
+                ...category,
+                product_count: product_categories[0] ? product_categories[0].count : 0
+            }))
+        });
+
+    } catch (error) {
+        console.error('Admin list categories error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Create a category
+ */
+const createCategory = async (req, res) => {
+    try {
+        const { data: category, error } = await supabaseAdmin
+            .from('categories')
+            .insert([{
+                ...req.body,
+                name: sanitizeInput(req.body.name),
+                description: req.body.description ? sanitizeInput(req.body.description) : null
+            }])
+            .select()
+            .single();
+
+        // Unique violation on slug
+        if (error && error.code === '23505') {
+            return res.status(409).json({
+                success: false,
+                message: 'A category with this slug already exists'
+            });
+        }
+
+        if (error) {
+            console.error('Create category error:', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Failed to create category'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Category created successfully',
+            data: category
+        });
+
+    } catch (error) {
+        console.error('Create category error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Update a category's details, ordering or active flag
+ */
+const updateCategory = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const updateData = { ...req.body };
+        if (updateData.name) updateData.name = sanitizeInput(updateData.name);
+        if (updateData.description) updateData.description = sanitizeInput(updateData.description);
+
+        const { data: category, error } = await supabaseAdmin
+            .from('categories')
+            .update(updateData)
+            .eq('id', id)
+            .select()
+            .maybeSingle();
+
+        if (error && error.code === '23505') {
+            return res.status(409).json({
+                success: false,
+                message: 'A category with this slug already exists'
+            });
+        }
+
+        if (error) {
+            console.error('Update category error:', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Failed to update category'
+            });
+        }
+
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Category updated successfully',
+            data: category
+        });
+
+    } catch (error) {
+        console.error('Update category error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Delete a category - its products stay, they just leave the category
+ */
+const deleteCategory = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: category, error } = await supabaseAdmin
+            .from('categories')
+            .delete()
+            .eq('id', id)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error('Delete category error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to delete category'
+            });
+        }
+
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Category deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete category error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+module.exports = {
+    findProductCategories,
+    setProductCategories,
+    listCategories,
+    createCategory,
+    updateCategory,
+    deleteCategory
+};
@@ -4,7 +4,8 @@
  */
 
 const { supabase } = require('../db/supabase');
-const { calculateDeliveryFee, isValidCoordinate } = require('../utils/helpers');
+const { isValidCoordinate } = require('../utils/helpers');
+const { getDeliveryTerms } = require('../services/delivery');
 
 /**
  * Calculate delivery fee based on user location
@@ -21,48 +22,28 @@ const getDeliveryFee = async (req, res) => {
             });
         }
 
-        // Get nearest outlet using the database function
-        const { data: nearestOutlet, error } = await supabase
-            .rpc('get_nearest_outlet', {
-                user_lat: parseFloat(lat),
-                user_lng: parseFloat(lng)
-            })
-            .single();
-
-        if (error) {
-            console.error('Get nearest outlet error:', error);
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to find nearest outlet'
-            });
-        }
+        // Fee and time estimate come from the same database functions as order quotes
+        const terms = await getDeliveryTerms(parseFloat(lat), parseFloat(lng));
 
-        if (!nearestOutlet) {
+        if (!terms.outlet_id) {
             return res.status(404).json({
                 success: false,
                 message: 'No outlets available in your area'
             });
         }
 
-        const deliveryFee = calculateDeliveryFee(nearestOutlet.distance_km);
-
-        // Calculate estimated delivery time (30 min base + 10 min per km)
-        const baseTimeMinutes = 30;
-        const perKmMinutes = 10;
-        const estimatedMinutes = baseTimeMinutes + (perKmMinutes * nearestOutlet.distance_km);
-
         res.json({
             success: true,
             data: {
                 nearest_outlet: {
-                    id: nearestOutlet.outlet_id,
-                    name: nearestOutlet.outlet_name,
-                    address: nearestOutlet.outlet_address,
-                    distance_km: parseFloat(nearestOutlet.distance_km).toFixed(2)
+                    id: terms.outlet_id,
+                    name: terms.outlet_name,
+                    address: terms.outlet_address,
+                    distance_km: parseFloat(terms.distance_km).toFixed(2)
                 },
-                delivery_fee: deliveryFee,
-                estimated_delivery_minutes: Math.ceil(estimatedMinutes),
-                delivery_available: nearestOutlet.distance_km <= 20 // Max 20km delivery radius
+                delivery_fee: Number(terms.delivery_fee),
+                estimated_delivery_minutes: terms.estimated_delivery_minutes,
+                delivery_available: terms.delivery_available
             }
         });
 
@@ -181,30 +162,16 @@ const checkDeliveryAvailability = async (req, res) => {
             });
         }
 
-        const { data: nearestOutlet, error } = await supabase
-            .rpc('get_nearest_outlet', {
-                user_lat: parseFloat(lat),
-                user_lng: parseFloat(lng)
-            })
-            .single();
-
-        if (error) {
-            console.error('Check delivery availability error:', error);
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to check delivery availability'
-            });
-        }
-
-        const maxDeliveryDistance = 20; // 20km max delivery radius
-        const isAvailable = nearestOutlet && nearestOutlet.distance_km <= maxDeliveryDistance;
+        const terms = await getDeliveryTerms(parseFloat(lat), parseFloat(lng));
+        const nearestOutlet = terms.outlet_id ? terms : null;
+        const isAvailable = terms.delivery_available;
 
         res.json({
             success: true,
             data: {
                 delivery_available: isAvailable,
                 distance_km: nearestOutlet ? parseFloat(nearestOutlet.distance_km).toFixed(2) : null,
-                max_delivery_distance: maxDeliveryDistance,
+                max_delivery_distance: Number(terms.max_delivery_distance_km),
                 nearest_outlet: nearestOutlet ? {
                     id: nearestOutlet.outlet_id,
                     name: nearestOutlet.outlet_name,
@@ -0,0 +1,213 @@
+/**
+ * Favorite Controller
+ * Handles the user's favorite juices and reordering them
+ */
+
+const { supabaseAdmin } = require('../db/supabase');
+const { PRODUCT_SELECT, presentProducts } = require('./productController');
+const { getOrCreateCart, presentCart, addItemToCart } = require('./cartController');
+
+/**
+ * Get the user's favorites with full product details, newest first
+ */
+const getFavorites = async (req, res) => {
+    try {
+        const { data: favorites, error } = await supabaseAdmin
+            .from('user_favorites')
+            .select(`variant_id, created_at, products (${PRODUCT_SELECT})`)
+            .eq('user_id', req.user.id)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Get favorites error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch favorites'
+            });
+        }
+
+        const products = await presentProducts(req, favorites.map(favorite => favorite.products));
+
+        res.json({
+            success: true,
+            data: products.map((product, index) => ({
+                ...product,
+                favorite_variant_id: favorites[index].variant_id,
+                favorited_at: favorites[index].created_at
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get favorites error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Favorite a product, optionally with the bottle size to reorder - favoriting again updates the size
+ */
+const addFavorite = async (req, res) => {
+    try {
+        const { productId } = req.params;
+        const { variant_id = null } = req.body;
+
+        const { data: product } = await supabaseAdmin
+            .from('products')
+            .select('id, product_variants (id)')
+            .eq('id', productId)
+            .maybeSingle();
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        if (variant_id && !product.product_variants.some(variant => variant.id === variant_id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Size does not belong to this product'
+            });
+        }
+
+        const { data: favorite, error } = await supabaseAdmin
+            .from('user_favorites')
+            .upsert({
+                user_id: req.user.id,
+                product_id: productId,
+                variant_id
+            }, { onConflict: 'user_id,product_id' })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Add favorite error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to save favorite'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Added to favorites',
+            data: favorite
+        });
+
+    } catch (error) {
+        console.error('Add favorite error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Remove a product from the user's favorites
+ */
+const removeFavorite = async (req, res) => {
+    try {
+        const { productId } = req.params;
+
+        const { error } = await supabaseAdmin
+            .from('user_favorites')
+            .delete()
+            .eq('user_id', req.user.id)
+            .eq('product_id', productId);
+
+        if (error) {
+            console.error('Remove favorite error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to remove favorite'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Removed from favorites'
+        });
+
+    } catch (error) {
+        console.error('Remove favorite error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Add the user's favorites to their cart: one bottle of the saved size, or a litre
+ * Products that can't be ordered right now, or whose cart line is full, are listed separately
+ */
+const reorderFavorites = async (req, res) => {
+    try {
+        const { data: favorites, error } = await supabaseAdmin
+            .from('user_favorites')
+            .select('variant_id, products (id, name, is_available, product_variants (id, is_available))')
+            .eq('user_id', req.user.id)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Reorder favorites error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch favorites'
+            });
+        }
+
+        const cart = await getOrCreateCart(req.user.id);
+        const unavailable = [];
+        let added = 0;
+
+        for (const { variant_id: variantId, products: product } of favorites) {
+            if (!product.is_available) {
+                unavailable.push({ product_id: product.id, name: product.name, reason: 'unavailable' });
+                continue;
+            }
+
+            const variant = product.product_variants.find(candidate => candidate.id === variantId);
+
+            const { error: lineError } = await addItemToCart(cart, variant && variant.is_available
+                ? { product_id: product.id, variant_id: variant.id, quantity: 1 }
+                : { product_id: product.id, quantity_litres: 1 });
+
+            if (lineError) {
+                unavailable.push({ product_id: product.id, name: product.name, reason: 'cart_line_full' });
+                continue;
+            }
+
+            added += 1;
+        }
+
+        res.json({
+            success: true,
+            message: added > 0 ? 'Favorites added to cart' : 'No favorites could be added to cart',
+            data: {
+                cart: presentCart(await getOrCreateCart(req.user.id)),
+                added,
+                unavailable
+            }
+        });
+
+    } catch (error) {
+        console.error('Reorder favorites error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+module.exports = {
+    getFavorites,
+    addFavorite,
+    removeFavorite,
+    reorderFavorites
+};
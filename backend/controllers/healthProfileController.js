@@ -0,0 +1,96 @@
+/**
+ * Health Profile Controller
+ * Handles the user's stored health preferences and allergy settings
+ */
+
+const { supabaseAdmin } = require('../db/supabase');
+const { invalidateProfile } = require('../services/authCache');
+
+// Returned when the user hasn't saved a health profile yet
+const EMPTY_HEALTH_PROFILE = {
+    allergies: [],
+    dietary_restrictions: [],
+    max_calories_per_100ml: null,
+    max_sugar_per_100ml: null,
+    goals: [],
+    hide_allergen_conflicts: false
+};
+
+/**
+ * Get the user's health profile
+ */
+const getHealthProfile = async (req, res) => {
+    try {
+        const { data: healthProfile, error } = await supabaseAdmin
+            .from('user_health_profiles')
+            .select('*')
+            .eq('user_id', req.user.id)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Get health profile error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch health profile'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: healthProfile || { user_id: req.user.id, ...EMPTY_HEALTH_PROFILE }
+        });
+
+    } catch (error) {
+        console.error('Get health profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Create or update the user's health profile
+ */
+const updateHealthProfile = async (req, res) => {
+    try {
+        const { data: healthProfile, error } = await supabaseAdmin
+            .from('user_health_profiles')
+            .upsert({
+                user_id: req.user.id,
+                ...req.body,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'user_id' })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Update health profile error:', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Failed to update health profile'
+            });
+        }
+
+        // The health profile rides along on the cached user profile
+        invalidateProfile(req.user.auth_user_id);
+
+        res.json({
+            success: true,
+            message: 'Health profile updated successfully',
+            data: healthProfile
+        });
+
+    } catch (error) {
+        console.error('Update health profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+module.exports = {
+    getHealthProfile,
+    updateHealthProfile
+};
@@ -0,0 +1,50 @@
+/**
+ * Home Controller
+ * Builds the app's home feed: banners, featured juices and category tiles
+ */
+
+const { getLiveBanners } = require('../services/merchandising');
+const {
+    findCallerOutlet,
+    getFeaturedProductList,
+    listActiveCategories
+} = require('./productController');
+
+// Featured juices shown on the home screen
+const HOME_FEATURED_LIMIT = 8;
+
+/**
+ * Get the home feed for the caller's location in one call
+ */
+const getHomeFeed = async (req, res) => {
+    try {
+        const outlet = await findCallerOutlet(req);
+
+        const [banners, featured, categories] = await Promise.all([
+            getLiveBanners(outlet),
+            getFeaturedProductList(req, outlet, HOME_FEATURED_LIMIT),
+            listActiveCategories()
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                outlet,
+                banners,
+                featured,
+                categories
+            }
+        });
+
+    } catch (error) {
+        console.error('Get home feed error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load home feed'
+        });
+    }
+};
+
+module.exports = {
+    getHomeFeed
+};
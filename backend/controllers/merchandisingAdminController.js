@@ -0,0 +1,345 @@
+/**
+ * Merchandising Admin Controller
+ * Handles featured product slots and home banners for administrators
+ */
+
+const { supabaseAdmin } = require('../db/supabase');
+const { sanitizeInput } = require('../utils/helpers');
+
+/**
+ * Send the response for a failed insert or update
+ * Foreign key and check violations mean a bad product/outlet ID or schedule
+ */
+const sendWriteError = (res, error, label) => {
+    if (error.code === '23503') {
+        return res.status(400).json({
+            success: false,
+            message: 'Product or outlet not found'
+        });
+    }
+
+    if (error.code === '23514') {
+        return res.status(400).json({
+            success: false,
+            message: 'ends_at must be after starts_at'
+        });
+    }
+
+    console.error(`${label} error:`, error);
+    return res.status(500).json({
+        success: false,
+        message: `Failed to ${label.toLowerCase()}`
+    });
+};
+
+/**
+ * List all featured slots, including scheduled and expired ones
+ */
+const listFeaturedSlots = async (req, res) => {
+    try {
+        const { data: slots, error } = await supabaseAdmin
+            .from('featured_slots')
+            .select('*, products (id, name, image_url, is_available), outlets (id, name)')
+            .order('position')
+            .order('starts_at', { ascending: false });
+
+        if (error) {
+            console.error('List featured slots error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch featured slots'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: slots
+        });
+
+    } catch (error) {
+        console.error('List featured slots error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Feature a product, optionally scheduled and targeted
+ */
+const createFeaturedSlot = async (req, res) => {
+    try {
+        const { data: slot, error } = await supabaseAdmin
+            .from('featured_slots')
+            .insert([{ ...req.body, created_by: req.user.id }])
+            .select()
+            .single();
+
+        if (error) {
+            return sendWriteError(res, error, 'Create featured slot');
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Featured slot created successfully',
+            data: slot
+        });
+
+    } catch (error) {
+        console.error('Create featured slot error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Update a featured slot's position, schedule or targeting
+ */
+const updateFeaturedSlot = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: slot, error } = await supabaseAdmin
+            .from('featured_slots')
+            .update(req.body)
+            .eq('id', id)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            return sendWriteError(res, error, 'Update featured slot');
+        }
+
+        if (!slot) {
+            return res.status(404).json({
+                success: false,
+                message: 'Featured slot not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Featured slot updated successfully',
+            data: slot
+        });
+
+    } catch (error) {
+        console.error('Update featured slot error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Remove a featured slot
+ */
+const deleteFeaturedSlot = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: slot, error } = await supabaseAdmin
+            .from('featured_slots')
+            .delete()
+            .eq('id', id)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error('Delete featured slot error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to delete featured slot'
+            });
+        }
+
+        if (!slot) {
+            return res.status(404).json({
+                success: false,
+                message: 'Featured slot not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Featured slot deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete featured slot error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * List all banners, including scheduled and expired ones
+ */
+const listBanners = async (req, res) => {
+    try {
+        const { data: banners, error } = await supabaseAdmin
+            .from('banners')
+            .select('*, outlets (id, name)')
+            .order('position')
+            .order('starts_at', { ascending: false });
+
+        if (error) {
+            console.error('List banners error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch banners'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: banners
+        });
+
+    } catch (error) {
+        console.error('List banners error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Create a home banner
+ */
+const createBanner = async (req, res) => {
+    try {
+        const { data: banner, error } = await supabaseAdmin
+            .from('banners')
+            .insert([{
+                ...req.body,
+                title: sanitizeInput(req.body.title),
+                body: req.body.body ? sanitizeInput(req.body.body) : null,
+                created_by: req.user.id
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            return sendWriteError(res, error, 'Create banner');
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Banner created successfully',
+            data: banner
+        });
+
+    } catch (error) {
+        console.error('Create banner error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Update a banner's content, schedule or targeting
+ */
+const updateBanner = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const updateData = { ...req.body };
+        if (updateData.title) updateData.title = sanitizeInput(updateData.title);
+        if (updateData.body) updateData.body = sanitizeInput(updateData.body);
+
+        const { data: banner, error } = await supabaseAdmin
+            .from('banners')
+            .update(updateData)
+            .eq('id', id)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            return sendWriteError(res, error, 'Update banner');
+        }
+
+        if (!banner) {
+            return res.status(404).json({
+                success: false,
+                message: 'Banner not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Banner updated successfully',
+            data: banner
+        });
+
+    } catch (error) {
+        console.error('Update banner error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Delete a banner
+ */
+const deleteBanner = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: banner, error } = await supabaseAdmin
+            .from('banners')
+            .delete()
+            .eq('id', id)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error('Delete banner error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to delete banner'
+            });
+        }
+
+        if (!banner) {
+            return res.status(404).json({
+                success: false,
+                message: 'Banner not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Banner deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete banner error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+module.exports = {
+    listFeaturedSlots,
+    createFeaturedSlot,
+    updateFeaturedSlot,
+    deleteFeaturedSlot,
+    listBanners,
+    createBanner,
+    updateBanner,
+    deleteBanner
+};
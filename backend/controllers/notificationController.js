@@ -0,0 +1,164 @@
+/**
+ * Notification Controller
+ * Handles the user's in-app notifications
+ */
+
+const { supabaseAdmin } = require('../db/supabase');
+
+/**
+ * Get the user's notifications, newest first, with the unread count
+ */
+const getNotifications = async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+
+        const from = (page - 1) * limit;
+        const to = from + limit - 1;
+
+        const [{ data: notifications, error, count }, { count: unreadCount, error: unreadError }] = await Promise.all([
+            supabaseAdmin
+                .from('notifications')
+                .select('*', { count: 'exact' })
+                .eq('user_id', req.user.id)
+                .order('created_at', { ascending: false })
+                .range(from, to),
+            supabaseAdmin
+                .from('notifications')
+                .select('id', { count: 'exact', head: true })
+                .eq('user_id', req.user.id)
+                .is('read_at', null)
+        ]);
+
+        if (error || unreadError) {
+            console.error('Get notifications error:', error || unreadError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch notifications'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: notifications,
+            unread_count: unreadCount,
+            pagination: {
+                current_page: parseInt(page),
+                total_pages: Math.ceil(count / limit),
+                total_items: count,
+                items_per_page: parseInt(limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get notifications error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Mark one notification as read
+ */
+const markNotificationRead = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: existing, error: findError } = await supabaseAdmin
+            .from('notifications')
+            .select('*')
+            .eq('id', id)
+            .eq('user_id', req.user.id)
+            .maybeSingle();
+
+        if (findError) {
+            console.error('Mark notification read error:', findError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update notification'
+            });
+        }
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        // Keep the first read time when it was already read
+        let notification = existing;
+
+        if (!existing.read_at) {
+            const { data: updated, error } = await supabaseAdmin
+                .from('notifications')
+                .update({ read_at: new Date().toISOString() })
+                .eq('id', id)
+                .select()
+                .single();
+
+            if (error) {
+                console.error('Mark notification read error:', error);
+                return res.status(500).json({
+                    success: false,
+                    message: 'Failed to update notification'
+                });
+            }
+
+            notification = updated;
+        }
+
+        res.json({
+            success: true,
+            message: 'Notification marked as read',
+            data: notification
+        });
+
+    } catch (error) {
+        console.error('Mark notification read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Mark all of the user's notifications as read
+ */
+const markAllNotificationsRead = async (req, res) => {
+    try {
+        const { error } = await supabaseAdmin
+            .from('notifications')
+            .update({ read_at: new Date().toISOString() })
+            .eq('user_id', req.user.id)
+            .is('read_at', null);
+
+        if (error) {
+            console.error('Mark all notifications read error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update notifications'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'All notifications marked as read'
+        });
+
+    } catch (error) {
+        console.error('Mark all notifications read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+module.exports = {
+    getNotifications,
+    markNotificationRead,
+    markAllNotificationsRead
+};
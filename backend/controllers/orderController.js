@@ -3,145 +3,228 @@
  * Handles order creation, tracking, and management
  */
 
-const { supabase } = require('../db/supabase');
+const { supabase, supabaseAdmin } = require('../db/supabase');
 const { 
-    calculateDeliveryFee, 
-    calculateEstimatedDeliveryTime, 
     generateOrderNumber,
-    generateRiderInfo,
-    getStatusMessage 
+    getStatusMessage,
+    sanitizeInput
 } = require('../utils/helpers');
+const { getUserAddress } = require('./addressController');
+const { CUSTOMER_CANCELLABLE_STATUSES, transitionOrderStatus, getStatusTimeline } = require('../services/orderStatus');
+const { findUserBlend, evaluateBlend } = require('../services/blends');
 
 /**
- * Create a new order
+ * Resolve the delivery location from a saved address or the raw request fields
+ * Returns null when the saved address doesn't belong to the user
  */
-const createOrder = async (req, res) => {
-    try {
-        const { items, delivery_address, delivery_lat, delivery_lng, payment_method, notes } = req.body;
-        const userId = req.user.id;
+const resolveDeliveryLocation = async (userId, body) => {
+    if (!body.address_id) {
+        return {
+            delivery_address: body.delivery_address,
+            delivery_lat: body.delivery_lat,
+            delivery_lng: body.delivery_lng
+        };
+    }
 
-        // Get nearest outlet and calculate delivery fee
-        const { data: nearestOutlet, error: outletError } = await supabase
-            .rpc('get_nearest_outlet', {
-                user_lat: delivery_lat,
-                user_lng: delivery_lng
-            })
-            .single();
+    const address = await getUserAddress(userId, body.address_id);
+    if (!address) return null;
+
+    return {
+        delivery_address: {
+            label: address.label,
+            street: address.street,
+            city: address.city,
+            district: address.district
+        },
+        delivery_lat: parseFloat(address.lat),
+        delivery_lng: parseFloat(address.lng)
+    };
+};
 
-        if (outletError || !nearestOutlet) {
-            return res.status(400).json({
-                success: false,
-                message: 'No outlets available in your area'
-            });
+/**
+ * Turn an error raised by the order functions into { code, status, message }
+ * Errors without a known code are logged and reported as ORDER_FAILED
+ */
+const toOrderError = (error, label) => {
+    const [code, id] = (error.message || '').split(':');
+
+    switch (code) {
+        case 'PRODUCT_UNAVAILABLE':
+            return { code, status: 400, message: `Product ${id} not found or unavailable` };
+        case 'VARIANT_UNAVAILABLE':
+            return { code, status: 400, message: `Size ${id} not found or unavailable` };
+        case 'NO_OUTLET':
+            return { code, status: 400, message: 'No outlets available in your area' };
+        case 'OUT_OF_STOCK':
+            return { code, status: 409, message: 'Some items are out of stock at the outlets that deliver to you' };
+        default:
+            console.error(`${label} error:`, error);
+            return { code: 'ORDER_FAILED', status: 500, message: `Failed to ${label.toLowerCase()}` };
+    }
+};
+
+/**
+ * Price the saved blends among order items from their current ingredients
+ * The database prices everything else, so blend items are passed on with their price and recipe
+ * Returns { error: { code, status, message } } or { items }
+ */
+const priceBlendItems = async (userId, items) => {
+    const priced = [];
+
+    for (const item of items) {
+        if (!item.blend_id) {
+            priced.push(item);
+            continue;
         }
 
-        const deliveryFee = calculateDeliveryFee(nearestOutlet.distance_km);
-        const estimatedDeliveryTime = calculateEstimatedDeliveryTime(nearestOutlet.distance_km);
-
-        // Calculate order total
-        let totalAmount = 0;
-        const orderItems = [];
-
-        for (const item of items) {
-            // Get product details
-            const { data: product, error: productError } = await supabase
-                .from('products')
-                .select('*')
-                .eq('id', item.product_id)
-                .eq('is_available', true)
-                .single();
-
-            if (productError || !product) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Product ${item.product_id} not found or unavailable`
-                });
-            }
+        const blend = await findUserBlend(item.blend_id, userId);
 
-            const subtotal = product.price_per_litre * item.quantity_litres;
-            totalAmount += subtotal;
+        if (!blend) {
+            return { error: { code: 'BLEND_NOT_FOUND', status: 400, message: `Blend ${item.blend_id} not found` } };
+        }
 
-            orderItems.push({
-                product_id: item.product_id,
-                quantity_litres: item.quantity_litres,
-                unit_price: product.price_per_litre,
-                subtotal: subtotal
-            });
+        const { errors, blend: computed } = await evaluateBlend(blend.blend_ingredients);
+
+        if (errors.length > 0) {
+            return { error: { code: 'BLEND_UNAVAILABLE', status: 400, message: `${blend.name} can't be made right now: ${errors.join('; ')}` } };
         }
 
-        totalAmount += deliveryFee;
+        priced.push({
+            blend_id: blend.id,
+            name: blend.name,
+            blend_snapshot: {
+                name: blend.name,
+                ingredients: computed.composition,
+                nutritional_info: computed.nutritional_info,
+                allergens: computed.allergens
+            },
+            unit_price: computed.price_per_litre,
+            quantity_litres: item.quantity_litres
+        });
+    }
 
-        // Create order
-        const { data: order, error: orderError } = await supabase
-            .from('orders')
-            .insert([{
-                user_id: userId,
-                outlet_id: nearestOutlet.outlet_id,
-                total_amount: totalAmount,
-                delivery_fee: deliveryFee,
-                payment_method: payment_method || 'cash',
-                delivery_address: delivery_address,
-                delivery_lat: delivery_lat,
-                delivery_lng: delivery_lng,
-                estimated_delivery_time: estimatedDeliveryTime,
-                rider_info: generateRiderInfo(),
-                notes: notes || null,
-                status: 'pending'
-            }])
-            .select()
-            .single();
+    return { items: priced };
+};
 
-        if (orderError) {
-            console.error('Create order error:', orderError);
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to create order'
-            });
-        }
+/**
+ * Price order items at current prices
+ * Returns { error: { code, status, message } } for an item that can't be ordered, otherwise
+ * { lines } - order item rows plus the name and size_label shown in quotes
+ */
+const priceOrderItems = async (userId, items) => {
+    const { error: blendError, items: pricedItems } = await priceBlendItems(userId, items);
 
-        // Create order items
-        const orderItemsWithOrderId = orderItems.map(item => ({
-            ...item,
-            order_id: order.id
-        }));
-
-        const { error: itemsError } = await supabase
-            .from('order_items')
-            .insert(orderItemsWithOrderId);
-
-        if (itemsError) {
-            console.error('Create order items error:', itemsError);
-            // Rollback order creation
-            await supabase.from('orders').delete().eq('id', order.id);
-            
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to create order items'
-            });
+    if (blendError) {
+        return { error: blendError };
+    }
+
+    const { data: lines, error } = await supabaseAdmin
+        .rpc('price_order_items', { p_items: pricedItems });
+
+    if (error) {
+        return { error: toOrderError(error, 'Price items') };
+    }
+
+    return { lines };
+};
+
+/**
+ * Work out what an order would cost: items at current prices, the outlet that would
+ * fulfil it and its delivery fee. Uses the same database pricing as placeOrder.
+ * Takes the createOrder body fields (items plus address_id or a raw address)
+ * Returns { error: { code, status, message } } or { quote }
+ */
+const quoteOrder = async (userId, body) => {
+    const location = await resolveDeliveryLocation(userId, body);
+
+    if (!location) {
+        return { error: { code: 'ADDRESS_NOT_FOUND', status: 404, message: 'Saved address not found' } };
+    }
+
+    const { error: blendError, items } = await priceBlendItems(userId, body.items);
+
+    if (blendError) {
+        return { error: blendError };
+    }
+
+    const { data: quote, error } = await supabaseAdmin
+        .rpc('quote_order', {
+            p_items: items,
+            p_delivery_lat: location.delivery_lat,
+            p_delivery_lng: location.delivery_lng
+        });
+
+    if (error) {
+        return { error: toOrderError(error, 'Quote order') };
+    }
+
+    return {
+        quote: {
+            ...quote,
+            ...location
         }
+    };
+};
 
-        // Get complete order with items
-        const { data: completeOrder, error: fetchError } = await supabase
-            .from('orders')
-            .select(`
-                *,
-                order_items (
-                    *,
-                    products (*)
-                ),
-                outlets (name, address, phone)
-            `)
-            .eq('id', order.id)
-            .single();
+/**
+ * Place an order in one database transaction: price the items, pick the outlet, insert
+ * the order and its items and reserve the stock - all of it happens or none of it does
+ * With a cart ({ cartId, itemIds }), the cart lines are removed in the same transaction
+ * Returns { error: { code, status, message } } or { order } with its items and outlet
+ */
+const placeOrder = async (userId, body, cart = null) => {
+    const location = await resolveDeliveryLocation(userId, body);
+
+    if (!location) {
+        return { error: { code: 'ADDRESS_NOT_FOUND', status: 404, message: 'Saved address not found' } };
+    }
 
-        if (fetchError) {
-            console.error('Fetch complete order error:', fetchError);
+    const { error: blendError, items } = await priceBlendItems(userId, body.items);
+
+    if (blendError) {
+        return { error: blendError };
+    }
+
+    const params = {
+        p_user_id: userId,
+        p_items: items,
+        p_delivery_address: location.delivery_address,
+        p_delivery_lat: location.delivery_lat,
+        p_delivery_lng: location.delivery_lng,
+        p_payment_method: body.payment_method || 'cash',
+        p_notes: body.notes || null
+    };
+
+    const { data: order, error } = cart
+        ? await supabaseAdmin.rpc('checkout_cart', { p_cart_id: cart.cartId, p_item_ids: cart.itemIds, ...params })
+        : await supabaseAdmin.rpc('place_order', params);
+
+    if (error) {
+        return { error: toOrderError(error, 'Create order') };
+    }
+
+    return { order };
+};
+
+/**
+ * Create a new order
+ */
+const createOrder = async (req, res) => {
+    try {
+        const { error, order } = await placeOrder(req.user.id, req.body);
+
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                code: error.code,
+                message: error.message
+            });
         }
 
         res.status(201).json({
             success: true,
             message: 'Order created successfully',
-            data: completeOrder || order
+            data: order
         });
 
     } catch (error) {
@@ -170,7 +253,8 @@ const getUserOrders = async (req, res) => {
                 *,
                 order_items (
                     *,
-                    products (name, image_url)
+                    products (name, image_url),
+                    product_variants (size_label, volume_ml)
                 ),
                 outlets (name, address)
             `, { count: 'exact' })
@@ -228,7 +312,8 @@ const getOrderById = async (req, res) => {
                 *,
                 order_items (
                     *,
-                    products (*)
+                    products (*),
+                    product_variants (sku, size_label, volume_ml)
                 ),
                 outlets (*)
             `)
@@ -291,6 +376,7 @@ const getOrderStatus = async (req, res) => {
             'pending': 10,
             'confirmed': 25,
             'preparing': 50,
+            'ready': 60,
             'out_for_delivery': 75,
             'delivered': 100,
             'cancelled': 0
@@ -298,6 +384,7 @@ const getOrderStatus = async (req, res) => {
 
         const progress = statusProgress[order.status] || 0;
         const statusMessage = getStatusMessage(order.status);
+        const timeline = await getStatusTimeline(order.id);
 
         // Calculate estimated time remaining
         let timeRemaining = null;
@@ -319,7 +406,8 @@ const getOrderStatus = async (req, res) => {
                 time_remaining: timeRemaining,
                 rider_info: order.rider_info,
                 outlet: order.outlets,
-                created_at: order.created_at
+                created_at: order.created_at,
+                timeline
             }
         });
 
@@ -343,7 +431,7 @@ const cancelOrder = async (req, res) => {
         // Check if order exists and belongs to user
         const { data: order, error: fetchError } = await supabase
             .from('orders')
-            .select('id, status')
+            .select('id')
             .eq('id', id)
             .eq('user_id', userId)
             .single();
@@ -355,28 +443,27 @@ const cancelOrder = async (req, res) => {
             });
         }
 
-        // Check if order can be cancelled
-        if (!['pending', 'confirmed'].includes(order.status)) {
+        // Cancelling also returns the order's stock to the outlet. Whether the order can still
+        // be cancelled is checked as it changes, so staff moving it on at the same time win
+        const { error: transitionError } = await transitionOrderStatus(id, 'cancelled', {
+            changedBy: userId,
+            actorRole: 'customer',
+            allowedFrom: CUSTOMER_CANCELLABLE_STATUSES
+        });
+
+        if (transitionError && transitionError.code === 'ILLEGAL_TRANSITION') {
             return res.status(400).json({
                 success: false,
+                code: transitionError.code,
                 message: 'Order cannot be cancelled at this stage'
             });
         }
 
-        // Update order status
-        const { error: updateError } = await supabase
-            .from('orders')
-            .update({ 
-                status: 'cancelled',
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', id);
-
-        if (updateError) {
-            console.error('Cancel order error:', updateError);
-            return res.status(500).json({
+        if (transitionError) {
+            return res.status(transitionError.status).json({
                 success: false,
-                message: 'Failed to cancel order'
+                code: transitionError.code,
+                message: transitionError.message
             });
         }
 
@@ -394,6 +481,43 @@ const cancelOrder = async (req, res) => {
     }
 };
 
+/**
+ * Move an order to its next status, or cancel it (staff and admins)
+ */
+const updateOrderStatus = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, note } = req.body;
+
+        const { error, order } = await transitionOrderStatus(id, status, {
+            changedBy: req.user.id,
+            actorRole: req.user.role,
+            note: note ? sanitizeInput(note) : null
+        });
+
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                code: error.code,
+                message: error.message
+            });
+        }
+
+        res.json({
+            success: true,
+            message: getStatusMessage(order.status),
+            data: order
+        });
+
+    } catch (error) {
+        console.error('Update order status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
 /**
  * Reorder - create new order based on previous order
  */
@@ -401,7 +525,7 @@ const reorder = async (req, res) => {
     try {
         const { id } = req.params;
         const userId = req.user.id;
-        const { delivery_address, delivery_lat, delivery_lng, payment_method } = req.body;
+        const { address_id, delivery_address, delivery_lat, delivery_lng, payment_method } = req.body;
 
         // Get original order with items
         const { data: originalOrder, error: fetchError } = await supabase
@@ -410,7 +534,11 @@ const reorder = async (req, res) => {
                 *,
                 order_items (
                     product_id,
-                    quantity_litres
+                    blend_id,
+                    variant_id,
+                    bottle_count,
+                    quantity_litres,
+                    pricing_unit
                 )
             `)
             .eq('id', id)
@@ -424,15 +552,34 @@ const reorder = async (req, res) => {
             });
         }
 
-        // Create new order with same items
+        // Blends deleted since the order was placed can't be made again
+        const items = originalOrder.order_items
+            .filter(item => item.product_id || item.blend_id)
+            .map(item => {
+                if (item.blend_id) return { blend_id: item.blend_id, quantity_litres: item.quantity_litres };
+
+                return item.pricing_unit === 'bottle' && item.variant_id
+                    ? { product_id: item.product_id, variant_id: item.variant_id, quantity: item.bottle_count }
+                    : { product_id: item.product_id, quantity_litres: item.quantity_litres };
+            });
+
+        if (items.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'None of the items in this order can be ordered again'
+            });
+        }
+
+        // Create new order with same items, delivered to a saved address, a new address or the original one
         const newOrderData = {
-            items: originalOrder.order_items.map(item => ({
-                product_id: item.product_id,
-                quantity_litres: item.quantity_litres
-            })),
-            delivery_address: delivery_address || originalOrder.delivery_address,
-            delivery_lat: delivery_lat || originalOrder.delivery_lat,
-            delivery_lng: delivery_lng || originalOrder.delivery_lng,
+            items,
+            ...(address_id
+                ? { address_id }
+                : {
+                    delivery_address: delivery_address || originalOrder.delivery_address,
+                    delivery_lat: delivery_lat || originalOrder.delivery_lat,
+                    delivery_lng: delivery_lng || originalOrder.delivery_lng
+                }),
             payment_method: payment_method || originalOrder.payment_method
         };
 
@@ -450,10 +597,14 @@ const reorder = async (req, res) => {
 };
 
 module.exports = {
+    priceOrderItems,
+    quoteOrder,
+    placeOrder,
     createOrder,
     getUserOrders,
     getOrderById,
     getOrderStatus,
     cancelOrder,
+    updateOrderStatus,
     reorder
 };
\ No newline at end of file
@@ -0,0 +1,267 @@
+/**
+ * Outlet Order Controller
+ * Handles the order console outlet staff use to accept, prepare and hand off orders
+ */
+
+const { supabaseAdmin } = require('../db/supabase');
+const { sanitizeInput, getStatusMessage } = require('../utils/helpers');
+const { transitionOrderStatus } = require('../services/orderStatus');
+const { offerOrderToRider } = require('../services/riders');
+
+// Statuses an outlet still has work to do on, in the order they happen
+const QUEUE_STATUSES = ['pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery'];
+
+// Statuses a rider can be assigned in - before the order leaves the outlet
+const RIDER_ASSIGNABLE_STATUSES = ['confirmed', 'preparing', 'ready'];
+
+// What the console shows for each order
+const QUEUE_SELECT = `
+    id, status, created_at, estimated_delivery_time, notes, payment_method, payment_status,
+    total_amount, delivery_address, rider_info,
+    customer:users!orders_user_id_fkey (name, phone),
+    rider:users!orders_rider_id_fkey (id, name, phone),
+    rider_assignments (id, rider_id, status, decline_reason, offered_at, responded_at),
+    order_items (
+        id, quantity_litres, bottle_count, pricing_unit, blend_snapshot,
+        products (name),
+        product_variants (size_label)
+    )
+`;
+
+/**
+ * Find an order placed at the outlet
+ */
+const findOutletOrder = async (outletId, orderId) => {
+    const { data: order, error } = await supabaseAdmin
+        .from('orders')
+        .select('id, status, rider_id')
+        .eq('id', orderId)
+        .eq('outlet_id', outletId)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    return order;
+};
+
+/**
+ * Move one of the outlet's orders to a new status and send the response
+ */
+const moveOutletOrder = async (req, res, toStatus, note = null) => {
+    const { outletId, orderId } = req.params;
+
+    const existing = await findOutletOrder(outletId, orderId);
+
+    if (!existing) {
+        return res.status(404).json({
+            success: false,
+            message: 'Order not found'
+        });
+    }
+
+    const { error, order } = await transitionOrderStatus(orderId, toStatus, {
+        changedBy: req.user.id,
+        actorRole: req.user.role,
+        note
+    });
+
+    if (error) {
+        return res.status(error.status).json({
+            success: false,
+            code: error.code,
+            message: error.message
+        });
+    }
+
+    res.json({
+        success: true,
+        message: getStatusMessage(order.status),
+        data: order
+    });
+};
+
+/**
+ * Get the outlet's live orders, oldest first
+ */
+const getOrderQueue = async (req, res) => {
+    try {
+        const { outletId } = req.params;
+        const { status } = req.query;
+
+        const { data: orders, error } = await supabaseAdmin
+            .from('orders')
+            .select(QUEUE_SELECT)
+            .eq('outlet_id', outletId)
+            .in('status', status ? [status] : QUEUE_STATUSES)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('Get order queue error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch orders'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: orders
+        });
+
+    } catch (error) {
+        console.error('Get order queue error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Accept a new order
+ */
+const acceptOrder = async (req, res) => {
+    try {
+        await moveOutletOrder(req, res, 'confirmed');
+    } catch (error) {
+        console.error('Accept order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Reject an order, telling the customer why - its stock goes back to the outlet
+ */
+const rejectOrder = async (req, res) => {
+    try {
+        await moveOutletOrder(req, res, 'cancelled', sanitizeInput(req.body.reason));
+    } catch (error) {
+        console.error('Reject order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Start preparing an accepted order
+ */
+const startPreparingOrder = async (req, res) => {
+    try {
+        await moveOutletOrder(req, res, 'preparing');
+    } catch (error) {
+        console.error('Start preparing order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Mark an order as ready for its rider
+ */
+const markOrderReady = async (req, res) => {
+    try {
+        await moveOutletOrder(req, res, 'ready');
+    } catch (error) {
+        console.error('Mark order ready error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Hand an order to its rider
+ */
+const handOffOrder = async (req, res) => {
+    try {
+        await moveOutletOrder(req, res, 'out_for_delivery');
+    } catch (error) {
+        console.error('Hand off order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Offer an order to a chosen rider instead of the one dispatch picked - the rider must be on
+ * shift with room for it, still has to accept it, and the customer sees their name and phone
+ */
+const assignRider = async (req, res) => {
+    try {
+        const { outletId, orderId } = req.params;
+        const { rider_id } = req.body;
+
+        const order = await findOutletOrder(outletId, orderId);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (!RIDER_ASSIGNABLE_STATUSES.includes(order.status)) {
+            return res.status(409).json({
+                success: false,
+                message: `A rider can't be assigned while the order is ${order.status}`
+            });
+        }
+
+        const { data: rider } = await supabaseAdmin
+            .from('riders')
+            .select('user_id, users!inner (role)')
+            .eq('user_id', rider_id)
+            .eq('users.role', 'rider')
+            .maybeSingle();
+
+        if (!rider) {
+            return res.status(400).json({
+                success: false,
+                message: 'Rider not found'
+            });
+        }
+
+        const { error, order: updated } = await offerOrderToRider(orderId, rider.user_id);
+
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                code: error.code,
+                message: error.message
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Order offered to rider',
+            data: updated
+        });
+
+    } catch (error) {
+        console.error('Assign rider error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+module.exports = {
+    getOrderQueue,
+    acceptOrder,
+    rejectOrder,
+    startPreparingOrder,
+    markOrderReady,
+    handOffOrder,
+    assignRider
+};
@@ -0,0 +1,474 @@
+/**
+ * Product Admin Controller
+ * Handles product creation, editing, archiving and images for administrators
+ */
+
+const { supabaseAdmin } = require('../db/supabase');
+const { sanitizeInput } = require('../utils/helpers');
+const { storeProductImage } = require('../services/productImages');
+const { findProductCategories, setProductCategories } = require('./categoryAdminController');
+
+const ADMIN_PRODUCT_SELECT = '*, variants:product_variants (*), categories (id, slug, name)';
+
+/**
+ * Record a product change in the audit log
+ */
+const recordProductChange = async (productId, action, changedBy, changes = {}) => {
+    const { error } = await supabaseAdmin
+        .from('product_audit_log')
+        .insert([{
+            product_id: productId,
+            action,
+            changed_by: changedBy,
+            changes
+        }]);
+
+    if (error) {
+        console.error('Product audit log error:', error);
+    }
+};
+
+/**
+ * List all products, including archived ones
+ */
+const listProducts = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status = 'all' } = req.query;
+
+        let query = supabaseAdmin
+            .from('products')
+            .select(ADMIN_PRODUCT_SELECT, { count: 'exact' });
+
+        if (status === 'active') {
+            query = query.is('archived_at', null);
+        } else if (status === 'archived') {
+            query = query.not('archived_at', 'is', null);
+        }
+
+        const from = (page - 1) * limit;
+        const to = from + limit - 1;
+
+        const { data: products, error, count } = await query
+            .order('updated_at', { ascending: false })
+            .range(from, to);
+
+        if (error) {
+            console.error('Admin list products error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch products'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: products,
+            pagination: {
+                current_page: parseInt(page),
+                total_pages: Math.ceil(count / limit),
+                total_items: count,
+                items_per_page: parseInt(limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Admin list products error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Get a product with its variants and change history
+ */
+const getProduct = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: product, error } = await supabaseAdmin
+            .from('products')
+            .select(`
+                ${ADMIN_PRODUCT_SELECT},
+                product_audit_log (
+                    action,
+                    changes,
+                    created_at,
+                    users (id, name, email)
+                )
+            `)
+            .eq('id', id)
+            .order('created_at', { referencedTable: 'product_audit_log', ascending: false })
+            .single();
+
+        if (error || !product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: product
+        });
+
+    } catch (error) {
+        console.error('Admin get product error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch product'
+        });
+    }
+};
+
+/**
+ * Send the error from looking up or setting a product's categories
+ */
+const sendCategoriesError = (res, categoriesError) => {
+    console.error('Product categories error:', categoriesError);
+    return res.status(400).json({
+        success: false,
+        message: categoriesError.code === 'UNKNOWN_CATEGORY'
+            ? categoriesError.message
+            : 'Failed to set product categories'
+    });
+};
+
+/**
+ * Create a product in its categories, optionally with its bottle sizes
+ */
+const createProduct = async (req, res) => {
+    try {
+        const { variants, category_ids: categoryIds, ...fields } = req.body;
+
+        const { error: lookupError, categories } = await findProductCategories(categoryIds);
+
+        if (lookupError) {
+            return sendCategoriesError(res, lookupError);
+        }
+
+        const { data: product, error } = await supabaseAdmin
+            .from('products')
+            .insert([{
+                ...fields,
+                category: categories[0].slug,
+                name: sanitizeInput(fields.name),
+                description: fields.description ? sanitizeInput(fields.description) : null,
+                created_by: req.user.id,
+                updated_by: req.user.id
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Create product error:', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Failed to create product'
+            });
+        }
+
+        if (variants.length > 0) {
+            const { error: variantsError } = await supabaseAdmin
+                .from('product_variants')
+                .insert(variants.map(variant => ({ ...variant, product_id: product.id })));
+
+            if (variantsError) {
+                console.error('Create product variants error:', variantsError);
+                // Don't leave a half-made product behind
+                await supabaseAdmin.from('products').delete().eq('id', product.id);
+
+                return res.status(400).json({
+                    success: false,
+                    message: 'Failed to create product sizes'
+                });
+            }
+        }
+
+        const { error: categoriesError } = await setProductCategories(product.id, categoryIds);
+
+        if (categoriesError) {
+            await supabaseAdmin.from('products').delete().eq('id', product.id);
+            return sendCategoriesError(res, categoriesError);
+        }
+
+        await recordProductChange(product.id, 'create', req.user.id, req.body);
+
+        const { data: completeProduct } = await supabaseAdmin
+            .from('products')
+            .select(ADMIN_PRODUCT_SELECT)
+            .eq('id', product.id)
+            .single();
+
+        res.status(201).json({
+            success: true,
+            message: 'Product created successfully',
+            data: completeProduct || product
+        });
+
+    } catch (error) {
+        console.error('Create product error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Update product details
+ */
+const updateProduct = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { category_ids: categoryIds, ...fields } = req.body;
+
+        const updateData = { ...fields, updated_by: req.user.id };
+        if (updateData.name) updateData.name = sanitizeInput(updateData.name);
+        if (updateData.description) updateData.description = sanitizeInput(updateData.description);
+
+        // Check the categories before changing anything, and keep products.category on the primary one
+        if (categoryIds) {
+            const { error: lookupError, categories } = await findProductCategories(categoryIds);
+
+            if (lookupError) {
+                return sendCategoriesError(res, lookupError);
+            }
+
+            updateData.category = categories[0].slug;
+        }
+
+        const { data: updatedProduct, error } = await supabaseAdmin
+            .from('products')
+            .update(updateData)
+            .eq('id', id)
+            .select(ADMIN_PRODUCT_SELECT)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Update product error:', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Failed to update product'
+            });
+        }
+
+        if (!updatedProduct) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        let product = updatedProduct;
+
+        if (categoryIds) {
+            const { error: categoriesError } = await setProductCategories(id, categoryIds);
+
+            if (categoriesError) {
+                return sendCategoriesError(res, categoriesError);
+            }
+
+            ({ data: product } = await supabaseAdmin
+                .from('products')
+                .select(ADMIN_PRODUCT_SELECT)
+                .eq('id', id)
+                .single());
+        }
+
+        await recordProductChange(id, 'update', req.user.id, req.body);
+
+        res.json({
+            success: true,
+            message: 'Product updated successfully',
+            data: product
+        });
+
+    } catch (error) {
+        console.error('Update product error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Archive a product - hides it from the catalog without deleting order history
+ */
+const archiveProduct = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: product, error } = await supabaseAdmin
+            .from('products')
+            .update({
+                is_available: false,
+                archived_at: new Date().toISOString(),
+                archived_by: req.user.id,
+                updated_by: req.user.id
+            })
+            .eq('id', id)
+            .is('archived_at', null)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error('Archive product error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to archive product'
+            });
+        }
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found or already archived'
+            });
+        }
+
+        await recordProductChange(id, 'archive', req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Product archived successfully',
+            data: product
+        });
+
+    } catch (error) {
+        console.error('Archive product error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Restore an archived product to the catalog
+ */
+const restoreProduct = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: product, error } = await supabaseAdmin
+            .from('products')
+            .update({
+                is_available: true,
+                archived_at: null,
+                archived_by: null,
+                updated_by: req.user.id
+            })
+            .eq('id', id)
+            .not('archived_at', 'is', null)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error('Restore product error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to restore product'
+            });
+        }
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found or not archived'
+            });
+        }
+
+        await recordProductChange(id, 'restore', req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Product restored successfully',
+            data: product
+        });
+
+    } catch (error) {
+        console.error('Restore product error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Upload a product image and generate its thumbnail
+ */
+const uploadProductImage = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: existing, error: fetchError } = await supabaseAdmin
+            .from('products')
+            .select('id')
+            .eq('id', id)
+            .maybeSingle();
+
+        if (fetchError || !existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        let urls;
+        try {
+            urls = await storeProductImage(id, req.file.buffer);
+        } catch (imageError) {
+            console.error('Process product image error:', imageError);
+            return res.status(400).json({
+                success: false,
+                message: 'Could not process image'
+            });
+        }
+
+        const { data: product, error } = await supabaseAdmin
+            .from('products')
+            .update({ ...urls, updated_by: req.user.id })
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Update product image error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to save product image'
+            });
+        }
+
+        await recordProductChange(id, 'image', req.user.id, urls);
+
+        res.json({
+            success: true,
+            message: 'Product image uploaded successfully',
+            data: product
+        });
+
+    } catch (error) {
+        console.error('Upload product image error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+module.exports = {
+    listProducts,
+    getProduct,
+    createProduct,
+    updateProduct,
+    archiveProduct,
+    restoreProduct,
+    uploadProductImage
+};
@@ -4,40 +4,186 @@
  */
 
 const { supabase } = require('../db/supabase');
+const { normalizeTags, excludeAllergens, shouldHideConflicts, annotateProducts } = require('../services/healthProfile');
+const { findProductMatches, applyMatches } = require('../services/productSearch');
+const { FACET_SELECT, applyCatalogFilters, withoutFacetFilters, buildFacets } = require('../services/catalogFilters');
+const { getFeaturedProductIds } = require('../services/merchandising');
+const { annotateFavorites } = require('../services/favorites');
+const { findServingOutlet, annotateAvailability } = require('../services/stock');
+
+// Product columns plus the bottle sizes and categories it comes in
+const PRODUCT_SELECT = '*, variants:product_variants (id, sku, size_label, volume_ml, price, is_available), categories (id, slug, name)';
+
+// Category columns shown to customers
+const CATEGORY_SELECT = 'id, slug, name, description, icon_url, image_url, sort_order';
+
+// Sort options -> product columns
+const SORT_COLUMNS = {
+    name: 'name',
+    price: 'price_per_litre',
+    rating: 'rating_average',
+    created_at: 'created_at'
+};
+
+/**
+ * Sort each product's variants from smallest to largest bottle
+ */
+const sortVariants = (products) => products.map(product => ({
+    ...product,
+    variants: (product.variants || []).slice().sort((a, b) => a.volume_ml - b.volume_ml)
+}));
+
+/**
+ * Find an active category by slug
+ */
+const findCategory = async (slug) => {
+    const { data: category, error } = await supabase
+        .from('categories')
+        .select(CATEGORY_SELECT)
+        .eq('slug', slug)
+        .eq('is_active', true)
+        .maybeSingle();
+
+    if (error) throw error;
+    return category;
+};
+
+/**
+ * Get the IDs of the products in a category
+ */
+const getCategoryProductIds = async (categoryId) => {
+    const { data: rows, error } = await supabase
+        .from('product_categories')
+        .select('product_id')
+        .eq('category_id', categoryId);
+
+    if (error) throw error;
+    return rows.map(row => row.product_id);
+};
+
+/**
+ * Find the outlet serving the caller's lat/lng or default saved address
+ */
+const findCallerOutlet = (req) => findServingOutlet({
+    lat: req.query.lat,
+    lng: req.query.lng,
+    userId: req.user ? req.user.id : null
+});
+
+/**
+ * Prepare products for the caller: sorted sizes, health profile conflicts, favorites
+ * and stock at the caller's outlet - pass the outlet if it's already known
+ */
+const presentProducts = async (req, products, outlet) => {
+    const healthProfile = req.user ? req.user.health_profile : null;
+    const servingOutlet = outlet === undefined ? await findCallerOutlet(req) : outlet;
+
+    const annotated = await annotateFavorites(
+        annotateProducts(sortVariants(products), healthProfile),
+        req.user ? req.user.id : null
+    );
+
+    return annotateAvailability(annotated, servingOutlet);
+};
 
 /**
- * Get all products with optional filtering and pagination
+ * Get the products featured for the caller's outlet, in slot order
+ * Falls back to the newest products when nothing is scheduled
+ */
+const getFeaturedProductList = async (req, outlet, limit) => {
+    const featuredIds = await getFeaturedProductIds(outlet, limit);
+
+    let query = supabase
+        .from('products')
+        .select(PRODUCT_SELECT)
+        .eq('is_available', true);
+
+    if (featuredIds.length > 0) {
+        query = query.in('id', featuredIds);
+    }
+
+    const healthProfile = req.user ? req.user.health_profile : null;
+    if (shouldHideConflicts(healthProfile)) {
+        query = excludeAllergens(query, healthProfile.allergies);
+    }
+
+    const { data: products, error } = await query
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (error) throw error;
+
+    const ordered = featuredIds.length > 0
+        ? featuredIds.map(id => products.find(product => product.id === id)).filter(Boolean)
+        : products;
+
+    return presentProducts(req, ordered, outlet);
+};
+
+/**
+ * Get all products with optional filtering, facet counts and pagination
  */
 const getAllProducts = async (req, res) => {
     try {
         const { page = 1, limit = 20, category, search, sort = 'created_at', order = 'desc' } = req.query;
-        
-        let query = supabase
-            .from('products')
-            .select('*', { count: 'exact' })
-            .eq('is_available', true);
 
-        // Apply filters
-        if (category) {
-            query = query.eq('category', category);
-        }
+        // Restrict to search matches - the query text goes to Postgres as a parameter
+        const searchIds = search
+            ? (await findProductMatches(search, { limit: null })).matches.map(match => match.product_id)
+            : null;
 
-        if (search) {
-            query = query.or(`name.ilike.%${search}%,description.ilike.%${search}%`);
-        }
+        // Restrict to the category's products - an unknown category matches nothing
+        const categoryRow = category ? await findCategory(category) : null;
+        const categoryIds = category
+            ? (categoryRow ? await getCategoryProductIds(categoryRow.id) : [])
+            : null;
 
-        // Apply sorting
-        query = query.order(sort, { ascending: order === 'asc' });
+        const healthProfile = req.user ? req.user.health_profile : null;
+
+        // The listing and its facet rows share the same filters, except that facet rows leave out
+        // the category and faceted filters - buildFacets applies those so no facet filters itself
+        const filterProducts = (query, forFacets = false) => {
+            let filtered = query.eq('is_available', true);
+
+            if (categoryIds && !forFacets) {
+                filtered = filtered.in('id', categoryIds);
+            }
 
-        // Apply pagination
+            if (searchIds) {
+                filtered = filtered.in('id', searchIds);
+            }
+
+            filtered = applyCatalogFilters(filtered, forFacets ? withoutFacetFilters(req.query) : req.query);
+
+            // Apply the logged-in user's allergy settings
+            if (shouldHideConflicts(healthProfile)) {
+                filtered = excludeAllergens(filtered, healthProfile.allergies);
+            }
+
+            return filtered;
+        };
+
+        // Apply sorting and pagination
         const from = (page - 1) * limit;
         const to = from + limit - 1;
-        query = query.range(from, to);
 
-        const { data: products, error, count } = await query;
+        let listingQuery = filterProducts(supabase.from('products').select(PRODUCT_SELECT, { count: 'exact' }))
+            .order(SORT_COLUMNS[sort], { ascending: order === 'asc' });
 
-        if (error) {
-            console.error('Get products error:', error);
+        // Equal ratings rank the more-reviewed product first
+        if (sort === 'rating') {
+            listingQuery = listingQuery.order('rating_count', { ascending: order === 'asc' });
+        }
+
+        const [listing, facetRows] = await Promise.all([
+            listingQuery.range(from, to),
+            filterProducts(supabase.from('products').select(FACET_SELECT), true)
+        ]);
+
+        const { data: products, error, count } = listing;
+
+        if (error || facetRows.error) {
+            console.error('Get products error:', error || facetRows.error);
             return res.status(500).json({
                 success: false,
                 message: 'Failed to fetch products'
@@ -51,7 +197,7 @@ const getAllProducts = async (req, res) => {
 
         res.json({
             success: true,
-            data: products,
+            data: await presentProducts(req, products),
             pagination: {
                 current_page: parseInt(page),
                 total_pages: totalPages,
@@ -59,7 +205,8 @@ const getAllProducts = async (req, res) => {
                 items_per_page: parseInt(limit),
                 has_next_page: hasNextPage,
                 has_prev_page: hasPrevPage
-            }
+            },
+            facets: buildFacets(facetRows.data, req.query, categoryIds)
         });
 
     } catch (error) {
@@ -80,7 +227,7 @@ const getProductById = async (req, res) => {
 
         const { data: product, error } = await supabase
             .from('products')
-            .select('*')
+            .select(PRODUCT_SELECT)
             .eq('id', id)
             .eq('is_available', true)
             .single();
@@ -94,7 +241,7 @@ const getProductById = async (req, res) => {
 
         res.json({
             success: true,
-            data: product
+            data: (await presentProducts(req, [product]))[0]
         });
 
     } catch (error) {
@@ -111,17 +258,35 @@ const getProductById = async (req, res) => {
  */
 const getProductsByCategory = async (req, res) => {
     try {
-        const { category } = req.params;
+        const { category: slug } = req.params;
         const { page = 1, limit = 20 } = req.query;
 
+        const category = await findCategory(slug);
+
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category not found'
+            });
+        }
+
+        const productIds = await getCategoryProductIds(category.id);
+
         const from = (page - 1) * limit;
         const to = from + limit - 1;
 
-        const { data: products, error, count } = await supabase
+        let query = supabase
             .from('products')
-            .select('*', { count: 'exact' })
-            .eq('category', category)
-            .eq('is_available', true)
+            .select(PRODUCT_SELECT, { count: 'exact' })
+            .in('id', productIds)
+            .eq('is_available', true);
+
+        const healthProfile = req.user ? req.user.health_profile : null;
+        if (shouldHideConflicts(healthProfile)) {
+            query = excludeAllergens(query, healthProfile.allergies);
+        }
+
+        const { data: products, error, count } = await query
             .order('created_at', { ascending: false })
             .range(from, to);
 
@@ -137,13 +302,14 @@ const getProductsByCategory = async (req, res) => {
 
         res.json({
             success: true,
-            data: products,
+            data: await presentProducts(req, products),
             pagination: {
                 current_page: parseInt(page),
                 total_pages: totalPages,
                 total_items: count,
                 items_per_page: parseInt(limit)
-            }
+            },
+            category
         });
 
     } catch (error) {
@@ -160,39 +326,26 @@ const getProductsByCategory = async (req, res) => {
  */
 const getFeaturedProducts = async (req, res) => {
     try {
-        const { limit = 6 } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 6, 1), 50);
 
-        const { data: products, error } = await supabase
-            .from('products')
-            .select('*')
-            .eq('is_available', true)
-            .order('created_at', { ascending: false })
-            .limit(parseInt(limit));
-
-        if (error) {
-            console.error('Get featured products error:', error);
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to fetch featured products'
-            });
-        }
+        const outlet = await findCallerOutlet(req);
 
         res.json({
             success: true,
-            data: products
+            data: await getFeaturedProductList(req, outlet, limit)
         });
 
     } catch (error) {
         console.error('Get featured products error:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error'
+            message: 'Failed to fetch featured products'
         });
     }
 };
 
 /**
- * Search products
+ * Search products by relevance, tolerating typos
  */
 const searchProducts = async (req, res) => {
     try {
@@ -205,16 +358,23 @@ const searchProducts = async (req, res) => {
             });
         }
 
-        const from = (page - 1) * limit;
-        const to = from + limit - 1;
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
 
-        const { data: products, error, count } = await supabase
+        // Apply the logged-in user's allergy settings inside the search
+        const healthProfile = req.user ? req.user.health_profile : null;
+        const exclude = shouldHideConflicts(healthProfile) ? normalizeTags(healthProfile.allergies) : [];
+
+        const { matches, total, suggestion } = await findProductMatches(query, {
+            exclude,
+            limit: pageSize,
+            offset: (pageNumber - 1) * pageSize
+        });
+
+        const { data: products, error } = await supabase
             .from('products')
-            .select('*', { count: 'exact' })
-            .eq('is_available', true)
-            .or(`name.ilike.%${query}%,description.ilike.%${query}%,ingredients.cs.["${query}"]`)
-            .order('name')
-            .range(from, to);
+            .select(PRODUCT_SELECT)
+            .in('id', matches.map(match => match.product_id));
 
         if (error) {
             console.error('Search products error:', error);
@@ -224,18 +384,19 @@ const searchProducts = async (req, res) => {
             });
         }
 
-        const totalPages = Math.ceil(count / limit);
+        const totalPages = Math.ceil(total / pageSize);
 
         res.json({
             success: true,
-            data: products,
+            data: await presentProducts(req, applyMatches(products, matches)),
             pagination: {
-                current_page: parseInt(page),
+                current_page: pageNumber,
                 total_pages: totalPages,
-                total_items: count,
-                items_per_page: parseInt(limit)
+                total_items: total,
+                items_per_page: pageSize
             },
-            search_query: query
+            search_query: query,
+            did_you_mean: suggestion
         });
 
     } catch (error) {
@@ -247,42 +408,61 @@ const searchProducts = async (req, res) => {
     }
 };
 
+/**
+ * List active categories in display order, with how many available products each has
+ */
+const listActiveCategories = async () => {
+    const [{ data: categories, error }, { data: memberships, error: countError }] = await Promise.all([
+        supabase
+            .from('categories')
+            .select(CATEGORY_SELECT)
+            .eq('is_active', true)
+            .order('sort_order')
+            .order('name'),
+        supabase
+            .from('product_categories')
+            .select('category_id, products!inner (id)')
+            .eq('products.is_available', true)
+    ]);
+
+    if (error || countError) throw error || countError;
+
+    const productCounts = {};
+    for (const membership of memberships) {
+        productCounts[membership.category_id] = (productCounts[membership.category_id] || 0) + 1;
+    }
+
+    return categories.map(category => ({
+        ...category,
+        product_count: productCounts[category.id] || 0
+    }));
+};
+
 /**
  * Get product categories
  */
 const getCategories = async (req, res) => {
     try {
-        const { data: categories, error } = await supabase
-            .from('products')
-            .select('category')
-            .eq('is_available', true)
-            .group('category');
-
-        if (error) {
-            console.error('Get categories error:', error);
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to fetch categories'
-            });
-        }
-
-        const uniqueCategories = [...new Set(categories.map(item => item.category))];
-
         res.json({
             success: true,
-            data: uniqueCategories
+            data: await listActiveCategories()
         });
 
     } catch (error) {
         console.error('Get categories error:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error'
+            message: 'Failed to fetch categories'
         });
     }
 };
 
 module.exports = {
+    PRODUCT_SELECT,
+    findCallerOutlet,
+    presentProducts,
+    getFeaturedProductList,
+    listActiveCategories,
     getAllProducts,
     getProductById,
     getProductsByCategory,
@@ -4,13 +4,14 @@
  */
 
 const { supabase } = require('../db/supabase');
+const { findAllergyConflicts } = require('../services/healthProfile');
 
 /**
  * Get juice recommendations based on symptoms and allergies
  */
 const getRecommendations = async (req, res) => {
     try {
-        const { symptoms, allergies = [] } = req.body;
+        const { symptoms, allergies: requestAllergies = [] } = req.body;
 
         if (!symptoms || !Array.isArray(symptoms) || symptoms.length === 0) {
             return res.status(400).json({
@@ -19,6 +20,18 @@ const getRecommendations = async (req, res) => {
             });
         }
 
+        // Merge in the logged-in user's stored health profile
+        const healthProfile = req.user ? req.user.health_profile : null;
+        const allergies = [...new Set([
+            ...requestAllergies.map(allergy => allergy.toLowerCase()),
+            ...(healthProfile ? healthProfile.allergies : [])
+        ])];
+        const dietaryRestrictions = healthProfile ? healthProfile.dietary_restrictions : [];
+        const goals = healthProfile ? healthProfile.goals : [];
+
+        // Goals count like symptoms when matching health benefits
+        const healthTerms = [...symptoms, ...goals];
+
         // Get symptom-ingredient mappings
         const { data: symptomMappings, error: symptomError } = await supabase
             .from('symptoms_ingredients')
@@ -53,9 +66,9 @@ const getRecommendations = async (req, res) => {
             }
         });
 
-        // Add user allergies to avoid list
-        allergies.forEach(allergy => {
-            avoidIngredients.add(allergy.toLowerCase());
+        // Add user allergies and dietary restrictions to avoid list
+        [...allergies, ...dietaryRestrictions].forEach(ingredient => {
+            avoidIngredients.add(ingredient.toLowerCase());
         });
 
         // Get all available products
@@ -76,7 +89,7 @@ const getRecommendations = async (req, res) => {
         const scoredProducts = products.map(product => {
             let score = 0;
             let matchedIngredients = [];
-            let hasAvoidedIngredients = false;
+            let hasAvoidedIngredients = findAllergyConflicts(product, allergies).length > 0;
 
             if (product.ingredients && Array.isArray(product.ingredients)) {
                 product.ingredients.forEach(ingredient => {
@@ -96,11 +109,11 @@ const getRecommendations = async (req, res) => {
                 });
             }
 
-            // Bonus points for health benefits matching symptoms
+            // Bonus points for health benefits matching symptoms and goals
             if (product.health_benefits && Array.isArray(product.health_benefits)) {
                 product.health_benefits.forEach(benefit => {
                     const lowerBenefit = benefit.toLowerCase();
-                    symptoms.forEach(symptom => {
+                    healthTerms.forEach(symptom => {
                         if (lowerBenefit.includes(symptom.toLowerCase()) || 
                             symptom.toLowerCase().includes(lowerBenefit)) {
                             score += 3;
@@ -109,6 +122,17 @@ const getRecommendations = async (req, res) => {
                 });
             }
 
+            // Penalty for going over the user's calorie or sugar targets
+            const nutrition = product.nutritional_info || {};
+            if (healthProfile && healthProfile.max_calories_per_100ml != null &&
+                (nutrition.calories_per_100ml || 0) > healthProfile.max_calories_per_100ml) {
+                score -= 5;
+            }
+            if (healthProfile && healthProfile.max_sugar_per_100ml != null &&
+                (nutrition.sugar_per_100ml || 0) > healthProfile.max_sugar_per_100ml) {
+                score -= 5;
+            }
+
             return {
                 ...product,
                 recommendation_score: score,
@@ -117,7 +141,7 @@ const getRecommendations = async (req, res) => {
                 recommendation_reasons: generateRecommendationReasons(
                     matchedIngredients, 
                     product.health_benefits || [], 
-                    symptoms
+                    healthTerms
                 )
             };
         });
@@ -132,6 +156,10 @@ const getRecommendations = async (req, res) => {
         if (filteredProducts.length === 0) {
             const generalRecommendations = products
                 .filter(product => {
+                    if (findAllergyConflicts(product, allergies).length > 0) {
+                        return false;
+                    }
+
                     // Ensure no avoided ingredients
                     if (product.ingredients && Array.isArray(product.ingredients)) {
                         return !product.ingredients.some(ingredient => 
@@ -157,6 +185,7 @@ const getRecommendations = async (req, res) => {
                     recommendations: generalRecommendations,
                     symptoms_analyzed: symptoms,
                     allergies_considered: allergies,
+                    health_profile_applied: Boolean(healthProfile),
                     total_products_analyzed: products.length
                 }
             });
@@ -169,6 +198,7 @@ const getRecommendations = async (req, res) => {
                 recommendations: filteredProducts,
                 symptoms_analyzed: symptoms,
                 allergies_considered: allergies,
+                health_profile_applied: Boolean(healthProfile),
                 total_products_analyzed: products.length,
                 symptom_mappings_found: symptomMappings.length
             }
@@ -0,0 +1,593 @@
+/**
+ * Review Controller
+ * Handles product ratings, reviews, photos and helpful votes
+ */
+
+const { supabaseAdmin } = require('../db/supabase');
+const { sanitizeInput } = require('../utils/helpers');
+const { storeReviewPhoto } = require('../services/productImages');
+
+// Photos a customer can attach to one review
+const MAX_REVIEW_PHOTOS = 3;
+
+// Review columns shown publicly
+const PUBLIC_REVIEW_SELECT = 'id, product_id, rating, title, body, photo_urls, helpful_count, created_at, users!product_reviews_user_id_fkey (name)';
+
+// Sort options for product reviews
+const REVIEW_SORTS = {
+    recent: [['created_at', false]],
+    helpful: [['helpful_count', false], ['created_at', false]],
+    rating_high: [['rating', false], ['created_at', false]],
+    rating_low: [['rating', true], ['created_at', false]]
+};
+
+/**
+ * Show reviewers by first name only
+ */
+const formatPublicReview = ({ users, ...review }) => ({
+    ...review,
+    reviewer_name: users && users.name ? users.name.split(' ')[0] : 'Customer'
+});
+
+/**
+ * Get a review owned by the user, or null
+ */
+const getOwnReview = async (userId, reviewId) => {
+    const { data: review } = await supabaseAdmin
+        .from('product_reviews')
+        .select('*')
+        .eq('id', reviewId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    return review;
+};
+
+/**
+ * Get approved reviews for a product, with its rating summary
+ */
+const getProductReviews = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { page = 1, limit = 10, sort = 'recent' } = req.query;
+
+        const from = (page - 1) * limit;
+        const to = from + limit - 1;
+
+        let query = supabaseAdmin
+            .from('product_reviews')
+            .select(PUBLIC_REVIEW_SELECT, { count: 'exact' })
+            .eq('product_id', id)
+            .eq('status', 'approved');
+
+        for (const [column, ascending] of REVIEW_SORTS[sort]) {
+            query = query.order(column, { ascending });
+        }
+
+        const [{ data: reviews, error, count }, { data: ratings, error: ratingsError }, { data: product }] = await Promise.all([
+            query.range(from, to),
+            supabaseAdmin
+                .from('product_reviews')
+                .select('rating')
+                .eq('product_id', id)
+                .eq('status', 'approved'),
+            supabaseAdmin
+                .from('products')
+                .select('rating_average, rating_count')
+                .eq('id', id)
+                .maybeSingle()
+        ]);
+
+        if (error || ratingsError) {
+            console.error('Get product reviews error:', error || ratingsError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch reviews'
+            });
+        }
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        // How many reviews gave each star rating
+        const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        for (const { rating } of ratings) {
+            distribution[rating]++;
+        }
+
+        res.json({
+            success: true,
+            data: reviews.map(formatPublicReview),
+            summary: {
+                rating_average: parseFloat(product.rating_average),
+                rating_count: product.rating_count,
+                distribution
+            },
+            pagination: {
+                current_page: parseInt(page),
+                total_pages: Math.ceil(count / limit),
+                total_items: count,
+                items_per_page: parseInt(limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get product reviews error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Get the user's own reviews in any moderation state
+ */
+const getMyReviews = async (req, res) => {
+    try {
+        const { data: reviews, error } = await supabaseAdmin
+            .from('product_reviews')
+            .select('*, products (name, image_url)')
+            .eq('user_id', req.user.id)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Get my reviews error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch reviews'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: reviews
+        });
+
+    } catch (error) {
+        console.error('Get my reviews error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Review a product from a delivered order - one review per order item
+ */
+const createReview = async (req, res) => {
+    try {
+        const { order_item_id, rating, title, body } = req.body;
+
+        const { data: orderItem } = await supabaseAdmin
+            .from('order_items')
+            .select('id, product_id, orders!inner (user_id, status)')
+            .eq('id', order_item_id)
+            .eq('orders.user_id', req.user.id)
+            .maybeSingle();
+
+        if (!orderItem) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order item not found'
+            });
+        }
+
+        if (orderItem.orders.status !== 'delivered') {
+            return res.status(400).json({
+                success: false,
+                message: 'You can review a product once your order is delivered'
+            });
+        }
+
+        const { data: review, error } = await supabaseAdmin
+            .from('product_reviews')
+            .insert([{
+                product_id: orderItem.product_id,
+                order_item_id,
+                user_id: req.user.id,
+                rating,
+                title: title ? sanitizeInput(title) : null,
+                body: body ? sanitizeInput(body) : null
+            }])
+            .select()
+            .single();
+
+        // Unique violation on order_item_id
+        if (error && error.code === '23505') {
+            return res.status(409).json({
+                success: false,
+                message: 'You have already reviewed this item'
+            });
+        }
+
+        if (error) {
+            console.error('Create review error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to submit review'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Review submitted and awaiting moderation',
+            data: review
+        });
+
+    } catch (error) {
+        console.error('Create review error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Edit the user's review - it goes back to moderation
+ */
+const updateReview = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const updateData = {
+            ...req.body,
+            status: 'pending',
+            moderation_note: null,
+            moderated_by: null,
+            moderated_at: null
+        };
+        if (updateData.title) updateData.title = sanitizeInput(updateData.title);
+        if (updateData.body) updateData.body = sanitizeInput(updateData.body);
+
+        const { data: review, error } = await supabaseAdmin
+            .from('product_reviews')
+            .update(updateData)
+            .eq('id', id)
+            .eq('user_id', req.user.id)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error('Update review error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update review'
+            });
+        }
+
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: 'Review not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Review updated and awaiting moderation',
+            data: review
+        });
+
+    } catch (error) {
+        console.error('Update review error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Delete the user's review
+ */
+const deleteReview = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: review, error } = await supabaseAdmin
+            .from('product_reviews')
+            .delete()
+            .eq('id', id)
+            .eq('user_id', req.user.id)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error('Delete review error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to delete review'
+            });
+        }
+
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: 'Review not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Review deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete review error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Attach a photo to the user's review - it goes back to moderation
+ */
+const uploadReviewPhoto = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const review = await getOwnReview(req.user.id, id);
+
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: 'Review not found'
+            });
+        }
+
+        if (review.photo_urls.length >= MAX_REVIEW_PHOTOS) {
+            return res.status(400).json({
+                success: false,
+                message: `A review can have at most ${MAX_REVIEW_PHOTOS} photos`
+            });
+        }
+
+        let photoUrl;
+        try {
+            photoUrl = await storeReviewPhoto(id, req.file.buffer);
+        } catch (imageError) {
+            console.error('Process review photo error:', imageError);
+            return res.status(400).json({
+                success: false,
+                message: 'Could not process image'
+            });
+        }
+
+        const { data: updatedReview, error } = await supabaseAdmin
+            .from('product_reviews')
+            .update({
+                photo_urls: [...review.photo_urls, photoUrl],
+                status: 'pending'
+            })
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Save review photo error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to save photo'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Photo added and awaiting moderation',
+            data: updatedReview
+        });
+
+    } catch (error) {
+        console.error('Upload review photo error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Mark an approved review as helpful - voting twice is a no-op
+ */
+const markReviewHelpful = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: review } = await supabaseAdmin
+            .from('product_reviews')
+            .select('id, user_id')
+            .eq('id', id)
+            .eq('status', 'approved')
+            .maybeSingle();
+
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: 'Review not found'
+            });
+        }
+
+        if (review.user_id === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot vote on your own review'
+            });
+        }
+
+        const { error } = await supabaseAdmin
+            .from('review_votes')
+            .upsert({ review_id: id, user_id: req.user.id }, { onConflict: 'review_id,user_id', ignoreDuplicates: true });
+
+        if (error) {
+            console.error('Mark review helpful error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to record vote'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Marked as helpful'
+        });
+
+    } catch (error) {
+        console.error('Mark review helpful error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Remove the user's helpful vote from a review
+ */
+const unmarkReviewHelpful = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { error } = await supabaseAdmin
+            .from('review_votes')
+            .delete()
+            .eq('review_id', id)
+            .eq('user_id', req.user.id);
+
+        if (error) {
+            console.error('Unmark review helpful error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to remove vote'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Vote removed'
+        });
+
+    } catch (error) {
+        console.error('Unmark review helpful error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * List reviews for moderation, oldest first (admin)
+ */
+const listReviewsForModeration = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status = 'pending' } = req.query;
+
+        const from = (page - 1) * limit;
+        const to = from + limit - 1;
+
+        const { data: reviews, error, count } = await supabaseAdmin
+            .from('product_reviews')
+            .select('*, products (name), users!product_reviews_user_id_fkey (name, email)', { count: 'exact' })
+            .eq('status', status)
+            .order('created_at', { ascending: true })
+            .range(from, to);
+
+        if (error) {
+            console.error('List reviews for moderation error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch reviews'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: reviews,
+            pagination: {
+                current_page: parseInt(page),
+                total_pages: Math.ceil(count / limit),
+                total_items: count,
+                items_per_page: parseInt(limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('List reviews for moderation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Approve or reject a review (admin)
+ */
+const moderateReview = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, note } = req.body;
+
+        const { data: review, error } = await supabaseAdmin
+            .from('product_reviews')
+            .update({
+                status,
+                moderation_note: note || null,
+                moderated_by: req.user.id,
+                moderated_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error('Moderate review error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to moderate review'
+            });
+        }
+
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: 'Review not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Review ${status}`,
+            data: review
+        });
+
+    } catch (error) {
+        console.error('Moderate review error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+module.exports = {
+    getProductReviews,
+    getMyReviews,
+    createReview,
+    updateReview,
+    deleteReview,
+    uploadReviewPhoto,
+    markReviewHelpful,
+    unmarkReviewHelpful,
+    listReviewsForModeration,
+    moderateReview
+};
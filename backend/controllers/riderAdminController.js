@@ -0,0 +1,122 @@
+/**
+ * Rider Admin Controller
+ * Handles riders' home outlets and capacity for administrators
+ */
+
+const { supabaseAdmin } = require('../db/supabase');
+const { dispatchWaitingOrders } = require('../services/riders');
+
+const ADMIN_RIDER_SELECT = '*, users (id, name, email, phone), outlets (id, name)';
+
+/**
+ * List riders, busiest first
+ */
+const listRiders = async (req, res) => {
+    try {
+        const { on_shift, outlet_id } = req.query;
+
+        let query = supabaseAdmin
+            .from('riders')
+            .select(ADMIN_RIDER_SELECT)
+            .order('current_load', { ascending: false })
+            .order('created_at', { ascending: true });
+
+        if (on_shift !== undefined) {
+            query = query.eq('on_shift', on_shift);
+        }
+
+        if (outlet_id) {
+            query = query.eq('home_outlet_id', outlet_id);
+        }
+
+        const { data: riders, error } = await query;
+
+        if (error) {
+            console.error('List riders error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch riders'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: riders
+        });
+
+    } catch (error) {
+        console.error('List riders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Change a rider's home outlet or how many orders they can hold at once
+ */
+const updateRider = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { home_outlet_id } = req.body;
+
+        if (home_outlet_id) {
+            const { data: outlet } = await supabaseAdmin
+                .from('outlets')
+                .select('id')
+                .eq('id', home_outlet_id)
+                .maybeSingle();
+
+            if (!outlet) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Outlet not found'
+                });
+            }
+        }
+
+        const { data: rider, error } = await supabaseAdmin
+            .from('riders')
+            .update(req.body)
+            .eq('user_id', id)
+            .select(ADMIN_RIDER_SELECT)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Update rider error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update rider'
+            });
+        }
+
+        if (!rider) {
+            return res.status(404).json({
+                success: false,
+                message: 'Rider not found'
+            });
+        }
+
+        // The rider may now have room for an order that is waiting
+        await dispatchWaitingOrders();
+
+        res.json({
+            success: true,
+            message: 'Rider updated successfully',
+            data: rider
+        });
+
+    } catch (error) {
+        console.error('Update rider error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+module.exports = {
+    listRiders,
+    updateRider
+};
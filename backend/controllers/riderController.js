@@ -0,0 +1,237 @@
+/**
+ * Rider Controller
+ * Handles riders' shifts and the orders offered to them
+ */
+
+const { supabaseAdmin } = require('../db/supabase');
+const { sanitizeInput, getStatusMessage } = require('../utils/helpers');
+const {
+    OPEN_ASSIGNMENT_STATUSES,
+    setRiderShift,
+    respondToAssignment,
+    deliverAssignment
+} = require('../services/riders');
+
+// What a rider needs to pick up and deliver an order
+const ASSIGNMENT_SELECT = `
+    id, status, decline_reason, offered_at, responded_at,
+    orders (
+        id, status, estimated_delivery_time, notes, payment_method, payment_status, total_amount,
+        delivery_address, delivery_lat, delivery_lng,
+        customer:users!orders_user_id_fkey (name, phone),
+        outlets (name, address, phone, lat, lng),
+        order_items (
+            id, quantity_litres, bottle_count, pricing_unit, blend_snapshot,
+            products (name),
+            product_variants (size_label)
+        )
+    )
+`;
+
+/**
+ * Send a rider service error
+ */
+const sendRiderError = (res, error) => res.status(error.status).json({
+    success: false,
+    code: error.code,
+    message: error.message
+});
+
+/**
+ * Get the rider's shift, home outlet and current load
+ */
+const getRiderProfile = async (req, res) => {
+    try {
+        const { data: rider, error } = await supabaseAdmin
+            .from('riders')
+            .select('*, outlets (id, name, address, phone)')
+            .eq('user_id', req.user.id)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Get rider profile error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch rider profile'
+            });
+        }
+
+        if (!rider) {
+            return res.status(404).json({
+                success: false,
+                message: 'Rider not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: rider
+        });
+
+    } catch (error) {
+        console.error('Get rider profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Start or end the rider's shift
+ */
+const updateShift = async (req, res) => {
+    try {
+        const { on_shift } = req.body;
+
+        const { error, rider } = await setRiderShift(req.user.id, on_shift);
+
+        if (error) {
+            return sendRiderError(res, error);
+        }
+
+        res.json({
+            success: true,
+            message: on_shift ? 'Shift started' : 'Shift ended',
+            data: rider
+        });
+
+    } catch (error) {
+        console.error('Update shift error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Get the orders offered to the rider - open ones by default, oldest first
+ */
+const getAssignments = async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        const { data: assignments, error } = await supabaseAdmin
+            .from('rider_assignments')
+            .select(ASSIGNMENT_SELECT)
+            .eq('rider_id', req.user.id)
+            .in('status', status ? [status] : OPEN_ASSIGNMENT_STATUSES)
+            .order('offered_at', { ascending: true })
+            .limit(50);
+
+        if (error) {
+            console.error('Get assignments error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch assignments'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: assignments
+        });
+
+    } catch (error) {
+        console.error('Get assignments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Accept an order offered to the rider
+ */
+const acceptAssignment = async (req, res) => {
+    try {
+        const { error, assignment } = await respondToAssignment(req.params.id, req.user.id, true);
+
+        if (error) {
+            return sendRiderError(res, error);
+        }
+
+        res.json({
+            success: true,
+            message: 'Assignment accepted',
+            data: assignment
+        });
+
+    } catch (error) {
+        console.error('Accept assignment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Decline an order offered to the rider - it is offered to the next available rider
+ */
+const declineAssignment = async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        const { error, assignment } = await respondToAssignment(
+            req.params.id,
+            req.user.id,
+            false,
+            reason ? sanitizeInput(reason) : null
+        );
+
+        if (error) {
+            return sendRiderError(res, error);
+        }
+
+        res.json({
+            success: true,
+            message: 'Assignment declined',
+            data: assignment
+        });
+
+    } catch (error) {
+        console.error('Decline assignment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Mark an accepted order as delivered to the customer
+ */
+const completeDelivery = async (req, res) => {
+    try {
+        const { error, order } = await deliverAssignment(req.params.id, req.user.id);
+
+        if (error) {
+            return sendRiderError(res, error);
+        }
+
+        res.json({
+            success: true,
+            message: getStatusMessage(order.status),
+            data: order
+        });
+
+    } catch (error) {
+        console.error('Complete delivery error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+module.exports = {
+    getRiderProfile,
+    updateShift,
+    getAssignments,
+    acceptAssignment,
+    declineAssignment,
+    completeDelivery
+};
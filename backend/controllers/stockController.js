@@ -0,0 +1,109 @@
+/**
+ * Stock Controller
+ * Handles per-outlet stock levels for outlet staff and admins
+ */
+
+const { supabaseAdmin } = require('../db/supabase');
+
+/**
+ * Get stock levels for every product at an outlet
+ */
+const getOutletStock = async (req, res) => {
+    try {
+        const { outletId } = req.params;
+
+        const { data: stock, error } = await supabaseAdmin
+            .from('outlet_stock')
+            .select('product_id, quantity_litres, is_available, updated_at, products (name, category, is_available)')
+            .eq('outlet_id', outletId)
+            .order('quantity_litres', { ascending: true });
+
+        if (error) {
+            console.error('Get outlet stock error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch stock'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: stock
+        });
+
+    } catch (error) {
+        console.error('Get outlet stock error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Set a product's stock level at an outlet - the product is unavailable there while it is zero
+ */
+const updateOutletStock = async (req, res) => {
+    try {
+        const { outletId, productId } = req.params;
+        const { quantity_litres } = req.body;
+
+        const { data: product } = await supabaseAdmin
+            .from('products')
+            .select('id')
+            .eq('id', productId)
+            .maybeSingle();
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        const { data: stock, error } = await supabaseAdmin
+            .from('outlet_stock')
+            .upsert({
+                outlet_id: outletId,
+                product_id: productId,
+                quantity_litres,
+                updated_by: req.user.id
+            }, { onConflict: 'outlet_id,product_id' })
+            .select('product_id, quantity_litres, is_available, updated_at')
+            .single();
+
+        // Foreign key violation - no such outlet
+        if (error && error.code === '23503') {
+            return res.status(404).json({
+                success: false,
+                message: 'Outlet not found'
+            });
+        }
+
+        if (error) {
+            console.error('Update outlet stock error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update stock'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Stock updated successfully',
+            data: stock
+        });
+
+    } catch (error) {
+        console.error('Update outlet stock error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+module.exports = {
+    getOutletStock,
+    updateOutletStock
+};
@@ -43,6 +43,36 @@ const supabaseAdmin = createClient(
     }
 );
 
+/**
+ * Create a throwaway anon client for per-request auth calls
+ * (refresh, OTP verification) so user sessions never land on the shared client.
+ * Pass codeVerifier to exchange a PKCE authorization code from a mobile OAuth flow.
+ */
+const createAuthClient = ({ codeVerifier } = {}) => {
+    const storageKey = 'fruity-gulp-auth';
+    const memory = codeVerifier ? { [`${storageKey}-code-verifier`]: codeVerifier } : {};
+
+    return createClient(
+        process.env.SUPABASE_URL,
+        process.env.SUPABASE_ANON_KEY,
+        {
+            auth: {
+                autoRefreshToken: false,
+                persistSession: true,
+                detectSessionInUrl: false,
+                flowType: 'pkce',
+                storageKey,
+                // Per-client memory storage, discarded with the client
+                storage: {
+                    getItem: (key) => memory[key] ?? null,
+                    setItem: (key, value) => { memory[key] = value; },
+                    removeItem: (key) => { delete memory[key]; }
+                }
+            }
+        }
+    );
+};
+
 /**
  * Test database connection
  */
@@ -69,5 +99,6 @@ const testConnection = async () => {
 module.exports = {
     supabase,
     supabaseAdmin,
+    createAuthClient,
     testConnection
 };
\ No newline at end of file
@@ -4,7 +4,80 @@
  */
 
 const jwt = require('jsonwebtoken');
-const { supabase } = require('../db/supabase');
+const { supabase, supabaseAdmin } = require('../db/supabase');
+const { getCachedProfile, setCachedProfile, isSessionRevoked } = require('../services/authCache');
+
+// Profile columns plus staff outlets and the stored health profile
+const PROFILE_SELECT = '*, outlet_staff (outlet_id), user_health_profiles (*)';
+
+// "local" verifies token signatures with SUPABASE_JWT_SECRET; "remote" asks Supabase Auth every time
+const useLocalVerification = () =>
+    (process.env.AUTH_VERIFICATION_MODE || 'local') === 'local' && Boolean(process.env.SUPABASE_JWT_SECRET);
+
+/**
+ * Verify an access token and return the auth user it belongs to, or null
+ */
+const verifyAccessToken = async (token) => {
+    const header = jwt.decode(token, { complete: true })?.header;
+
+    // Projects on asymmetric signing keys can't be checked with the shared secret
+    if (useLocalVerification() && header?.alg === 'HS256') {
+        try {
+            const claims = jwt.verify(token, process.env.SUPABASE_JWT_SECRET, {
+                algorithms: ['HS256'],
+                audience: 'authenticated'
+            });
+
+            if (isSessionRevoked(claims)) return null;
+
+            return {
+                id: claims.sub,
+                email: claims.email,
+                phone: claims.phone
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+    return error || !user ? null : user;
+};
+
+/**
+ * Get a user profile row, from the short-lived cache when possible
+ * Read with the service role: outlet_staff has no RLS policies, so the anon client would see no outlets
+ */
+const getUserProfile = async (authUserId) => {
+    const cached = getCachedProfile(authUserId);
+    if (cached) return { data: cached, error: null };
+
+    const { data, error } = await supabaseAdmin
+        .from('users')
+        .select(PROFILE_SELECT)
+        .eq('auth_user_id', authUserId)
+        .single();
+
+    if (!error && data) {
+        setCachedProfile(authUserId, data);
+    }
+
+    return { data, error };
+};
+
+/**
+ * Build the req.user object from the auth user and profile row
+ */
+const buildRequestUser = (user, userProfile) => ({
+    id: userProfile.id,
+    auth_user_id: user.id,
+    email: user.email,
+    name: userProfile.name,
+    phone: userProfile.phone,
+    role: userProfile.role || 'customer',
+    outlet_ids: (userProfile.outlet_staff || []).map(staff => staff.outlet_id),
+    health_profile: userProfile.user_health_profiles || null
+});
 
 /**
  * Verify JWT token and authenticate user
@@ -21,10 +94,9 @@ const authenticateToken = async (req, res, next) => {
             });
         }
 
-        // Verify token with Supabase
-        const { data: { user }, error } = await supabase.auth.getUser(token);
+        const user = await verifyAccessToken(token);
 
-        if (error || !user) {
+        if (!user) {
             return res.status(403).json({
                 success: false,
                 message: 'Invalid or expired token'
@@ -32,11 +104,7 @@ const authenticateToken = async (req, res, next) => {
         }
 
         // Get user profile from our users table
-        const { data: userProfile, error: profileError } = await supabase
-            .from('users')
-            .select('*')
-            .eq('auth_user_id', user.id)
-            .single();
+        const { data: userProfile, error: profileError } = await getUserProfile(user.id);
 
         if (profileError) {
             console.error('Error fetching user profile:', profileError);
@@ -47,13 +115,10 @@ const authenticateToken = async (req, res, next) => {
         }
 
         // Attach user info to request
-        req.user = {
-            id: userProfile.id,
-            auth_user_id: user.id,
-            email: user.email,
-            name: userProfile.name,
-            phone: userProfile.phone
-        };
+        req.user = buildRequestUser(user, userProfile);
+
+        // Keep the raw token so handlers can act on the caller's own session
+        req.accessToken = token;
 
         next();
     } catch (error) {
@@ -78,26 +143,16 @@ const optionalAuth = async (req, res, next) => {
             return next();
         }
 
-        const { data: { user }, error } = await supabase.auth.getUser(token);
+        const user = await verifyAccessToken(token);
 
-        if (error || !user) {
+        if (!user) {
             req.user = null;
             return next();
         }
 
-        const { data: userProfile } = await supabase
-            .from('users')
-            .select('*')
-            .eq('auth_user_id', user.id)
-            .single();
+        const { data: userProfile } = await getUserProfile(user.id);
 
-        req.user = userProfile ? {
-            id: userProfile.id,
-            auth_user_id: user.id,
-            email: user.email,
-            name: userProfile.name,
-            phone: userProfile.phone
-        } : null;
+        req.user = userProfile ? buildRequestUser(user, userProfile) : null;
 
         next();
     } catch (error) {
@@ -106,7 +161,58 @@ const optionalAuth = async (req, res, next) => {
     }
 };
 
+/**
+ * Restrict a route to the given roles - use after authenticateToken
+ */
+const authorize = (...roles) => {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Access token required'
+            });
+        }
+
+        if (!roles.includes(req.user.role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to perform this action'
+            });
+        }
+
+        next();
+    };
+};
+
+/**
+ * Check whether a user may act on an outlet - admins everywhere, staff only at their outlets
+ */
+const canAccessOutlet = (user, outletId) => {
+    if (!user) return false;
+    if (user.role === 'admin') return true;
+    return user.role === 'outlet_staff' && user.outlet_ids.includes(outletId);
+};
+
+/**
+ * Restrict a route to staff of the outlet named in a route parameter - use after authenticateToken
+ */
+const authorizeOutlet = (param = 'outletId') => {
+    return (req, res, next) => {
+        if (!canAccessOutlet(req.user, req.params[param])) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have access to this outlet'
+            });
+        }
+
+        next();
+    };
+};
+
 module.exports = {
     authenticateToken,
-    optionalAuth
+    optionalAuth,
+    authorize,
+    authorizeOutlet,
+    canAccessOutlet
 };
\ No newline at end of file
@@ -0,0 +1,97 @@
+/**
+ * Idempotency middleware
+ * Replays the stored response when a client retries a request with the same Idempotency-Key
+ */
+
+const crypto = require('crypto');
+const {
+    claimIdempotencyKey,
+    saveIdempotentResponse,
+    releaseIdempotencyKey
+} = require('../services/idempotency');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Hash what identifies a request, so a key reused for something else can be rejected
+ */
+const hashRequest = (req) => crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n`)
+    .update(req.rawBody || '')
+    .digest('hex');
+
+/**
+ * Make a route safe to retry with an Idempotency-Key header
+ * Requests without the header run as normal. Must come after authenticateToken, since keys are per user.
+ * Responses under 500 are stored and replayed; after a server error the key can be retried.
+ */
+const idempotency = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+
+    if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            message: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`
+        });
+    }
+
+    const userId = req.user.id;
+    const requestHash = hashRequest(req);
+
+    let claim;
+    try {
+        claim = await claimIdempotencyKey(userId, key, requestHash);
+    } catch (error) {
+        console.error('Claim idempotency key error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+
+    const { existing } = claim;
+
+    if (existing) {
+        if (existing.request_hash !== requestHash) {
+            return res.status(409).json({
+                success: false,
+                code: 'IDEMPOTENCY_KEY_REUSED',
+                message: 'This Idempotency-Key was already used for a different request'
+            });
+        }
+
+        if (existing.status_code === null) {
+            return res.status(409).json({
+                success: false,
+                code: 'IDEMPOTENCY_KEY_IN_USE',
+                message: 'A request with this Idempotency-Key is still being processed'
+            });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.status_code).json(existing.response_body);
+    }
+
+    // Store the response before sending it, so a retry never runs the request twice
+    const sendJson = res.json.bind(res);
+
+    res.json = (body) => {
+        const store = res.statusCode < 500
+            ? saveIdempotentResponse(userId, key, res.statusCode, body)
+            : releaseIdempotencyKey(userId, key);
+
+        store
+            .catch(error => console.error('Store idempotent response error:', error))
+            .finally(() => sendJson(body));
+
+        return res;
+    };
+
+    next();
+};
+
+module.exports = {
+    idempotency
+};
@@ -0,0 +1,55 @@
+/**
+ * Rate limiting middleware
+ * Stricter per-route limits layered on top of the global limiter in server.js
+ */
+
+const rateLimit = require('express-rate-limit');
+
+/**
+ * Build a rate limiter that responds in the API's standard error format
+ */
+const createRateLimiter = ({ windowMs, max, message }) => rateLimit({
+    windowMs,
+    max,
+    message: {
+        success: false,
+        message
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+// Password reset requests send email, so keep them scarce
+const passwordResetRequestLimiter = createRateLimiter({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5,
+    message: 'Too many password reset requests, please try again later.'
+});
+
+// Confirming a reset guesses at a short code, so cap attempts
+const passwordResetConfirmLimiter = createRateLimiter({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10,
+    message: 'Too many password reset attempts, please try again later.'
+});
+
+// Each OTP request costs an SMS
+const otpRequestLimiter = createRateLimiter({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 5,
+    message: 'Too many verification code requests, please try again later.'
+});
+
+const otpVerifyLimiter = createRateLimiter({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10,
+    message: 'Too many verification attempts, please try again later.'
+});
+
+module.exports = {
+    createRateLimiter,
+    passwordResetRequestLimiter,
+    passwordResetConfirmLimiter,
+    otpRequestLimiter,
+    otpVerifyLimiter
+};
@@ -0,0 +1,70 @@
+/**
+ * Supabase Auth hook middleware
+ * Verifies Standard Webhooks signatures on requests Supabase Auth sends to us
+ */
+
+const crypto = require('crypto');
+
+// Reject signatures older than this to stop replays
+const TIMESTAMP_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Build middleware that checks the hook signature against the given env secret
+ * Secrets are shown in the Supabase dashboard as "v1,whsec_<base64>"
+ */
+const verifySupabaseHook = (secretEnvVar) => {
+    return (req, res, next) => {
+        const rawSecret = process.env[secretEnvVar];
+
+        if (!rawSecret) {
+            console.error(`${secretEnvVar} is not configured`);
+            return res.status(500).json({
+                error: { http_code: 500, message: 'Hook secret not configured' }
+            });
+        }
+
+        const id = req.headers['webhook-id'];
+        const timestamp = req.headers['webhook-timestamp'];
+        const signatureHeader = req.headers['webhook-signature'];
+
+        if (!id || !timestamp || !signatureHeader || !req.rawBody) {
+            return res.status(401).json({
+                error: { http_code: 401, message: 'Missing webhook signature' }
+            });
+        }
+
+        const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp));
+        if (Number.isNaN(age) || age > TIMESTAMP_TOLERANCE_SECONDS) {
+            return res.status(401).json({
+                error: { http_code: 401, message: 'Webhook timestamp out of range' }
+            });
+        }
+
+        const secret = Buffer.from(rawSecret.replace(/^v1,whsec_/, ''), 'base64');
+        const expected = crypto
+            .createHmac('sha256', secret)
+            .update(`${id}.${timestamp}.${req.rawBody.toString('utf8')}`)
+            .digest();
+
+        // Header may carry several space-separated "v1,<base64>" signatures
+        const isValid = signatureHeader.split(' ').some(entry => {
+            const [version, signature] = entry.split(',');
+            if (version !== 'v1' || !signature) return false;
+
+            const received = Buffer.from(signature, 'base64');
+            return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+        });
+
+        if (!isValid) {
+            return res.status(401).json({
+                error: { http_code: 401, message: 'Invalid webhook signature' }
+            });
+        }
+
+        next();
+    };
+};
+
+module.exports = {
+    verifySupabaseHook
+};
@@ -0,0 +1,52 @@
+/**
+ * File upload middleware using multer
+ */
+
+const multer = require('multer');
+
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024; // 5MB
+const IMAGE_TYPES = ['image/jpeg', 'image/png'];
+
+const imageUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+    fileFilter: (req, file, callback) => {
+        if (!IMAGE_TYPES.includes(file.mimetype)) {
+            return callback(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+        }
+        callback(null, true);
+    }
+});
+
+/**
+ * Accept a single JPEG or PNG image in the given multipart field
+ */
+const uploadImage = (field = 'image') => {
+    const handler = imageUpload.single(field);
+
+    return (req, res, next) => {
+        handler(req, res, (error) => {
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.code === 'LIMIT_FILE_SIZE'
+                        ? 'Image must be 5MB or smaller'
+                        : `Upload a single JPEG or PNG image in the "${field}" field`
+                });
+            }
+
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Upload a single JPEG or PNG image in the "${field}" field`
+                });
+            }
+
+            next();
+        });
+    };
+};
+
+module.exports = {
+    uploadImage
+};
@@ -50,10 +50,77 @@ const validateQuery = (schema) => {
     };
 };
 
+/**
+ * Validate route parameters against schema, so malformed IDs never reach the database
+ */
+const validateParams = (schema) => {
+    return (req, res, next) => {
+        const { error } = schema.validate(req.params);
+        
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: 'Parameter validation error',
+                errors: error.details.map(detail => ({
+                    field: detail.path.join('.'),
+                    message: detail.message
+                }))
+            });
+        }
+        
+        next();
+    };
+};
+
+// Comma-separated list of plain-word tags in a query string
+const tagList = Joi.string().lowercase().trim().pattern(/^[a-z0-9 _-]+(,[a-z0-9 _-]+)*$/).max(500);
+
+// One order or cart item: a bottle size and count, or a loose litre quantity - saved blends are sold by the litre
+const orderItem = Joi.object({
+    product_id: Joi.string().uuid(),
+    blend_id: Joi.string().uuid(),
+    variant_id: Joi.string().uuid()
+        .when('blend_id', { is: Joi.exist(), then: Joi.forbidden() }),
+    quantity: Joi.number().integer().min(1).max(50)
+        .when('variant_id', { is: Joi.exist(), then: Joi.required(), otherwise: Joi.forbidden() }),
+    quantity_litres: Joi.number().positive().max(10)
+}).xor('product_id', 'blend_id').xor('variant_id', 'quantity_litres');
+
+// Ingredient mix of a custom blend - the blend rules themselves are checked by the blend service
+const blendIngredients = Joi.array().items(
+    Joi.object({
+        ingredient_id: Joi.string().uuid().required(),
+        percentage: Joi.number().integer().min(1).max(100).required()
+    })
+).min(1).max(10).unique('ingredient_id');
+
 /**
  * Common validation schemas
  */
 const schemas = {
+    // Route parameter schemas
+    idParam: Joi.object({
+        id: Joi.string().uuid().required()
+    }),
+
+    outletParam: Joi.object({
+        outletId: Joi.string().uuid().required()
+    }),
+
+    outletOrderParam: Joi.object({
+        outletId: Joi.string().uuid().required(),
+        orderId: Joi.string().uuid().required()
+    }),
+
+    cartItemParam: Joi.object({
+        itemId: Joi.string().uuid().required()
+    }),
+
+    outletProductParam: Joi.object({
+        outletId: Joi.string().uuid().required(),
+        productId: Joi.string().uuid().required()
+    }),
+
     // Authentication schemas
     signup: Joi.object({
         name: Joi.string().min(2).max(255).required(),
@@ -63,29 +130,203 @@ const schemas = {
     }),
 
     login: Joi.object({
-        email: Joi.string().email().required(),
+        email: Joi.string().email(),
+        phone: Joi.string().pattern(/^\+[1-9]\d{7,14}$/),
         password: Joi.string().required()
+    }).xor('email', 'phone'),
+
+    // Phone OTP schemas (E.164 numbers, e.g. +256700123456)
+    requestPhoneOtp: Joi.object({
+        phone: Joi.string().pattern(/^\+[1-9]\d{7,14}$/).required(),
+        name: Joi.string().min(2).max(255).optional()
     }),
 
-    // Order schemas
-    createOrder: Joi.object({
-        items: Joi.array().items(
+    verifyPhoneOtp: Joi.object({
+        phone: Joi.string().pattern(/^\+[1-9]\d{7,14}$/).required(),
+        token: Joi.string().pattern(/^\d{6}$/).required(),
+        name: Joi.string().min(2).max(255).optional()
+    }),
+
+    requestPhoneLink: Joi.object({
+        phone: Joi.string().pattern(/^\+[1-9]\d{7,14}$/).required()
+    }),
+
+    confirmPhoneLink: Joi.object({
+        phone: Joi.string().pattern(/^\+[1-9]\d{7,14}$/).required(),
+        code: Joi.string().pattern(/^\d{6}$/).required()
+    }),
+
+    // Social sign-in: an ID token from the native SDK, or a PKCE authorization code
+    socialSignIn: Joi.object({
+        provider: Joi.string().valid('google', 'facebook').required(),
+        id_token: Joi.string(),
+        nonce: Joi.string().optional(),
+        code: Joi.string(),
+        code_verifier: Joi.string().when('code', { is: Joi.exist(), then: Joi.required() }),
+        name: Joi.string().min(2).max(255).optional()
+    }).xor('id_token', 'code'),
+
+    refreshToken: Joi.object({
+        refresh_token: Joi.string().required()
+    }),
+
+    requestPasswordReset: Joi.object({
+        email: Joi.string().email().required()
+    }),
+
+    confirmPasswordReset: Joi.object({
+        email: Joi.string().email().required(),
+        token: Joi.string().pattern(/^\d{6}$/).required(),
+        new_password: Joi.string().min(6).required()
+    }),
+
+    changePassword: Joi.object({
+        current_password: Joi.string().required(),
+        new_password: Joi.string().min(6).invalid(Joi.ref('current_password')).required()
+            .messages({ 'any.invalid': 'New password must differ from the current password' })
+    }),
+
+    // Admin schemas
+    updateUserRole: Joi.object({
+        role: Joi.string().valid('customer', 'outlet_staff', 'rider', 'admin').required(),
+        outlet_ids: Joi.array().items(Joi.string().uuid()).min(1).unique()
+            .when('role', { is: 'outlet_staff', then: Joi.required(), otherwise: Joi.forbidden() }),
+        reason: Joi.string().max(500).optional()
+    }),
+
+    // Admin product schemas
+    createProduct: Joi.object({
+        name: Joi.string().min(2).max(255).required(),
+        description: Joi.string().max(2000).allow('').optional(),
+        price_per_litre: Joi.number().positive().required(),
+        ingredients: Joi.array().items(Joi.string().lowercase().trim().max(100)).min(1).required(),
+        nutritional_info: Joi.object({
+            calories_per_100ml: Joi.number().min(0).required(),
+            sugar_per_100ml: Joi.number().min(0).required(),
+            protein_per_100ml: Joi.number().min(0).required(),
+            fat_per_100ml: Joi.number().min(0).required()
+        }).required(),
+        health_benefits: Joi.array().items(Joi.string().lowercase().trim().pattern(/^[a-z0-9 _-]+$/).max(100)).default([]),
+        allergens: Joi.array().items(Joi.string().lowercase().trim().pattern(/^[a-z0-9 _-]+$/).max(50)).default([]),
+        variants: Joi.array().items(
             Joi.object({
-                product_id: Joi.string().uuid().required(),
-                quantity_litres: Joi.number().positive().max(10).required()
+                sku: Joi.string().max(50).required(),
+                size_label: Joi.string().max(20).required(),
+                volume_ml: Joi.number().integer().positive().required(),
+                price: Joi.number().min(0).required(),
+                is_available: Joi.boolean().default(true)
             })
-        ).min(1).required(),
+        ).unique('volume_ml').unique('sku').default([]),
+        // First category is the primary one; its slug is stored as products.category
+        category_ids: Joi.array().items(Joi.string().uuid()).unique().min(1).required()
+    }),
+
+    updateProduct: Joi.object({
+        name: Joi.string().min(2).max(255),
+        description: Joi.string().max(2000).allow(''),
+        price_per_litre: Joi.number().positive(),
+        ingredients: Joi.array().items(Joi.string().lowercase().trim().max(100)).min(1),
+        nutritional_info: Joi.object({
+            calories_per_100ml: Joi.number().min(0).required(),
+            sugar_per_100ml: Joi.number().min(0).required(),
+            protein_per_100ml: Joi.number().min(0).required(),
+            fat_per_100ml: Joi.number().min(0).required()
+        }),
+        health_benefits: Joi.array().items(Joi.string().lowercase().trim().pattern(/^[a-z0-9 _-]+$/).max(100)),
+        allergens: Joi.array().items(Joi.string().lowercase().trim().pattern(/^[a-z0-9 _-]+$/).max(50)),
+        category_ids: Joi.array().items(Joi.string().uuid()).unique().min(1)
+    }).min(1),
+
+    // Category schemas
+    createCategory: Joi.object({
+        slug: Joi.string().lowercase().pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/).max(100).required(),
+        name: Joi.string().min(2).max(100).required(),
+        description: Joi.string().max(500).allow('').optional(),
+        icon_url: Joi.string().uri().allow(null),
+        image_url: Joi.string().uri().allow(null),
+        sort_order: Joi.number().integer().min(0).default(0),
+        is_active: Joi.boolean().default(true)
+    }),
+
+    updateCategory: Joi.object({
+        slug: Joi.string().lowercase().pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/).max(100),
+        name: Joi.string().min(2).max(100),
+        description: Joi.string().max(500).allow(''),
+        icon_url: Joi.string().uri().allow(null),
+        image_url: Joi.string().uri().allow(null),
+        sort_order: Joi.number().integer().min(0),
+        is_active: Joi.boolean()
+    }).min(1),
+
+    adminProductList: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20),
+        status: Joi.string().valid('active', 'archived', 'all').default('all')
+    }),
+
+    // Order schemas
+    createOrder: Joi.object({
+        items: Joi.array().items(orderItem).min(1).required(),
+        // Either a saved address or the raw address and coordinates
+        address_id: Joi.string().uuid(),
         delivery_address: Joi.object({
             street: Joi.string().required(),
             city: Joi.string().required(),
             district: Joi.string().required()
-        }).required(),
-        delivery_lat: Joi.number().min(-90).max(90).required(),
-        delivery_lng: Joi.number().min(-180).max(180).required(),
+        }),
+        delivery_lat: Joi.number().min(-90).max(90)
+            .when('delivery_address', { is: Joi.exist(), then: Joi.required(), otherwise: Joi.forbidden() }),
+        delivery_lng: Joi.number().min(-180).max(180)
+            .when('delivery_address', { is: Joi.exist(), then: Joi.required(), otherwise: Joi.forbidden() }),
         payment_method: Joi.string().valid('cash', 'mobile_money', 'card').default('cash'),
         notes: Joi.string().max(500).optional()
+    }).xor('address_id', 'delivery_address'),
+
+    reorder: Joi.object({
+        address_id: Joi.string().uuid(),
+        delivery_address: Joi.object({
+            street: Joi.string().required(),
+            city: Joi.string().required(),
+            district: Joi.string().required()
+        }),
+        delivery_lat: Joi.number().min(-90).max(90)
+            .when('delivery_address', { is: Joi.exist(), then: Joi.required(), otherwise: Joi.forbidden() }),
+        delivery_lng: Joi.number().min(-180).max(180)
+            .when('delivery_address', { is: Joi.exist(), then: Joi.required(), otherwise: Joi.forbidden() }),
+        payment_method: Joi.string().valid('cash', 'mobile_money', 'card').optional()
+    }).oxor('address_id', 'delivery_address'),
+
+    // Saved address schemas
+    createAddress: Joi.object({
+        label: Joi.string().max(50).default('Home'),
+        street: Joi.string().max(500).required(),
+        city: Joi.string().max(100).required(),
+        district: Joi.string().max(100).required(),
+        lat: Joi.number().min(-90).max(90).required(),
+        lng: Joi.number().min(-180).max(180).required(),
+        is_default: Joi.boolean().default(false)
     }),
 
+    updateAddress: Joi.object({
+        label: Joi.string().max(50),
+        street: Joi.string().max(500),
+        city: Joi.string().max(100),
+        district: Joi.string().max(100),
+        lat: Joi.number().min(-90).max(90),
+        lng: Joi.number().min(-180).max(180),
+        is_default: Joi.boolean().valid(true)
+    }).and('lat', 'lng').min(1),
+
+    // Health profile schema - tags are plain words like "nuts" or "coconut water"
+    updateHealthProfile: Joi.object({
+        allergies: Joi.array().items(Joi.string().lowercase().trim().pattern(/^[a-z0-9 _-]+$/).max(50)).max(30),
+        dietary_restrictions: Joi.array().items(Joi.string().lowercase().trim().pattern(/^[a-z0-9 _-]+$/).max(50)).max(30),
+        max_calories_per_100ml: Joi.number().integer().min(0).max(1000).allow(null),
+        max_sugar_per_100ml: Joi.number().integer().min(0).max(100).allow(null),
+        goals: Joi.array().items(Joi.string().lowercase().trim().pattern(/^[a-z0-9 _-]+$/).max(50)).max(20),
+        hide_allergen_conflicts: Joi.boolean()
+    }).min(1),
+
     // Recommendation schema
     getRecommendations: Joi.object({
         symptoms: Joi.array().items(Joi.string()).min(1).required(),
@@ -98,17 +339,226 @@ const schemas = {
         lng: Joi.number().min(-180).max(180).required()
     }),
 
+    // Review schemas
+    createReview: Joi.object({
+        order_item_id: Joi.string().uuid().required(),
+        rating: Joi.number().integer().min(1).max(5).required(),
+        title: Joi.string().max(150).allow(''),
+        body: Joi.string().max(2000).allow('')
+    }),
+
+    updateReview: Joi.object({
+        rating: Joi.number().integer().min(1).max(5),
+        title: Joi.string().max(150).allow(''),
+        body: Joi.string().max(2000).allow('')
+    }).min(1),
+
+    reviewList: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(50).default(10),
+        sort: Joi.string().valid('recent', 'helpful', 'rating_high', 'rating_low').default('recent')
+    }),
+
+    moderateReview: Joi.object({
+        status: Joi.string().valid('approved', 'rejected').required(),
+        note: Joi.string().max(500).allow('')
+    }),
+
+    moderationList: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20),
+        status: Joi.string().valid('pending', 'approved', 'rejected').default('pending')
+    }),
+
+    // Favorite schema - variant_id is the bottle size used when reordering favorites
+    addFavorite: Joi.object({
+        variant_id: Joi.string().uuid().allow(null)
+    }),
+
+    // Blend schemas
+    blendMix: Joi.object({
+        ingredients: blendIngredients.required()
+    }),
+
+    createBlend: Joi.object({
+        name: Joi.string().trim().min(1).max(100).required(),
+        ingredients: blendIngredients.required()
+    }),
+
+    updateBlend: Joi.object({
+        name: Joi.string().trim().min(1).max(100),
+        ingredients: blendIngredients
+    }).min(1),
+
+    copyBlend: Joi.object({
+        name: Joi.string().trim().min(1).max(100)
+    }),
+
+    // Order status schema - only moves allowed from the order's current status succeed
+    updateOrderStatus: Joi.object({
+        status: Joi.string().valid('confirmed', 'preparing', 'ready', 'out_for_delivery', 'delivered', 'cancelled').required(),
+        note: Joi.string().max(500).allow('')
+    }),
+
+    // Outlet order console schemas
+    outletOrderQueue: Joi.object({
+        status: Joi.string().valid('pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery')
+    }),
+
+    rejectOrder: Joi.object({
+        reason: Joi.string().trim().min(1).max(500).required()
+    }),
+
+    assignRider: Joi.object({
+        rider_id: Joi.string().uuid().required()
+    }),
+
+    // Rider schemas
+    updateRiderShift: Joi.object({
+        on_shift: Joi.boolean().required()
+    }),
+
+    riderAssignmentList: Joi.object({
+        status: Joi.string().valid('offered', 'accepted', 'declined', 'withdrawn', 'completed')
+    }),
+
+    declineAssignment: Joi.object({
+        reason: Joi.string().max(500).allow('')
+    }),
+
+    adminRiderList: Joi.object({
+        on_shift: Joi.boolean(),
+        outlet_id: Joi.string().uuid()
+    }),
+
+    updateRider: Joi.object({
+        home_outlet_id: Joi.string().uuid().allow(null),
+        max_active_orders: Joi.number().integer().min(1).max(10)
+    }).min(1),
+
+    // Cart schemas
+    addCartItem: orderItem,
+
+    updateCartItem: Joi.object({
+        quantity: Joi.number().integer().min(1).max(50),
+        quantity_litres: Joi.number().positive().max(10)
+    }).xor('quantity', 'quantity_litres'),
+
+    // Checkout uses the cart's own address, payment method and notes
+    checkout: Joi.object({}),
+
+    updateCart: Joi.object({
+        address_id: Joi.string().uuid().allow(null),
+        payment_method: Joi.string().valid('cash', 'mobile_money', 'card'),
+        notes: Joi.string().max(500).allow('', null)
+    }).min(1),
+
+    // Home feed schema - lat/lng pick the outlet the feed is targeted to
+    homeFeed: Joi.object({
+        lat: Joi.number().min(-90).max(90),
+        lng: Joi.number().min(-180).max(180)
+    }).and('lat', 'lng'),
+
+    // Merchandising schemas
+    createFeaturedSlot: Joi.object({
+        product_id: Joi.string().uuid().required(),
+        position: Joi.number().integer().min(0).default(0),
+        starts_at: Joi.date().iso(),
+        ends_at: Joi.when('starts_at', {
+            is: Joi.exist(),
+            then: Joi.date().iso().greater(Joi.ref('starts_at')),
+            otherwise: Joi.date().iso().greater('now')
+        }).allow(null),
+        // Target one outlet or a region; leave both out to show everywhere
+        outlet_id: Joi.string().uuid(),
+        region: Joi.string().max(100),
+        is_active: Joi.boolean().default(true)
+    }).oxor('outlet_id', 'region'),
+
+    updateFeaturedSlot: Joi.object({
+        position: Joi.number().integer().min(0),
+        starts_at: Joi.date().iso(),
+        ends_at: Joi.date().iso().allow(null),
+        outlet_id: Joi.string().uuid().allow(null),
+        region: Joi.string().max(100).allow(null),
+        is_active: Joi.boolean()
+    }).min(1),
+
+    createBanner: Joi.object({
+        title: Joi.string().min(2).max(150).required(),
+        body: Joi.string().max(500).allow(''),
+        image_url: Joi.string().uri().required(),
+        cta_label: Joi.string().max(50),
+        deep_link: Joi.string().max(500),
+        position: Joi.number().integer().min(0).default(0),
+        starts_at: Joi.date().iso(),
+        ends_at: Joi.when('starts_at', {
+            is: Joi.exist(),
+            then: Joi.date().iso().greater(Joi.ref('starts_at')),
+            otherwise: Joi.date().iso().greater('now')
+        }).allow(null),
+        // Target one outlet or a region; leave both out to show everywhere
+        outlet_id: Joi.string().uuid(),
+        region: Joi.string().max(100),
+        is_active: Joi.boolean().default(true)
+    }).oxor('outlet_id', 'region'),
+
+    updateBanner: Joi.object({
+        title: Joi.string().min(2).max(150),
+        body: Joi.string().max(500).allow(''),
+        image_url: Joi.string().uri(),
+        cta_label: Joi.string().max(50).allow(null),
+        deep_link: Joi.string().max(500).allow(null),
+        position: Joi.number().integer().min(0),
+        starts_at: Joi.date().iso(),
+        ends_at: Joi.date().iso().allow(null),
+        outlet_id: Joi.string().uuid().allow(null),
+        region: Joi.string().max(100).allow(null),
+        is_active: Joi.boolean()
+    }).min(1),
+
+    // Outlet stock schema
+    updateOutletStock: Joi.object({
+        quantity_litres: Joi.number().min(0).max(100000).precision(3).required()
+    }),
+
     // Pagination schema
     pagination: Joi.object({
         page: Joi.number().integer().min(1).default(1),
         limit: Joi.number().integer().min(1).max(100).default(20),
-        sort: Joi.string().valid('name', 'price', 'created_at').default('created_at'),
+        sort: Joi.string().valid('name', 'price', 'rating', 'created_at').default('created_at'),
         order: Joi.string().valid('asc', 'desc').default('desc')
-    })
+    }),
+
+    // Product listing schema - lat/lng report stock at the outlet serving that location
+    productList: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20),
+        sort: Joi.string().valid('name', 'price', 'rating', 'created_at').default('created_at'),
+        order: Joi.string().valid('asc', 'desc').default('desc'),
+        category: Joi.string().max(50),
+        search: Joi.string().max(100),
+        lat: Joi.number().min(-90).max(90),
+        lng: Joi.number().min(-180).max(180),
+        // Nutrition per 100ml and price per litre ranges
+        min_calories: Joi.number().min(0),
+        max_calories: Joi.number().min(0),
+        min_sugar: Joi.number().min(0),
+        max_sugar: Joi.number().min(0),
+        min_protein: Joi.number().min(0),
+        max_protein: Joi.number().min(0),
+        min_price: Joi.number().min(0),
+        max_price: Joi.number().min(0),
+        // Comma-separated tags, e.g. exclude_allergens=citrus,dairy
+        exclude_allergens: tagList,
+        exclude_ingredients: tagList,
+        benefits: tagList
+    }).and('lat', 'lng')
 };
 
 module.exports = {
     validateBody,
     validateQuery,
+    validateParams,
     schemas
 };
\ No newline at end of file
@@ -0,0 +1,92 @@
+/**
+ * Admin Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validateBody, validateQuery, validateParams, schemas } = require('../middleware/validation');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { uploadImage } = require('../middleware/upload');
+const {
+    updateUserRole,
+    getUserRoleHistory
+} = require('../controllers/adminController');
+const {
+    listProducts,
+    getProduct,
+    createProduct,
+    updateProduct,
+    archiveProduct,
+    restoreProduct,
+    uploadProductImage
+} = require('../controllers/productAdminController');
+const {
+    listCategories,
+    createCategory,
+    updateCategory,
+    deleteCategory
+} = require('../controllers/categoryAdminController');
+const {
+    listFeaturedSlots,
+    createFeaturedSlot,
+    updateFeaturedSlot,
+    deleteFeaturedSlot,
+    listBanners,
+    createBanner,
+    updateBanner,
+    deleteBanner
+} = require('../controllers/merchandisingAdminController');
+const {
+    listReviewsForModeration,
+    moderateReview
+} = require('../controllers/reviewController');
+const { updateOrderStatus } = require('../controllers/orderController');
+const {
+    listRiders,
+    updateRider
+} = require('../controllers/riderAdminController');
+
+// All admin routes require an admin
+router.use(authenticateToken, authorize('admin'));
+
+// User role management
+router.put('/users/:id/role', validateParams(schemas.idParam), validateBody(schemas.updateUserRole), updateUserRole);
+router.get('/users/:id/role-history', validateParams(schemas.idParam), getUserRoleHistory);
+
+// Product management
+router.get('/products', validateQuery(schemas.adminProductList), listProducts);
+router.post('/products', validateBody(schemas.createProduct), createProduct);
+router.get('/products/:id', validateParams(schemas.idParam), getProduct);
+router.put('/products/:id', validateParams(schemas.idParam), validateBody(schemas.updateProduct), updateProduct);
+router.post('/products/:id/archive', validateParams(schemas.idParam), archiveProduct);
+router.post('/products/:id/restore', validateParams(schemas.idParam), restoreProduct);
+router.post('/products/:id/image', validateParams(schemas.idParam), uploadImage('image'), uploadProductImage);
+
+// Category management
+router.get('/categories', listCategories);
+router.post('/categories', validateBody(schemas.createCategory), createCategory);
+router.put('/categories/:id', validateParams(schemas.idParam), validateBody(schemas.updateCategory), updateCategory);
+router.delete('/categories/:id', validateParams(schemas.idParam), deleteCategory);
+
+// Merchandising
+router.get('/featured', listFeaturedSlots);
+router.post('/featured', validateBody(schemas.createFeaturedSlot), createFeaturedSlot);
+router.put('/featured/:id', validateParams(schemas.idParam), validateBody(schemas.updateFeaturedSlot), updateFeaturedSlot);
+router.delete('/featured/:id', validateParams(schemas.idParam), deleteFeaturedSlot);
+router.get('/banners', listBanners);
+router.post('/banners', validateBody(schemas.createBanner), createBanner);
+router.put('/banners/:id', validateParams(schemas.idParam), validateBody(schemas.updateBanner), updateBanner);
+router.delete('/banners/:id', validateParams(schemas.idParam), deleteBanner);
+
+// Review moderation
+router.get('/reviews', validateQuery(schemas.moderationList), listReviewsForModeration);
+router.put('/reviews/:id/moderation', validateParams(schemas.idParam), validateBody(schemas.moderateReview), moderateReview);
+
+// Order status
+router.put('/orders/:id/status', validateParams(schemas.idParam), validateBody(schemas.updateOrderStatus), updateOrderStatus);
+
+// Rider management
+router.get('/riders', validateQuery(schemas.adminRiderList), listRiders);
+router.put('/riders/:id', validateParams(schemas.idParam), validateBody(schemas.updateRider), updateRider);
+
+module.exports = router;
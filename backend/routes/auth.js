@@ -4,23 +4,76 @@
 
 const express = require('express');
 const router = express.Router();
-const { validateBody, schemas } = require('../middleware/validation');
+const { validateBody, validateParams, schemas } = require('../middleware/validation');
 const { authenticateToken } = require('../middleware/auth');
+const { verifySupabaseHook } = require('../middleware/supabaseHook');
+const {
+    passwordResetRequestLimiter,
+    passwordResetConfirmLimiter,
+    otpRequestLimiter,
+    otpVerifyLimiter
+} = require('../middleware/rateLimit');
 const {
     signup,
     login,
+    socialSignIn,
     getProfile,
     updateProfile,
-    logout
+    exportData,
+    requestAccountDeletion,
+    cancelAccountDeletion,
+    refreshToken,
+    logout,
+    logoutAll,
+    requestPasswordReset,
+    confirmPasswordReset,
+    changePassword,
+    requestPhoneOtp,
+    verifyPhoneOtp,
+    sendSmsHook,
+    requestPhoneLink,
+    confirmPhoneLink
 } = require('../controllers/authController');
+const {
+    getAddresses,
+    createAddress,
+    updateAddress,
+    deleteAddress
+} = require('../controllers/addressController');
+const {
+    getHealthProfile,
+    updateHealthProfile
+} = require('../controllers/healthProfileController');
 
 // Public routes
 router.post('/signup', validateBody(schemas.signup), signup);
 router.post('/login', validateBody(schemas.login), login);
+router.post('/social', validateBody(schemas.socialSignIn), socialSignIn);
+router.post('/refresh', validateBody(schemas.refreshToken), refreshToken);
+router.post('/password/forgot', passwordResetRequestLimiter, validateBody(schemas.requestPasswordReset), requestPasswordReset);
+router.post('/password/reset', passwordResetConfirmLimiter, validateBody(schemas.confirmPasswordReset), confirmPasswordReset);
+router.post('/phone/otp', otpRequestLimiter, validateBody(schemas.requestPhoneOtp), requestPhoneOtp);
+router.post('/phone/verify', otpVerifyLimiter, validateBody(schemas.verifyPhoneOtp), verifyPhoneOtp);
+
+// Supabase Auth hooks
+router.post('/hooks/send-sms', verifySupabaseHook('SEND_SMS_HOOK_SECRET'), sendSmsHook);
 
 // Protected routes
 router.get('/profile', authenticateToken, getProfile);
 router.put('/profile', authenticateToken, updateProfile);
+router.delete('/profile', authenticateToken, requestAccountDeletion);
+router.post('/profile/restore', authenticateToken, cancelAccountDeletion);
+router.get('/profile/export', authenticateToken, exportData);
+router.get('/profile/addresses', authenticateToken, getAddresses);
+router.post('/profile/addresses', authenticateToken, validateBody(schemas.createAddress), createAddress);
+router.put('/profile/addresses/:id', authenticateToken, validateParams(schemas.idParam), validateBody(schemas.updateAddress), updateAddress);
+router.delete('/profile/addresses/:id', authenticateToken, validateParams(schemas.idParam), deleteAddress);
+router.get('/profile/health', authenticateToken, getHealthProfile);
+router.put('/profile/health', authenticateToken, validateBody(schemas.updateHealthProfile), updateHealthProfile);
+router.put('/password', authenticateToken, validateBody(schemas.changePassword), changePassword);
+router.post('/phone/link', authenticateToken, otpRequestLimiter, validateBody(schemas.requestPhoneLink), requestPhoneLink);
+router.post('/phone/link/verify', authenticateToken, otpVerifyLimiter, validateBody(schemas.confirmPhoneLink), confirmPhoneLink);
 router.post('/logout', authenticateToken, logout);
+router.post('/logout-all', authenticateToken, logoutAll);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,34 @@
+/**
+ * Blend Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validateBody, schemas } = require('../middleware/validation');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const {
+    getIngredients,
+    previewBlend,
+    getMyBlends,
+    getBlendById,
+    createBlend,
+    updateBlend,
+    deleteBlend,
+    getSharedBlend,
+    copySharedBlend
+} = require('../controllers/blendController');
+
+// Public routes - a logged-in user also gets allergy warnings
+router.get('/ingredients', getIngredients);
+router.post('/preview', optionalAuth, validateBody(schemas.blendMix), previewBlend);
+router.get('/shared/:code', optionalAuth, getSharedBlend);
+
+// Protected routes
+router.post('/shared/:code/copy', authenticateToken, validateBody(schemas.copyBlend), copySharedBlend);
+router.get('/', authenticateToken, getMyBlends);
+router.post('/', authenticateToken, validateBody(schemas.createBlend), createBlend);
+router.get('/:id', authenticateToken, getBlendById);
+router.put('/:id', authenticateToken, validateBody(schemas.updateBlend), updateBlend);
+router.delete('/:id', authenticateToken, deleteBlend);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+/**
+ * Cart Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validateBody, validateParams, schemas } = require('../middleware/validation');
+const { authenticateToken } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const {
+    getCart,
+    addCartItem,
+    updateCartItem,
+    removeCartItem,
+    updateCart,
+    clearCart,
+    getCartQuote,
+    checkout
+} = require('../controllers/cartController');
+
+// All cart routes require authentication
+router.use(authenticateToken);
+
+router.get('/', getCart);
+router.put('/', validateBody(schemas.updateCart), updateCart);
+router.delete('/', clearCart);
+router.get('/quote', getCartQuote);
+router.post('/checkout', validateBody(schemas.checkout), idempotency, checkout);
+router.post('/items', validateBody(schemas.addCartItem), addCartItem);
+router.put('/items/:itemId', validateParams(schemas.cartItemParam), validateBody(schemas.updateCartItem), updateCartItem);
+router.delete('/items/:itemId', validateParams(schemas.cartItemParam), removeCartItem);
+
+module.exports = router;
@@ -4,14 +4,27 @@
 
 const express = require('express');
 const router = express.Router();
-const { validateQuery, schemas } = require('../middleware/validation');
-const { optionalAuth } = require('../middleware/auth');
+const { validateBody, validateQuery, validateParams, schemas } = require('../middleware/validation');
+const { authenticateToken, optionalAuth, authorizeOutlet } = require('../middleware/auth');
 const {
     getDeliveryFee,
     getOutlets,
     getOutletById,
     checkDeliveryAvailability
 } = require('../controllers/deliveryController');
+const {
+    getOutletStock,
+    updateOutletStock
+} = require('../controllers/stockController');
+const {
+    getOrderQueue,
+    acceptOrder,
+    rejectOrder,
+    startPreparingOrder,
+    markOrderReady,
+    handOffOrder,
+    assignRider
+} = require('../controllers/outletOrderController');
 
 // Delivery routes
 router.get('/fee', validateQuery(schemas.getDeliveryFee), optionalAuth, getDeliveryFee);
@@ -19,4 +32,17 @@ router.get('/availability', validateQuery(schemas.getDeliveryFee), optionalAuth,
 router.get('/outlets', optionalAuth, getOutlets);
 router.get('/outlets/:id', optionalAuth, getOutletById);
 
+// Outlet stock (outlet staff and admins)
+router.get('/outlets/:outletId/stock', authenticateToken, validateParams(schemas.outletParam), authorizeOutlet(), getOutletStock);
+router.put('/outlets/:outletId/stock/:productId', authenticateToken, validateParams(schemas.outletProductParam), authorizeOutlet(), validateBody(schemas.updateOutletStock), updateOutletStock);
+
+// Outlet order console (outlet staff and admins)
+router.get('/outlets/:outletId/orders', authenticateToken, validateParams(schemas.outletParam), authorizeOutlet(), validateQuery(schemas.outletOrderQueue), getOrderQueue);
+router.post('/outlets/:outletId/orders/:orderId/accept', authenticateToken, validateParams(schemas.outletOrderParam), authorizeOutlet(), acceptOrder);
+router.post('/outlets/:outletId/orders/:orderId/reject', authenticateToken, validateParams(schemas.outletOrderParam), authorizeOutlet(), validateBody(schemas.rejectOrder), rejectOrder);
+router.post('/outlets/:outletId/orders/:orderId/preparing', authenticateToken, validateParams(schemas.outletOrderParam), authorizeOutlet(), startPreparingOrder);
+router.post('/outlets/:outletId/orders/:orderId/ready', authenticateToken, validateParams(schemas.outletOrderParam), authorizeOutlet(), markOrderReady);
+router.put('/outlets/:outletId/orders/:orderId/rider', authenticateToken, validateParams(schemas.outletOrderParam), authorizeOutlet(), validateBody(schemas.assignRider), assignRider);
+router.post('/outlets/:outletId/orders/:orderId/hand-off', authenticateToken, validateParams(schemas.outletOrderParam), authorizeOutlet(), handOffOrder);
+
 module.exports = router;
\ No newline at end of file
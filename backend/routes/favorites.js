@@ -0,0 +1,24 @@
+/**
+ * Favorite Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validateBody, schemas } = require('../middleware/validation');
+const { authenticateToken } = require('../middleware/auth');
+const {
+    getFavorites,
+    addFavorite,
+    removeFavorite,
+    reorderFavorites
+} = require('../controllers/favoriteController');
+
+// All favorite routes require authentication
+router.use(authenticateToken);
+
+router.get('/', getFavorites);
+router.post('/reorder', reorderFavorites);
+router.put('/:productId', validateBody(schemas.addFavorite), addFavorite);
+router.delete('/:productId', removeFavorite);
+
+module.exports = router;
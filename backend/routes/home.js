@@ -0,0 +1,14 @@
+/**
+ * Home Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validateQuery, schemas } = require('../middleware/validation');
+const { optionalAuth } = require('../middleware/auth');
+const { getHomeFeed } = require('../controllers/homeController');
+
+// Public home feed
+router.get('/', validateQuery(schemas.homeFeed), optionalAuth, getHomeFeed);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+/**
+ * Notification Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validateQuery, validateParams, schemas } = require('../middleware/validation');
+const { authenticateToken } = require('../middleware/auth');
+const {
+    getNotifications,
+    markNotificationRead,
+    markAllNotificationsRead
+} = require('../controllers/notificationController');
+
+// All notification routes require authentication
+router.use(authenticateToken);
+
+router.get('/', validateQuery(schemas.pagination), getNotifications);
+router.put('/read-all', markAllNotificationsRead);
+router.put('/:id/read', validateParams(schemas.idParam), markNotificationRead);
+
+module.exports = router;
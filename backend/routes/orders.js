@@ -6,6 +6,7 @@ const express = require('express');
 const router = express.Router();
 const { validateBody, validateQuery, schemas } = require('../middleware/validation');
 const { authenticateToken } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const {
     createOrder,
     getUserOrders,
@@ -19,11 +20,11 @@ const {
 router.use(authenticateToken);
 
 // Order management
-router.post('/', validateBody(schemas.createOrder), createOrder);
+router.post('/', validateBody(schemas.createOrder), idempotency, createOrder);
 router.get('/', validateQuery(schemas.pagination), getUserOrders);
 router.get('/:id', getOrderById);
 router.get('/:id/status', getOrderStatus);
 router.put('/:id/cancel', cancelOrder);
-router.post('/:id/reorder', reorder);
+router.post('/:id/reorder', validateBody(schemas.reorder), idempotency, reorder);
 
 module.exports = router;
\ No newline at end of file
@@ -14,13 +14,15 @@ const {
     searchProducts,
     getCategories
 } = require('../controllers/productController');
+const { getProductReviews } = require('../controllers/reviewController');
 
 // Public routes
-router.get('/', validateQuery(schemas.pagination), optionalAuth, getAllProducts);
+router.get('/', validateQuery(schemas.productList), optionalAuth, getAllProducts);
 router.get('/featured', optionalAuth, getFeaturedProducts);
 router.get('/categories', getCategories);
 router.get('/search', optionalAuth, searchProducts);
-router.get('/category/:category', validateQuery(schemas.pagination), optionalAuth, getProductsByCategory);
+router.get('/category/:category', validateQuery(schemas.productList), optionalAuth, getProductsByCategory);
+router.get('/:id/reviews', validateQuery(schemas.reviewList), getProductReviews);
 router.get('/:id', optionalAuth, getProductById);
 
 module.exports = router;
\ No newline at end of file
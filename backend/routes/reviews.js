@@ -0,0 +1,31 @@
+/**
+ * Review Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validateBody, schemas } = require('../middleware/validation');
+const { authenticateToken } = require('../middleware/auth');
+const { uploadImage } = require('../middleware/upload');
+const {
+    getMyReviews,
+    createReview,
+    updateReview,
+    deleteReview,
+    uploadReviewPhoto,
+    markReviewHelpful,
+    unmarkReviewHelpful
+} = require('../controllers/reviewController');
+
+// All review routes require authentication
+router.use(authenticateToken);
+
+router.get('/mine', getMyReviews);
+router.post('/', validateBody(schemas.createReview), createReview);
+router.put('/:id', validateBody(schemas.updateReview), updateReview);
+router.delete('/:id', deleteReview);
+router.post('/:id/photos', uploadImage('photo'), uploadReviewPhoto);
+router.post('/:id/helpful', markReviewHelpful);
+router.delete('/:id/helpful', unmarkReviewHelpful);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+/**
+ * Rider Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validateBody, validateQuery, validateParams, schemas } = require('../middleware/validation');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const {
+    getRiderProfile,
+    updateShift,
+    getAssignments,
+    acceptAssignment,
+    declineAssignment,
+    completeDelivery
+} = require('../controllers/riderController');
+
+// All rider routes require a rider
+router.use(authenticateToken, authorize('rider'));
+
+router.get('/me', getRiderProfile);
+router.put('/me/shift', validateBody(schemas.updateRiderShift), updateShift);
+router.get('/me/assignments', validateQuery(schemas.riderAssignmentList), getAssignments);
+router.post('/me/assignments/:id/accept', validateParams(schemas.idParam), acceptAssignment);
+router.post('/me/assignments/:id/decline', validateParams(schemas.idParam), validateBody(schemas.declineAssignment), declineAssignment);
+router.post('/me/assignments/:id/delivered', validateParams(schemas.idParam), completeDelivery);
+
+module.exports = router;
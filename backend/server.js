@@ -13,6 +13,11 @@ require('dotenv').config();
 
 // Import database connection
 const { testConnection } = require('./db/supabase');
+const { startAccountPurgeJob } = require('./services/accountData');
+const { startIdempotencyKeyPurgeJob } = require('./services/idempotency');
+const { startFeaturedSlotNotifyJob } = require('./services/merchandising');
+const { startRiderOfferExpiryJob } = require('./services/riders');
+const { getStorageDriverName, LOCAL_UPLOAD_DIR } = require('./services/storage');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -20,6 +25,14 @@ const productRoutes = require('./routes/products');
 const orderRoutes = require('./routes/orders');
 const deliveryRoutes = require('./routes/delivery');
 const recommendationRoutes = require('./routes/recommendations');
+const adminRoutes = require('./routes/admin');
+const homeRoutes = require('./routes/home');
+const reviewRoutes = require('./routes/reviews');
+const favoriteRoutes = require('./routes/favorites');
+const notificationRoutes = require('./routes/notifications');
+const blendRoutes = require('./routes/blends');
+const cartRoutes = require('./routes/cart');
+const riderRoutes = require('./routes/riders');
 
 // Initialize Express app
 const app = express();
@@ -51,7 +64,8 @@ const corsOptions = {
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+    exposedHeaders: ['Idempotent-Replayed']
 };
 
 app.use(cors(corsOptions));
@@ -71,7 +85,13 @@ const limiter = rateLimit({
 app.use(limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Keep the raw body for webhook signature checks
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Compression middleware
@@ -82,6 +102,11 @@ if (process.env.NODE_ENV !== 'test') {
     app.use(morgan('combined'));
 }
 
+// Serve uploaded files when storing them on the local disk (development)
+if (getStorageDriverName() === 'local') {
+    app.use('/uploads', express.static(LOCAL_UPLOAD_DIR));
+}
+
 // Health check endpoint
 app.get('/health', async (req, res) => {
     try {
@@ -110,6 +135,14 @@ app.use('/api/products', productRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/delivery', deliveryRoutes);
 app.use('/api/recommendations', recommendationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/home', homeRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/favorites', favoriteRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/blends', blendRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/riders', riderRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -123,7 +156,15 @@ app.get('/', (req, res) => {
             products: '/api/products',
             orders: '/api/orders',
             delivery: '/api/delivery',
-            recommendations: '/api/recommendations'
+            recommendations: '/api/recommendations',
+            admin: '/api/admin',
+            home: '/api/home',
+            reviews: '/api/reviews',
+            favorites: '/api/favorites',
+            notifications: '/api/notifications',
+            blends: '/api/blends',
+            cart: '/api/cart',
+            riders: '/api/riders'
         }
     });
 });
@@ -187,6 +228,18 @@ const server = app.listen(PORT, async () => {
     if (!dbConnected) {
         console.warn('⚠️  Database connection failed - some features may not work');
     }
+
+    // Delete accounts whose deletion grace period has ended
+    startAccountPurgeJob();
+
+    // Delete idempotency keys whose replay window has ended
+    startIdempotencyKeyPurgeJob();
+
+    // Tell users when a scheduled featured slot for one of their favorites goes live
+    startFeaturedSlotNotifyJob();
+
+    // Offer orders to the next rider when a rider doesn't answer in time
+    startRiderOfferExpiryJob();
     
     console.log(`🔗 API Base URL: http://localhost:${PORT}`);
     console.log(`📋 Health Check: http://localhost:${PORT}/health`);
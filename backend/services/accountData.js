@@ -0,0 +1,185 @@
+/**
+ * Account data service
+ * Personal data export and deletion of accounts whose grace period has ended
+ */
+
+const { supabaseAdmin } = require('../db/supabase');
+
+// How often the server looks for accounts due for deletion
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Collect everything we hold about a user into a JSON-serializable archive
+ */
+const exportUserData = async (userId) => {
+    const { data: profile, error: profileError } = await supabaseAdmin
+        .from('users')
+        .select('*')
+        .eq('id', userId)
+        .single();
+
+    if (profileError) throw profileError;
+
+    const { data: identities, error: identitiesError } = await supabaseAdmin
+        .from('user_identities')
+        .select('provider, email, created_at')
+        .eq('user_id', userId);
+
+    if (identitiesError) throw identitiesError;
+
+    const { data: addresses, error: addressesError } = await supabaseAdmin
+        .from('user_addresses')
+        .select('label, street, city, district, lat, lng, is_default, created_at')
+        .eq('user_id', userId);
+
+    if (addressesError) throw addressesError;
+
+    const { data: healthProfile, error: healthError } = await supabaseAdmin
+        .from('user_health_profiles')
+        .select('allergies, dietary_restrictions, max_calories_per_100ml, max_sugar_per_100ml, goals, hide_allergen_conflicts, updated_at')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (healthError) throw healthError;
+
+    const { data: orders, error: ordersError } = await supabaseAdmin
+        .from('orders')
+        .select(`
+            *,
+            order_items (
+                *,
+                products (name)
+            ),
+            outlets (name, address)
+        `)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+
+    if (ordersError) throw ordersError;
+
+    const { data: reviews, error: reviewsError } = await supabaseAdmin
+        .from('product_reviews')
+        .select('rating, title, body, photo_urls, status, created_at, products (name)')
+        .eq('user_id', userId);
+
+    if (reviewsError) throw reviewsError;
+
+    const { data: favorites, error: favoritesError } = await supabaseAdmin
+        .from('user_favorites')
+        .select('created_at, products (name)')
+        .eq('user_id', userId);
+
+    if (favoritesError) throw favoritesError;
+
+    const { data: blends, error: blendsError } = await supabaseAdmin
+        .from('blends')
+        .select('name, share_code, price_per_litre, nutritional_info, allergens, created_at, blend_ingredients (percentage, ingredients (name))')
+        .eq('user_id', userId);
+
+    if (blendsError) throw blendsError;
+
+    return {
+        exported_at: new Date().toISOString(),
+        profile: {
+            id: profile.id,
+            name: profile.name,
+            email: profile.email,
+            phone: profile.phone,
+            phone_verified: profile.phone_verified,
+            role: profile.role,
+            created_at: profile.created_at,
+            updated_at: profile.updated_at,
+            deletion_scheduled_for: profile.deletion_scheduled_for
+        },
+        linked_accounts: identities,
+        addresses,
+        health_profile: healthProfile,
+        orders,
+        reviews,
+        favorites,
+        blends
+    };
+};
+
+/**
+ * Permanently delete one account: anonymize its orders, then remove the auth users
+ * (which cascades to the users row and everything hanging off it)
+ */
+const purgeAccount = async (user) => {
+    const { error: anonymizeError } = await supabaseAdmin.rpc('anonymize_user_orders', {
+        p_user_id: user.id
+    });
+
+    if (anonymizeError) throw anonymizeError;
+
+    const authUserIds = [
+        ...(user.user_identities || []).map(identity => identity.auth_user_id),
+        user.auth_user_id
+    ].filter(Boolean);
+
+    for (const authUserId of authUserIds) {
+        const { error } = await supabaseAdmin.auth.admin.deleteUser(authUserId);
+
+        // Already gone is fine - a previous run may have stopped halfway
+        if (error && error.status !== 404) throw error;
+    }
+
+    // Profiles without an auth user don't cascade
+    const { error: deleteError } = await supabaseAdmin
+        .from('users')
+        .delete()
+        .eq('id', user.id);
+
+    if (deleteError) throw deleteError;
+};
+
+/**
+ * Delete every account whose grace period has ended
+ */
+const purgeDueAccounts = async () => {
+    const { data: dueUsers, error } = await supabaseAdmin
+        .from('users')
+        .select('id, auth_user_id, user_identities (auth_user_id)')
+        .lte('deletion_scheduled_for', new Date().toISOString());
+
+    if (error) {
+        console.error('Fetch accounts due for deletion error:', error);
+        return 0;
+    }
+
+    let purged = 0;
+
+    for (const user of dueUsers) {
+        try {
+            await purgeAccount(user);
+            purged++;
+        } catch (purgeError) {
+            console.error(`Account deletion error for user ${user.id}:`, purgeError);
+        }
+    }
+
+    if (purged > 0) {
+        console.log(`🗑️  Deleted ${purged} account(s) after their grace period`);
+    }
+
+    return purged;
+};
+
+/**
+ * Run purgeDueAccounts now and then every hour
+ */
+const startAccountPurgeJob = () => {
+    purgeDueAccounts();
+
+    const timer = setInterval(purgeDueAccounts, PURGE_INTERVAL_MS);
+    timer.unref();
+
+    return timer;
+};
+
+module.exports = {
+    exportUserData,
+    purgeAccount,
+    purgeDueAccounts,
+    startAccountPurgeJob
+};
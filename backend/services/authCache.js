@@ -0,0 +1,116 @@
+/**
+ * Auth cache
+ * Short-lived in-process cache of user profiles for authenticateToken, plus
+ * session revocations so locally verified tokens respect logouts.
+ * Both live in this process only; with several instances behind a load balancer
+ * a revoked token can still pass on another instance until it expires.
+ */
+
+const PROFILE_TTL_MS = (parseInt(process.env.PROFILE_CACHE_TTL_SECONDS) || 60) * 1000;
+const MAX_PROFILES = 1000;
+
+// auth_user_id -> { profile, expiresAt }
+const profiles = new Map();
+
+// session_id -> token expiry (ms)
+const revokedSessions = new Map();
+
+// auth_user_id -> { revokedAt, exceptSessionId, expiresAt }
+const revokedUsers = new Map();
+
+// Longest an access token issued before a revocation can still be alive
+const MAX_TOKEN_LIFETIME_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get a cached profile, or undefined when missing or stale
+ */
+const getCachedProfile = (authUserId) => {
+    const entry = profiles.get(authUserId);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+        profiles.delete(authUserId);
+        return undefined;
+    }
+
+    return entry.profile;
+};
+
+/**
+ * Cache a profile row for PROFILE_CACHE_TTL_SECONDS
+ */
+const setCachedProfile = (authUserId, profile) => {
+    // Drop the oldest entry once full (Maps keep insertion order)
+    if (profiles.size >= MAX_PROFILES && !profiles.has(authUserId)) {
+        profiles.delete(profiles.keys().next().value);
+    }
+
+    profiles.set(authUserId, { profile, expiresAt: Date.now() + PROFILE_TTL_MS });
+};
+
+/**
+ * Forget a cached profile - call whenever the users row (or its outlets) changes
+ */
+const invalidateProfile = (authUserId) => {
+    profiles.delete(authUserId);
+};
+
+/**
+ * Drop revocations for tokens that have expired anyway
+ */
+const pruneRevocations = () => {
+    const now = Date.now();
+
+    for (const [sessionId, expiresAt] of revokedSessions) {
+        if (expiresAt <= now) revokedSessions.delete(sessionId);
+    }
+
+    for (const [authUserId, entry] of revokedUsers) {
+        if (entry.expiresAt <= now) revokedUsers.delete(authUserId);
+    }
+};
+
+/**
+ * Revoke a single session, identified by the claims of one of its tokens
+ */
+const revokeSession = (claims) => {
+    if (!claims || !claims.session_id) return;
+
+    pruneRevocations();
+    revokedSessions.set(claims.session_id, (claims.exp || 0) * 1000 || Date.now() + MAX_TOKEN_LIFETIME_MS);
+};
+
+/**
+ * Revoke every token issued to a user so far, optionally keeping one session alive
+ */
+const revokeUserSessions = (authUserId, exceptSessionId = null) => {
+    pruneRevocations();
+    revokedUsers.set(authUserId, {
+        revokedAt: Date.now(),
+        exceptSessionId,
+        expiresAt: Date.now() + MAX_TOKEN_LIFETIME_MS
+    });
+};
+
+/**
+ * Check whether a verified token's session has been revoked
+ */
+const isSessionRevoked = (claims) => {
+    if (claims.session_id && revokedSessions.has(claims.session_id)) return true;
+
+    const userRevocation = revokedUsers.get(claims.sub);
+    if (!userRevocation) return false;
+    if (userRevocation.exceptSessionId && claims.session_id === userRevocation.exceptSessionId) return false;
+
+    // iat has second precision; let tokens from the revocation's own second through
+    return claims.iat < Math.floor(userRevocation.revokedAt / 1000);
+};
+
+module.exports = {
+    getCachedProfile,
+    setCachedProfile,
+    invalidateProfile,
+    revokeSession,
+    revokeUserSessions,
+    isSessionRevoked
+};
@@ -0,0 +1,192 @@
+/**
+ * Blend service
+ * Validates build-your-own ingredient mixes and works out their price, nutrition and allergens
+ */
+
+const crypto = require('crypto');
+const { supabase, supabaseAdmin } = require('../db/supabase');
+
+// Blend rules
+const BLEND_MIN_INGREDIENTS = 2;
+const BLEND_MAX_INGREDIENTS = 5;
+const BLEND_MIN_PERCENTAGE = 5;
+const BLEND_MAX_BOOSTER_PERCENTAGE = 15;
+
+// Added to every blended litre for preparation, in UGX
+const BLEND_PREPARATION_FEE_PER_LITRE = 2000;
+
+// Blend prices are rounded up to this many UGX
+const BLEND_PRICE_STEP = 100;
+
+const NUTRIENTS = ['calories_per_100ml', 'sugar_per_100ml', 'protein_per_100ml', 'fat_per_100ml'];
+
+// Share codes avoid characters that are easy to misread
+const SHARE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const SHARE_CODE_LENGTH = 8;
+
+/**
+ * Generate a random code for sharing a blend
+ */
+const generateShareCode = () => Array.from(
+    crypto.randomBytes(SHARE_CODE_LENGTH),
+    byte => SHARE_CODE_ALPHABET[byte % SHARE_CODE_ALPHABET.length]
+).join('');
+
+/**
+ * Check a mix against the blend rules
+ * Returns a list of problems, empty when the mix is allowed
+ */
+const validateMix = (mix, ingredientsById, incompatibilities) => {
+    const errors = [];
+
+    if (mix.length < BLEND_MIN_INGREDIENTS || mix.length > BLEND_MAX_INGREDIENTS) {
+        errors.push(`A blend needs ${BLEND_MIN_INGREDIENTS} to ${BLEND_MAX_INGREDIENTS} ingredients`);
+    }
+
+    const total = mix.reduce((sum, part) => sum + part.percentage, 0);
+    if (total !== 100) {
+        errors.push(`Percentages must add up to 100 (currently ${total})`);
+    }
+
+    let boosterTotal = 0;
+    let hasFruitOrVegetable = false;
+
+    for (const part of mix) {
+        const ingredient = ingredientsById.get(part.ingredient_id);
+
+        if (!ingredient || !ingredient.is_available) {
+            errors.push(`Ingredient ${part.ingredient_id} is not available`);
+            continue;
+        }
+
+        if (part.percentage < BLEND_MIN_PERCENTAGE) {
+            errors.push(`${ingredient.name} must be at least ${BLEND_MIN_PERCENTAGE}% of the blend`);
+        }
+
+        if (part.percentage > ingredient.max_percentage) {
+            errors.push(`${ingredient.name} can be at most ${ingredient.max_percentage}% of the blend`);
+        }
+
+        if (ingredient.kind === 'booster') boosterTotal += part.percentage;
+        if (ingredient.kind === 'fruit' || ingredient.kind === 'vegetable') hasFruitOrVegetable = true;
+    }
+
+    if (!hasFruitOrVegetable) {
+        errors.push('A blend needs at least one fruit or vegetable');
+    }
+
+    if (boosterTotal > BLEND_MAX_BOOSTER_PERCENTAGE) {
+        errors.push(`Boosters can make up at most ${BLEND_MAX_BOOSTER_PERCENTAGE}% of the blend`);
+    }
+
+    for (const pair of incompatibilities) {
+        const first = ingredientsById.get(pair.ingredient_a);
+        const second = ingredientsById.get(pair.ingredient_b);
+        errors.push(`${first.name} and ${second.name} can't be blended: ${pair.reason}`);
+    }
+
+    return errors;
+};
+
+/**
+ * Work out the price per litre, nutrition and allergens of an allowed mix
+ */
+const computeBlend = (mix, ingredientsById) => {
+    const parts = mix.map(part => ({
+        ...part,
+        ingredient: ingredientsById.get(part.ingredient_id),
+        share: part.percentage / 100
+    }));
+
+    const ingredientCost = parts.reduce(
+        (sum, part) => sum + part.share * parseFloat(part.ingredient.price_per_litre), 0);
+    const pricePerLitre = Math.ceil((ingredientCost + BLEND_PREPARATION_FEE_PER_LITRE) / BLEND_PRICE_STEP) * BLEND_PRICE_STEP;
+
+    const nutritionalInfo = Object.fromEntries(NUTRIENTS.map(nutrient => [
+        nutrient,
+        Math.round(parts.reduce(
+            (sum, part) => sum + part.share * (Number(part.ingredient.nutrition_per_100ml[nutrient]) || 0), 0) * 10) / 10
+    ]));
+
+    const allergens = [...new Set(parts.flatMap(part => part.ingredient.allergens || []))].sort();
+
+    return {
+        price_per_litre: pricePerLitre,
+        nutritional_info: nutritionalInfo,
+        allergens,
+        // Ingredient names, matching how products list their ingredients
+        ingredients: parts
+            .slice()
+            .sort((a, b) => b.percentage - a.percentage)
+            .map(part => part.ingredient.name.toLowerCase()),
+        composition: parts.map(part => ({
+            ingredient_id: part.ingredient_id,
+            name: part.ingredient.name,
+            kind: part.ingredient.kind,
+            percentage: part.percentage
+        }))
+    };
+};
+
+/**
+ * Find one of the user's saved blends with its ingredient mix
+ */
+const findUserBlend = async (blendId, userId) => {
+    const { data: blend, error } = await supabaseAdmin
+        .from('blends')
+        .select('id, name, blend_ingredients (ingredient_id, percentage)')
+        .eq('id', blendId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    return blend;
+};
+
+/**
+ * Validate a mix of { ingredient_id, percentage } and compute the blend
+ * Returns { errors } when the mix isn't allowed, otherwise { blend }
+ */
+const evaluateBlend = async (mix) => {
+    const ingredientIds = mix.map(part => part.ingredient_id);
+
+    const [{ data: ingredients, error }, { data: incompatibilities, error: pairsError }] = await Promise.all([
+        supabase
+            .from('ingredients')
+            .select('*')
+            .in('id', ingredientIds),
+        supabase
+            .from('ingredient_incompatibilities')
+            .select('ingredient_a, ingredient_b, reason')
+            .in('ingredient_a', ingredientIds)
+            .in('ingredient_b', ingredientIds)
+    ]);
+
+    if (error || pairsError) throw error || pairsError;
+
+    const ingredientsById = new Map(ingredients.map(ingredient => [ingredient.id, ingredient]));
+    const errors = validateMix(mix, ingredientsById, incompatibilities);
+
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    return { errors: [], blend: computeBlend(mix, ingredientsById) };
+};
+
+// Rules shown to customers building a blend
+const BLEND_RULES = {
+    min_ingredients: BLEND_MIN_INGREDIENTS,
+    max_ingredients: BLEND_MAX_INGREDIENTS,
+    min_percentage: BLEND_MIN_PERCENTAGE,
+    max_booster_percentage: BLEND_MAX_BOOSTER_PERCENTAGE,
+    preparation_fee_per_litre: BLEND_PREPARATION_FEE_PER_LITRE
+};
+
+module.exports = {
+    BLEND_RULES,
+    findUserBlend,
+    generateShareCode,
+    evaluateBlend
+};
@@ -0,0 +1,163 @@
+/**
+ * Catalog filter service
+ * Applies nutrition, allergen, benefit and price filters to product queries and counts facets
+ */
+
+const { normalizeTags } = require('./healthProfile');
+
+// Numeric range filters: query parameter prefix -> column or JSON path
+const RANGE_FILTERS = {
+    calories: 'nutritional_info->calories_per_100ml',
+    sugar: 'nutritional_info->sugar_per_100ml',
+    protein: 'nutritional_info->protein_per_100ml',
+    price: 'price_per_litre'
+};
+
+// Buckets shown as filter chips
+const CALORIE_BUCKETS = [
+    { label: 'Under 50 kcal', min: 0, max: 50 },
+    { label: '50-100 kcal', min: 50, max: 100 },
+    { label: '100-150 kcal', min: 100, max: 150 },
+    { label: '150+ kcal', min: 150, max: null }
+];
+
+const PRICE_BUCKETS = [
+    { label: 'Under UGX 12,000', min: 0, max: 12000 },
+    { label: 'UGX 12,000-15,000', min: 12000, max: 15000 },
+    { label: 'UGX 15,000-20,000', min: 15000, max: 20000 },
+    { label: 'UGX 20,000+', min: 20000, max: null }
+];
+
+// Columns needed to count facets
+const FACET_SELECT = 'id, price_per_litre, nutritional_info, health_benefits, allergens, categories (slug)';
+
+// Query parameters that narrow a facet; facet rows are fetched without them (see withoutFacetFilters)
+const FACET_FILTER_PARAMS = ['benefits', 'exclude_allergens', 'min_calories', 'max_calories', 'min_price', 'max_price'];
+
+/**
+ * Split a comma-separated query value into tags
+ */
+const parseTagList = (value) => normalizeTags(value ? String(value).split(',') : []).filter(Boolean);
+
+/**
+ * Add the catalog filters from validated query parameters to a products query
+ * Tags are validated to plain words, so they are safe in filter values
+ */
+const applyCatalogFilters = (query, filters) => {
+    let filtered = query;
+
+    for (const [name, column] of Object.entries(RANGE_FILTERS)) {
+        if (filters[`min_${name}`] !== undefined) {
+            filtered = filtered.gte(column, filters[`min_${name}`]);
+        }
+        if (filters[`max_${name}`] !== undefined) {
+            filtered = filtered.lte(column, filters[`max_${name}`]);
+        }
+    }
+
+    for (const allergen of parseTagList(filters.exclude_allergens)) {
+        filtered = filtered.not('allergens', 'cs', JSON.stringify([allergen]));
+    }
+
+    for (const ingredient of parseTagList(filters.exclude_ingredients)) {
+        filtered = filtered.not('ingredients', 'cs', JSON.stringify([ingredient]));
+    }
+
+    const benefits = parseTagList(filters.benefits);
+    if (benefits.length > 0) {
+        filtered = filtered.contains('health_benefits', benefits);
+    }
+
+    return filtered;
+};
+
+/**
+ * Drop the filters that belong to a facet, so each facet can be counted without its own filter
+ */
+const withoutFacetFilters = (filters) => Object.fromEntries(
+    Object.entries(filters).filter(([name]) => !FACET_FILTER_PARAMS.includes(name))
+);
+
+const caloriesOf = (product) => Number((product.nutritional_info || {}).calories_per_100ml) || 0;
+
+const priceOf = (product) => parseFloat(product.price_per_litre);
+
+/**
+ * Check a value against optional min and max bounds
+ */
+const inRange = (value, min, max) => (min === undefined || value >= min) && (max === undefined || value <= max);
+
+// Each facet's own filter, checked against facet rows
+const FACET_MATCHERS = {
+    categories: (product, filters, categoryIds) => !categoryIds || categoryIds.includes(product.id),
+    health_benefits: (product, filters) => {
+        const benefits = normalizeTags(product.health_benefits);
+        return parseTagList(filters.benefits).every(benefit => benefits.includes(benefit));
+    },
+    allergens: (product, filters) => {
+        const allergens = normalizeTags(product.allergens);
+        return !parseTagList(filters.exclude_allergens).some(allergen => allergens.includes(allergen));
+    },
+    calories: (product, filters) => inRange(caloriesOf(product), filters.min_calories, filters.max_calories),
+    price: (product, filters) => inRange(priceOf(product), filters.min_price, filters.max_price)
+};
+
+/**
+ * Count the tags returned by getTags across products, most common first
+ */
+const countTags = (products, getTags) => {
+    const counts = {};
+
+    for (const product of products) {
+        for (const tag of new Set(normalizeTags(getTags(product)))) {
+            counts[tag] = (counts[tag] || 0) + 1;
+        }
+    }
+
+    return Object.entries(counts)
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+};
+
+/**
+ * Count products falling in each bucket of a numeric value
+ */
+const countBuckets = (products, buckets, getValue) => buckets.map(bucket => ({
+    ...bucket,
+    count: products.filter(product => {
+        const value = getValue(product);
+        return value >= bucket.min && (bucket.max === null || value < bucket.max);
+    }).length
+}));
+
+/**
+ * Build facet counts from rows matching every filter except the faceted ones and the category
+ * Each facet counts the products matching all the other filters, so picking an option
+ * doesn't hide the other options of the same facet
+ */
+const buildFacets = (products, filters = {}, categoryIds = null) => {
+    const rowsFor = (facet) => products.filter(product => Object.entries(FACET_MATCHERS)
+        .every(([name, matches]) => name === facet || matches(product, filters, categoryIds)));
+
+    const priceRows = rowsFor('price');
+    const prices = priceRows.map(priceOf);
+
+    return {
+        categories: countTags(rowsFor('categories'), product => (product.categories || []).map(category => category.slug)),
+        health_benefits: countTags(rowsFor('health_benefits'), product => product.health_benefits),
+        allergens: countTags(rowsFor('allergens'), product => product.allergens),
+        calories: countBuckets(rowsFor('calories'), CALORIE_BUCKETS, caloriesOf),
+        price: countBuckets(priceRows, PRICE_BUCKETS, priceOf),
+        price_range: prices.length > 0
+            ? { min: Math.min(...prices), max: Math.max(...prices) }
+            : null
+    };
+};
+
+module.exports = {
+    FACET_SELECT,
+    parseTagList,
+    applyCatalogFilters,
+    withoutFacetFilters,
+    buildFacets
+};
@@ -0,0 +1,28 @@
+/**
+ * Delivery service
+ * Reads the delivery terms for a location - the radius, fee and time estimate are defined by
+ * the database (get_delivery_terms) so quotes and the API always agree
+ */
+
+const { supabase } = require('../db/supabase');
+
+/**
+ * Get the nearest active outlet to a location, whether it delivers there, its delivery fee and
+ * estimated minutes; the outlet fields are null when there are no active outlets
+ */
+const getDeliveryTerms = async (lat, lng) => {
+    const { data: terms, error } = await supabase
+        .rpc('get_delivery_terms', {
+            user_lat: lat,
+            user_lng: lng
+        })
+        .single();
+
+    if (error) throw error;
+
+    return terms;
+};
+
+module.exports = {
+    getDeliveryTerms
+};
@@ -0,0 +1,41 @@
+/**
+ * Favorites service
+ * Flags the products a user has favorited
+ */
+
+const { supabaseAdmin } = require('../db/supabase');
+
+/**
+ * Get the IDs of the given products that the user has favorited
+ */
+const getFavoriteProductIds = async (userId, productIds) => {
+    if (productIds.length === 0) return new Set();
+
+    const { data: favorites, error } = await supabaseAdmin
+        .from('user_favorites')
+        .select('product_id')
+        .eq('user_id', userId)
+        .in('product_id', productIds);
+
+    if (error) throw error;
+
+    return new Set(favorites.map(favorite => favorite.product_id));
+};
+
+/**
+ * Add is_favorite to each product - always false for guests
+ */
+const annotateFavorites = async (products, userId) => {
+    const favoriteIds = userId
+        ? await getFavoriteProductIds(userId, products.map(product => product.id))
+        : new Set();
+
+    return products.map(product => ({
+        ...product,
+        is_favorite: favoriteIds.has(product.id)
+    }));
+};
+
+module.exports = {
+    annotateFavorites
+};
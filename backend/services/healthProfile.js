@@ -0,0 +1,73 @@
+/**
+ * Health profile service
+ * Applies a user's stored allergies and targets to product data
+ */
+
+/**
+ * Normalize a list of ingredient/allergen tags for comparison
+ */
+const normalizeTags = (tags) => (Array.isArray(tags) ? tags : []).map(tag => String(tag).toLowerCase().trim());
+
+/**
+ * Find which of the user's allergies a product contains, via its allergens or ingredients
+ */
+const findAllergyConflicts = (product, allergies) => {
+    const avoid = normalizeTags(allergies);
+    if (avoid.length === 0) return [];
+
+    const productTags = new Set([
+        ...normalizeTags(product.allergens),
+        ...normalizeTags(product.ingredients)
+    ]);
+
+    return avoid.filter(allergy => productTags.has(allergy));
+};
+
+/**
+ * Add filters that drop products containing any of the allergies from a products query
+ * Allergy tags are validated to plain words, so they are safe in filter values
+ */
+const excludeAllergens = (query, allergies) => {
+    return normalizeTags(allergies).reduce((filtered, allergy) => filtered
+        .not('allergens', 'cs', JSON.stringify([allergy]))
+        .not('ingredients', 'cs', JSON.stringify([allergy])), query);
+};
+
+/**
+ * Whether listings for this profile should hide conflicting products rather than flag them
+ */
+const shouldHideConflicts = (healthProfile) => Boolean(
+    healthProfile &&
+    healthProfile.hide_allergen_conflicts &&
+    normalizeTags(healthProfile.allergies).length > 0
+);
+
+/**
+ * Flag allergy conflicts and target overruns on products for the user's health profile
+ */
+const annotateProducts = (products, healthProfile) => {
+    if (!healthProfile) return products;
+
+    return products.map(product => {
+        const nutrition = product.nutritional_info || {};
+        const allergyConflicts = findAllergyConflicts(product, healthProfile.allergies);
+
+        return {
+            ...product,
+            allergy_conflicts: allergyConflicts,
+            has_allergy_conflict: allergyConflicts.length > 0,
+            exceeds_calorie_target: healthProfile.max_calories_per_100ml != null &&
+                (nutrition.calories_per_100ml || 0) > healthProfile.max_calories_per_100ml,
+            exceeds_sugar_target: healthProfile.max_sugar_per_100ml != null &&
+                (nutrition.sugar_per_100ml || 0) > healthProfile.max_sugar_per_100ml
+        };
+    });
+};
+
+module.exports = {
+    normalizeTags,
+    findAllergyConflicts,
+    excludeAllergens,
+    shouldHideConflicts,
+    annotateProducts
+};
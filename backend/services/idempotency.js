@@ -0,0 +1,126 @@
+/**
+ * Idempotency service
+ * Stores the first response to each user's Idempotency-Key so retries can be replayed
+ */
+
+const { supabaseAdmin } = require('../db/supabase');
+
+// How long a key's response is replayed for
+const IDEMPOTENCY_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// How long a claim can go without a stored response before another request may take it over,
+// for requests whose process died or whose response couldn't be stored
+const IN_FLIGHT_TIMEOUT_MS = 2 * 60 * 1000;
+
+// How often expired keys are deleted
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Claim a key for a new request
+ * Returns { claimed: true }, or { existing } with the stored row when the key is already in use
+ * A key whose window has ended, or whose request has had no response for IN_FLIGHT_TIMEOUT_MS,
+ * is taken over by the new request
+ */
+const claimIdempotencyKey = async (userId, key, requestHash) => {
+    const { error } = await supabaseAdmin
+        .from('idempotency_keys')
+        .insert([{ user_id: userId, key, request_hash: requestHash }]);
+
+    if (!error) return { claimed: true };
+    if (error.code !== '23505') throw error;
+
+    const cutoff = new Date(Date.now() - IDEMPOTENCY_KEY_TTL_MS).toISOString();
+    const inFlightCutoff = new Date(Date.now() - IN_FLIGHT_TIMEOUT_MS).toISOString();
+
+    const { data: takenOver, error: takeOverError } = await supabaseAdmin
+        .from('idempotency_keys')
+        .update({
+            request_hash: requestHash,
+            status_code: null,
+            response_body: null,
+            created_at: new Date().toISOString()
+        })
+        .eq('user_id', userId)
+        .eq('key', key)
+        .or(`created_at.lt.${cutoff},and(status_code.is.null,created_at.lt.${inFlightCutoff})`)
+        .select('key')
+        .maybeSingle();
+
+    if (takeOverError) throw takeOverError;
+    if (takenOver) return { claimed: true };
+
+    const { data: existing, error: fetchError } = await supabaseAdmin
+        .from('idempotency_keys')
+        .select('request_hash, status_code, response_body')
+        .eq('user_id', userId)
+        .eq('key', key)
+        .maybeSingle();
+
+    if (fetchError) throw fetchError;
+
+    // Released between the insert and the fetch - try again
+    if (!existing) return claimIdempotencyKey(userId, key, requestHash);
+
+    return { existing };
+};
+
+/**
+ * Store the response to replay for a claimed key
+ */
+const saveIdempotentResponse = async (userId, key, statusCode, body) => {
+    const { error } = await supabaseAdmin
+        .from('idempotency_keys')
+        .update({ status_code: statusCode, response_body: body })
+        .eq('user_id', userId)
+        .eq('key', key);
+
+    if (error) throw error;
+};
+
+/**
+ * Give up a claimed key so the request can be retried with it
+ */
+const releaseIdempotencyKey = async (userId, key) => {
+    const { error } = await supabaseAdmin
+        .from('idempotency_keys')
+        .delete()
+        .eq('user_id', userId)
+        .eq('key', key);
+
+    if (error) throw error;
+};
+
+/**
+ * Delete keys whose replay window has ended
+ */
+const purgeExpiredIdempotencyKeys = async () => {
+    const cutoff = new Date(Date.now() - IDEMPOTENCY_KEY_TTL_MS).toISOString();
+
+    const { error } = await supabaseAdmin
+        .from('idempotency_keys')
+        .delete()
+        .lt('created_at', cutoff);
+
+    if (error) {
+        console.error('Purge idempotency keys error:', error);
+    }
+};
+
+/**
+ * Run purgeExpiredIdempotencyKeys now and then every hour
+ */
+const startIdempotencyKeyPurgeJob = () => {
+    purgeExpiredIdempotencyKeys();
+
+    const timer = setInterval(purgeExpiredIdempotencyKeys, PURGE_INTERVAL_MS);
+    timer.unref();
+
+    return timer;
+};
+
+module.exports = {
+    claimIdempotencyKey,
+    saveIdempotentResponse,
+    releaseIdempotencyKey,
+    startIdempotencyKeyPurgeJob
+};
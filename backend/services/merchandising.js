@@ -0,0 +1,114 @@
+/**
+ * Merchandising service
+ * Picks the featured products and banners that are live for the caller's outlet and region
+ */
+
+const { supabase, supabaseAdmin } = require('../db/supabase');
+
+// How often scheduled featured slots are checked for going live
+const SLOT_NOTIFY_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Look up the region an outlet serves
+ */
+const getOutletRegion = async (outletId) => {
+    const { data: outlet } = await supabase
+        .from('outlets')
+        .select('region')
+        .eq('id', outletId)
+        .maybeSingle();
+
+    return outlet ? outlet.region : null;
+};
+
+/**
+ * Keep only rows scheduled for now
+ */
+const whereLive = (query) => {
+    const now = new Date().toISOString();
+
+    return query
+        .eq('is_active', true)
+        .lte('starts_at', now)
+        .or(`ends_at.is.null,ends_at.gt.${now}`);
+};
+
+/**
+ * Whether a row targets the caller - untargeted rows show everywhere
+ * Without a serving outlet only untargeted rows show
+ */
+const isTargeted = (row, outlet, region) => {
+    if (!row.outlet_id && !row.region) return true;
+    if (!outlet) return false;
+    if (row.outlet_id) return row.outlet_id === outlet.id;
+    return Boolean(region) && row.region.toLowerCase() === region.toLowerCase();
+};
+
+/**
+ * Get the banners live for the caller, in display order
+ */
+const getLiveBanners = async (outlet) => {
+    const [{ data: banners, error }, region] = await Promise.all([
+        whereLive(supabase
+            .from('banners')
+            .select('id, title, body, image_url, cta_label, deep_link, position, outlet_id, region, ends_at'))
+            .order('position'),
+        outlet ? getOutletRegion(outlet.id) : null
+    ]);
+
+    if (error) throw error;
+
+    return banners
+        .filter(banner => isTargeted(banner, outlet, region))
+        .map(({ outlet_id, region: bannerRegion, ...banner }) => banner);
+};
+
+/**
+ * Get the IDs of the products featured for the caller, in slot order
+ */
+const getFeaturedProductIds = async (outlet, limit) => {
+    const [{ data: slots, error }, region] = await Promise.all([
+        whereLive(supabase
+            .from('featured_slots')
+            .select('product_id, position, outlet_id, region'))
+            .order('position'),
+        outlet ? getOutletRegion(outlet.id) : null
+    ]);
+
+    if (error) throw error;
+
+    const productIds = slots
+        .filter(slot => isTargeted(slot, outlet, region))
+        .map(slot => slot.product_id);
+
+    return [...new Set(productIds)].slice(0, limit);
+};
+
+/**
+ * Notify favorites of featured slots that have gone live since the last run
+ */
+const notifyLiveFeaturedSlots = async () => {
+    const { error } = await supabaseAdmin.rpc('notify_live_featured_slots');
+
+    if (error) {
+        console.error('Notify featured slots error:', error);
+    }
+};
+
+/**
+ * Run notifyLiveFeaturedSlots now and then every five minutes
+ */
+const startFeaturedSlotNotifyJob = () => {
+    notifyLiveFeaturedSlots();
+
+    const timer = setInterval(notifyLiveFeaturedSlots, SLOT_NOTIFY_INTERVAL_MS);
+    timer.unref();
+
+    return timer;
+};
+
+module.exports = {
+    getLiveBanners,
+    getFeaturedProductIds,
+    startFeaturedSlotNotifyJob
+};
@@ -0,0 +1,79 @@
+/**
+ * Order status service
+ * Moves orders through their statuses and reads back the timeline of changes
+ * The allowed moves are enforced by the database (is_order_transition_allowed)
+ */
+
+const { supabaseAdmin } = require('../db/supabase');
+const { getStatusMessage } = require('../utils/helpers');
+
+// Statuses a customer can still cancel from - staff can also cancel while preparing
+const CUSTOMER_CANCELLABLE_STATUSES = ['pending', 'confirmed'];
+
+/**
+ * Move an order to a new status, recording who made the change
+ * allowedFrom limits the statuses it may move from; it is checked while the order is locked
+ * Returns { order }, or { error: { code, status, message } } when the order doesn't exist
+ * or can't make that move
+ */
+const transitionOrderStatus = async (orderId, toStatus, {
+    changedBy = null,
+    actorRole = 'system',
+    note = null,
+    allowedFrom = null
+} = {}) => {
+    const { data: orders, error } = await supabaseAdmin.rpc('transition_order_status', {
+        p_order_id: orderId,
+        p_to_status: toStatus,
+        p_changed_by: changedBy,
+        p_actor_role: actorRole,
+        p_note: note,
+        p_allowed_from: allowedFrom
+    });
+
+    if (!error) return { order: orders[0] };
+
+    const [code, fromStatus] = (error.message || '').split(':');
+
+    if (code === 'ORDER_NOT_FOUND') {
+        return { error: { code, status: 404, message: 'Order not found' } };
+    }
+
+    if (code === 'ILLEGAL_TRANSITION') {
+        return { error: { code, status: 409, message: `Order can't move from ${fromStatus} to ${toStatus}` } };
+    }
+
+    if (code === 'RIDER_REQUIRED') {
+        return { error: { code, status: 409, message: 'The order needs a rider who has accepted it before it goes out for delivery' } };
+    }
+
+    console.error('Transition order status error:', error);
+    return { error: { code: 'TRANSITION_FAILED', status: 500, message: 'Failed to update order status' } };
+};
+
+/**
+ * Get the statuses an order has been through, oldest first
+ */
+const getStatusTimeline = async (orderId) => {
+    const { data: history, error } = await supabaseAdmin
+        .from('order_status_history')
+        .select('to_status, actor_role, note, created_at')
+        .eq('order_id', orderId)
+        .order('created_at');
+
+    if (error) throw error;
+
+    return history.map(entry => ({
+        status: entry.to_status,
+        status_message: getStatusMessage(entry.to_status),
+        actor_role: entry.actor_role,
+        note: entry.note,
+        at: entry.created_at
+    }));
+};
+
+module.exports = {
+    CUSTOMER_CANCELLABLE_STATUSES,
+    transitionOrderStatus,
+    getStatusTimeline
+};
@@ -0,0 +1,71 @@
+/**
+ * Product image service
+ * Resizes uploaded product and review photos and stores them
+ */
+
+const Jimp = require('jimp');
+const { getStorage } = require('./storage');
+
+// Longest edge of the stored full-size image
+const IMAGE_MAX_SIZE = 1200;
+
+// Square thumbnail used in listings
+const THUMBNAIL_SIZE = 300;
+
+/**
+ * Resize and store a product image, returning the image and thumbnail URLs
+ */
+const storeProductImage = async (productId, buffer) => {
+    const image = await Jimp.read(buffer);
+
+    const full = image.clone()
+        .scaleToFit(Math.min(IMAGE_MAX_SIZE, image.bitmap.width), Math.min(IMAGE_MAX_SIZE, image.bitmap.height))
+        .quality(85);
+
+    const thumbnail = image.clone()
+        .cover(THUMBNAIL_SIZE, THUMBNAIL_SIZE)
+        .quality(80);
+
+    const storage = getStorage();
+    const version = Date.now();
+
+    const [imageUrl, thumbnailUrl] = await Promise.all([
+        storage.save({
+            path: `products/${productId}/${version}.jpg`,
+            buffer: await full.getBufferAsync(Jimp.MIME_JPEG),
+            contentType: Jimp.MIME_JPEG
+        }),
+        storage.save({
+            path: `products/${productId}/${version}-thumb.jpg`,
+            buffer: await thumbnail.getBufferAsync(Jimp.MIME_JPEG),
+            contentType: Jimp.MIME_JPEG
+        })
+    ]);
+
+    return {
+        image_url: imageUrl,
+        thumbnail_url: thumbnailUrl
+    };
+};
+
+/**
+ * Resize and store a customer's review photo, returning its URL
+ */
+const storeReviewPhoto = async (reviewId, buffer) => {
+    const image = await Jimp.read(buffer);
+
+    const photo = image
+        .scaleToFit(Math.min(IMAGE_MAX_SIZE, image.bitmap.width), Math.min(IMAGE_MAX_SIZE, image.bitmap.height))
+        .quality(80);
+
+    return getStorage().save({
+        path: `reviews/${reviewId}/${Date.now()}.jpg`,
+        buffer: await photo.getBufferAsync(Jimp.MIME_JPEG),
+        contentType: Jimp.MIME_JPEG
+    });
+};
+
+module.exports = {
+    storeProductImage,
+    storeReviewPhoto
+};
@@ -0,0 +1,53 @@
+/**
+ * Product search service
+ * Runs ranked full-text and fuzzy search in Postgres so user input never reaches a filter string
+ */
+
+const { supabase } = require('../db/supabase');
+
+/**
+ * Find products matching a query, best match first
+ * Returns the page of matches, the total number of matches and a corrected query
+ * ("pinaple" -> "pineapple"), or null when nothing looks misspelt
+ * Pass limit null to get every match (e.g. to filter a listing by ID)
+ */
+const findProductMatches = async (query, { exclude = [], limit = 20, offset = 0 } = {}) => {
+    const { data: result, error } = await supabase.rpc('search_products', {
+        p_query: query.trim(),
+        p_exclude: exclude,
+        p_limit: limit,
+        p_offset: offset
+    });
+
+    if (error) throw error;
+
+    return {
+        matches: result.matches,
+        total: Number(result.total),
+        suggestion: result.suggestion || null
+    };
+};
+
+/**
+ * Put products in match order and add their relevance score and highlighted name/description
+ * Highlights are escaped HTML with <mark> around the matched words
+ */
+const applyMatches = (products, matches) => {
+    const byId = new Map(products.map(product => [product.id, product]));
+
+    return matches
+        .filter(match => byId.has(match.product_id))
+        .map(match => ({
+            ...byId.get(match.product_id),
+            relevance: Number(match.relevance),
+            highlights: {
+                name: match.name_highlight,
+                description: match.description_highlight
+            }
+        }));
+};
+
+module.exports = {
+    findProductMatches,
+    applyMatches
+};
@@ -0,0 +1,173 @@
+/**
+ * Riders service
+ * Offers orders to riders, records their answers and their deliveries
+ * Which rider gets a ready order is decided by the database (dispatch_order)
+ */
+
+const { supabaseAdmin } = require('../db/supabase');
+const { transitionOrderStatus } = require('./orderStatus');
+
+// Assignments a rider still has to answer or deliver
+const OPEN_ASSIGNMENT_STATUSES = ['offered', 'accepted'];
+
+// How long a rider has to answer an offer before it goes to the next rider
+const OFFER_TIMEOUT = '5 minutes';
+
+// How often unanswered offers are checked
+const OFFER_EXPIRY_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Offer an order to a chosen rider, taking it back from any rider it was offered to before
+ * Returns { order } with its new rider, or { error: { code, status, message } } when the
+ * rider doesn't exist, is off shift or already holds as many orders as they can
+ */
+const offerOrderToRider = async (orderId, riderId) => {
+    const { data: orders, error } = await supabaseAdmin.rpc('offer_order_to_rider', {
+        p_order_id: orderId,
+        p_rider_id: riderId
+    });
+
+    if (!error) return { order: orders[0] };
+
+    const [code] = (error.message || '').split(':');
+
+    if (code === 'RIDER_NOT_FOUND') {
+        return { error: { code, status: 400, message: 'Rider not found' } };
+    }
+
+    if (code === 'RIDER_OFF_SHIFT') {
+        return { error: { code, status: 409, message: 'The rider is not on shift' } };
+    }
+
+    if (code === 'RIDER_AT_CAPACITY') {
+        return { error: { code, status: 409, message: 'The rider already has as many orders as they can take' } };
+    }
+
+    throw error;
+};
+
+/**
+ * Offer every ready order still waiting for a rider; returns how many found one
+ */
+const dispatchWaitingOrders = async () => {
+    const { data: dispatched, error } = await supabaseAdmin.rpc('dispatch_waiting_orders');
+
+    if (error) throw error;
+
+    return dispatched;
+};
+
+/**
+ * Start or end a rider's shift
+ * Returns { rider }, or { error: { code, status, message } } when the user has no rider record
+ */
+const setRiderShift = async (riderId, onShift) => {
+    const { data: riders, error } = await supabaseAdmin.rpc('set_rider_shift', {
+        p_rider_id: riderId,
+        p_on_shift: onShift
+    });
+
+    if (!error) return { rider: riders[0] };
+
+    if ((error.message || '').startsWith('RIDER_NOT_FOUND')) {
+        return { error: { code: 'RIDER_NOT_FOUND', status: 404, message: 'Rider not found' } };
+    }
+
+    console.error('Set rider shift error:', error);
+    return { error: { code: 'SHIFT_UPDATE_FAILED', status: 500, message: 'Failed to update shift' } };
+};
+
+/**
+ * Accept or decline an order offered to a rider - a declined order is offered to the next rider
+ * Returns { assignment }, or { error: { code, status, message } } when the offer isn't the
+ * rider's or has already been answered
+ */
+const respondToAssignment = async (assignmentId, riderId, accept, reason = null) => {
+    const { data: assignments, error } = await supabaseAdmin.rpc('respond_to_assignment', {
+        p_assignment_id: assignmentId,
+        p_rider_id: riderId,
+        p_accept: accept,
+        p_reason: reason
+    });
+
+    if (!error) return { assignment: assignments[0] };
+
+    const [code, status] = (error.message || '').split(':');
+
+    if (code === 'ASSIGNMENT_NOT_FOUND') {
+        return { error: { code, status: 404, message: 'Assignment not found' } };
+    }
+
+    if (code === 'ASSIGNMENT_CLOSED') {
+        return { error: { code, status: 409, message: `This assignment is already ${status}` } };
+    }
+
+    console.error('Respond to assignment error:', error);
+    return { error: { code: 'ASSIGNMENT_UPDATE_FAILED', status: 500, message: 'Failed to update assignment' } };
+};
+
+/**
+ * Mark the order of a rider's accepted assignment as delivered, which completes the assignment
+ * Returns { order }, or { error: { code, status, message } } when the assignment isn't the
+ * rider's, hasn't been accepted or the order isn't out for delivery
+ */
+const deliverAssignment = async (assignmentId, riderId) => {
+    const { data: assignment, error } = await supabaseAdmin
+        .from('rider_assignments')
+        .select('id, order_id, status')
+        .eq('id', assignmentId)
+        .eq('rider_id', riderId)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    if (!assignment) {
+        return { error: { code: 'ASSIGNMENT_NOT_FOUND', status: 404, message: 'Assignment not found' } };
+    }
+
+    if (assignment.status === 'offered') {
+        return { error: { code: 'ASSIGNMENT_NOT_ACCEPTED', status: 409, message: 'Accept the order before delivering it' } };
+    }
+
+    if (assignment.status !== 'accepted') {
+        return { error: { code: 'ASSIGNMENT_CLOSED', status: 409, message: `This assignment is already ${assignment.status}` } };
+    }
+
+    return transitionOrderStatus(assignment.order_id, 'delivered', {
+        changedBy: riderId,
+        actorRole: 'rider'
+    });
+};
+
+/**
+ * Hand offers riders haven't answered in time to the next rider
+ */
+const expireRiderOffers = async () => {
+    const { error } = await supabaseAdmin.rpc('expire_rider_offers', { p_max_age: OFFER_TIMEOUT });
+
+    if (error) {
+        console.error('Expire rider offers error:', error);
+    }
+};
+
+/**
+ * Run expireRiderOffers now and then every minute
+ */
+const startRiderOfferExpiryJob = () => {
+    expireRiderOffers();
+
+    const timer = setInterval(expireRiderOffers, OFFER_EXPIRY_INTERVAL_MS);
+    timer.unref();
+
+    return timer;
+};
+
+module.exports = {
+    OPEN_ASSIGNMENT_STATUSES,
+    offerOrderToRider,
+    dispatchWaitingOrders,
+    setRiderShift,
+    respondToAssignment,
+    deliverAssignment,
+    startRiderOfferExpiryJob
+};
@@ -0,0 +1,57 @@
+/**
+ * Africa's Talking SMS sender
+ * Delivers SMS to Ugandan numbers through the Africa's Talking messaging API
+ */
+
+const https = require('https');
+const querystring = require('querystring');
+
+const send = ({ to, message }) => {
+    const username = process.env.AFRICASTALKING_USERNAME;
+    const apiKey = process.env.AFRICASTALKING_API_KEY;
+
+    if (!username || !apiKey) {
+        return Promise.reject(new Error('AFRICASTALKING_USERNAME and AFRICASTALKING_API_KEY are required'));
+    }
+
+    const host = username === 'sandbox' ? 'api.sandbox.africastalking.com' : 'api.africastalking.com';
+    const body = querystring.stringify({
+        username,
+        to,
+        message,
+        ...(process.env.AFRICASTALKING_SENDER_ID && { from: process.env.AFRICASTALKING_SENDER_ID })
+    });
+
+    return new Promise((resolve, reject) => {
+        const request = https.request({
+            host,
+            path: '/version1/messaging',
+            method: 'POST',
+            headers: {
+                apiKey,
+                Accept: 'application/json',
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Content-Length': Buffer.byteLength(body)
+            }
+        }, (response) => {
+            let data = '';
+            response.on('data', chunk => { data += chunk; });
+            response.on('end', () => {
+                if (response.statusCode >= 200 && response.statusCode < 300) {
+                    resolve();
+                } else {
+                    reject(new Error(`Africa's Talking responded with ${response.statusCode}: ${data}`));
+                }
+            });
+        });
+
+        request.on('error', reject);
+        request.write(body);
+        request.end();
+    });
+};
+
+module.exports = {
+    name: 'africastalking',
+    send
+};
@@ -0,0 +1,55 @@
+/**
+ * SMS service
+ * Picks the SMS gateway from SMS_PROVIDER so a stub can stand in for the real one
+ */
+
+const stubSender = require('./stubSender');
+const africasTalkingSender = require('./africasTalkingSender');
+
+const senders = {
+    [stubSender.name]: stubSender,
+    [africasTalkingSender.name]: africasTalkingSender
+};
+
+// Production must name its gateway - falling back to the stub would silently send nothing
+if (process.env.NODE_ENV === 'production' && !process.env.SMS_PROVIDER) {
+    throw new Error('SMS_PROVIDER is required in production');
+}
+
+// Set by setSmsSender to override the configured provider (tests, scripts)
+let overrideSender = null;
+
+/**
+ * Get the active SMS sender
+ */
+const getSmsSender = () => {
+    if (overrideSender) return overrideSender;
+
+    const provider = process.env.SMS_PROVIDER || 'stub';
+    const sender = senders[provider];
+
+    if (!sender) {
+        throw new Error(`Unknown SMS_PROVIDER: ${provider}`);
+    }
+
+    return sender;
+};
+
+/**
+ * Replace the active SMS sender; pass null to go back to SMS_PROVIDER
+ * A sender is any object with an async send({ to, message }) method
+ */
+const setSmsSender = (sender) => {
+    overrideSender = sender;
+};
+
+/**
+ * Send an SMS through the active sender
+ */
+const sendSms = (to, message) => getSmsSender().send({ to, message });
+
+module.exports = {
+    getSmsSender,
+    setSmsSender,
+    sendSms
+};
@@ -0,0 +1,35 @@
+/**
+ * Stub SMS sender
+ * Keeps messages in memory instead of sending them - for local development and tests
+ * Outside production the message is logged so developers can read their login codes;
+ * in production only the fact that one was sent is logged
+ */
+
+// Most recent messages, newest last, so tests can read OTPs back
+const sentMessages = [];
+const MAX_STORED_MESSAGES = 50;
+
+/**
+ * Hide all but the last three digits of a phone number
+ */
+const maskPhone = (phone) => String(phone).replace(/\d(?=\d{3})/g, '*');
+
+const send = async ({ to, message }) => {
+    sentMessages.push({ to, message, sent_at: new Date().toISOString() });
+    if (sentMessages.length > MAX_STORED_MESSAGES) {
+        sentMessages.shift();
+    }
+
+    if (process.env.NODE_ENV !== 'production') {
+        console.log(`📨 [SMS stub] message to ${maskPhone(to)} not sent (stub provider): ${message}`);
+        return;
+    }
+
+    console.log(`📨 [SMS stub] message to ${maskPhone(to)} not sent (stub provider)`);
+};
+
+module.exports = {
+    name: 'stub',
+    send,
+    sentMessages
+};
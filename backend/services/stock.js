@@ -0,0 +1,93 @@
+/**
+ * Stock service
+ * Finds the outlet serving a caller and reports per-outlet product availability
+ */
+
+const { supabase, supabaseAdmin } = require('../db/supabase');
+const { isValidCoordinate } = require('../utils/helpers');
+const { getDeliveryTerms } = require('./delivery');
+
+/**
+ * Find the outlet that would serve a location, or the user's default saved address
+ * Returns null when the location is unknown or outside every outlet's delivery radius
+ */
+const findServingOutlet = async ({ lat, lng, userId } = {}) => {
+    const userLat = parseFloat(lat);
+    const userLng = parseFloat(lng);
+
+    if (isValidCoordinate(userLat, userLng)) {
+        // A location we can't look up is treated like one no outlet delivers to
+        const terms = await getDeliveryTerms(userLat, userLng).catch(() => null);
+
+        if (!terms || !terms.delivery_available) {
+            return null;
+        }
+
+        return { id: terms.outlet_id, name: terms.outlet_name };
+    }
+
+    if (!userId) return null;
+
+    const { data: address } = await supabaseAdmin
+        .from('user_addresses')
+        .select('delivery_available, outlets:nearest_outlet_id (id, name)')
+        .eq('user_id', userId)
+        .eq('is_default', true)
+        .maybeSingle();
+
+    if (!address || !address.delivery_available || !address.outlets) return null;
+
+    return { id: address.outlets.id, name: address.outlets.name };
+};
+
+/**
+ * Get the litres in stock at an outlet, keyed by product ID
+ */
+const getStockLevels = async (outletId, productIds) => {
+    if (productIds.length === 0) return {};
+
+    const { data: rows, error } = await supabase
+        .from('outlet_stock')
+        .select('product_id, quantity_litres')
+        .eq('outlet_id', outletId)
+        .in('product_id', productIds);
+
+    if (error) throw error;
+
+    return Object.fromEntries(rows.map(row => [row.product_id, parseFloat(row.quantity_litres)]));
+};
+
+/**
+ * Add each product's availability at the serving outlet, including how many bottles of each size are left
+ * availability is null when no outlet serves the caller
+ */
+const annotateAvailability = async (products, outlet) => {
+    if (!outlet) {
+        return products.map(product => ({ ...product, availability: null }));
+    }
+
+    const stock = await getStockLevels(outlet.id, products.map(product => product.id));
+
+    return products.map(product => {
+        const litres = stock[product.id] || 0;
+
+        return {
+            ...product,
+            availability: {
+                outlet_id: outlet.id,
+                outlet_name: outlet.name,
+                in_stock: litres > 0,
+                variants: (product.variants || []).map(variant => ({
+                    variant_id: variant.id,
+                    bottles_available: Math.floor(litres * 1000 / variant.volume_ml)
+                }))
+            }
+        };
+    });
+};
+
+module.exports = {
+    findServingOutlet,
+    getStockLevels,
+    annotateAvailability
+};
@@ -0,0 +1,40 @@
+/**
+ * File storage service
+ * Picks the storage driver from STORAGE_DRIVER: Supabase Storage in production,
+ * the local disk in development
+ */
+
+const supabaseStorage = require('./supabaseStorage');
+const localDiskStorage = require('./localDiskStorage');
+
+const drivers = {
+    [supabaseStorage.name]: supabaseStorage,
+    [localDiskStorage.name]: localDiskStorage
+};
+
+/**
+ * Name of the configured storage driver
+ */
+const getStorageDriverName = () =>
+    process.env.STORAGE_DRIVER || (process.env.NODE_ENV === 'production' ? 'supabase' : 'local');
+
+/**
+ * Get the active storage driver
+ * A driver has async save({ path, buffer, contentType }) -> public URL, and async remove(path)
+ */
+const getStorage = () => {
+    const name = getStorageDriverName();
+    const driver = drivers[name];
+
+    if (!driver) {
+        throw new Error(`Unknown STORAGE_DRIVER: ${name}`);
+    }
+
+    return driver;
+};
+
+module.exports = {
+    getStorage,
+    getStorageDriverName,
+    LOCAL_UPLOAD_DIR: localDiskStorage.UPLOAD_DIR
+};
@@ -0,0 +1,40 @@
+/**
+ * Local disk storage driver
+ * Writes files under LOCAL_UPLOAD_DIR and serves them from /uploads - for development
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const UPLOAD_DIR = process.env.LOCAL_UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads');
+
+/**
+ * Resolve a storage path inside the upload directory, refusing anything that escapes it
+ */
+const resolvePath = (filePath) => {
+    const fullPath = path.resolve(UPLOAD_DIR, filePath);
+    if (!fullPath.startsWith(path.resolve(UPLOAD_DIR) + path.sep)) {
+        throw new Error(`Invalid storage path: ${filePath}`);
+    }
+    return fullPath;
+};
+
+const save = async ({ path: filePath, buffer }) => {
+    const fullPath = resolvePath(filePath);
+
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.writeFile(fullPath, buffer);
+
+    return `${process.env.PUBLIC_BASE_URL || ''}/uploads/${filePath}`;
+};
+
+const remove = async (filePath) => {
+    await fs.rm(resolvePath(filePath), { force: true });
+};
+
+module.exports = {
+    name: 'local',
+    UPLOAD_DIR,
+    save,
+    remove
+};
@@ -0,0 +1,30 @@
+/**
+ * Supabase Storage driver
+ * Stores files in a public Supabase Storage bucket
+ */
+
+const { supabaseAdmin } = require('../../db/supabase');
+
+const bucket = () => process.env.STORAGE_BUCKET || 'product-images';
+
+const save = async ({ path, buffer, contentType }) => {
+    const { error } = await supabaseAdmin.storage
+        .from(bucket())
+        .upload(path, buffer, { contentType, upsert: true });
+
+    if (error) throw error;
+
+    const { data } = supabaseAdmin.storage.from(bucket()).getPublicUrl(path);
+    return data.publicUrl;
+};
+
+const remove = async (path) => {
+    const { error } = await supabaseAdmin.storage.from(bucket()).remove([path]);
+    if (error) throw error;
+};
+
+module.exports = {
+    name: 'supabase',
+    save,
+    remove
+};
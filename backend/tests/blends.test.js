@@ -0,0 +1,138 @@
+jest.mock('../db/supabase', () => require('./helpers/fakeSupabase'));
+
+const { onTable, resetFakeSupabase } = require('../db/supabase');
+const { evaluateBlend } = require('../services/blends');
+
+const INGREDIENTS = [
+    { id: 'mango', name: 'Mango', kind: 'fruit', max_percentage: 100, price_per_litre: '10000', is_available: true,
+        allergens: [], nutrition_per_100ml: { calories_per_100ml: 60, sugar_per_100ml: 14 } },
+    { id: 'pineapple', name: 'Pineapple', kind: 'fruit', max_percentage: 100, price_per_litre: '8000', is_available: true,
+        allergens: [], nutrition_per_100ml: { calories_per_100ml: 50, sugar_per_100ml: 10 } },
+    { id: 'spinach', name: 'Spinach', kind: 'vegetable', max_percentage: 30, price_per_litre: '6000', is_available: true,
+        allergens: [], nutrition_per_100ml: { calories_per_100ml: 23, protein_per_100ml: 3 } },
+    { id: 'ginger', name: 'Ginger', kind: 'booster', max_percentage: 10, price_per_litre: '20000', is_available: true,
+        allergens: [], nutrition_per_100ml: {} },
+    { id: 'chia', name: 'Chia', kind: 'booster', max_percentage: 15, price_per_litre: '30000', is_available: true,
+        allergens: ['seeds'], nutrition_per_100ml: { protein_per_100ml: 2 } },
+    { id: 'yoghurt', name: 'Yoghurt', kind: 'base', max_percentage: 50, price_per_litre: '9000', is_available: true,
+        allergens: ['milk'], nutrition_per_100ml: { calories_per_100ml: 60 } },
+    { id: 'coconut-water', name: 'Coconut Water', kind: 'base', max_percentage: 100, price_per_litre: '7000', is_available: true,
+        allergens: [], nutrition_per_100ml: { calories_per_100ml: 19 } },
+    { id: 'lychee', name: 'Lychee', kind: 'fruit', max_percentage: 100, price_per_litre: '15000', is_available: false,
+        allergens: [], nutrition_per_100ml: {} }
+];
+
+let incompatibilities;
+
+/**
+ * Values of the in() filter on a column
+ */
+const inValues = (details, column) => details.filters.find(([method, name]) => method === 'in' && name === column)[2];
+
+beforeEach(() => {
+    resetFakeSupabase();
+    incompatibilities = [];
+
+    onTable('ingredients', (details) => ({
+        data: INGREDIENTS.filter(ingredient => inValues(details, 'id').includes(ingredient.id))
+    }));
+
+    onTable('ingredient_incompatibilities', (details) => ({
+        data: incompatibilities.filter(pair => inValues(details, 'ingredient_a').includes(pair.ingredient_a) &&
+            inValues(details, 'ingredient_b').includes(pair.ingredient_b))
+    }));
+});
+
+describe('evaluateBlend', () => {
+    test('prices an allowed mix from its ingredients plus the preparation fee, rounded up to UGX 100', async () => {
+        const { errors, blend } = await evaluateBlend([
+            { ingredient_id: 'mango', percentage: 60 },
+            { ingredient_id: 'pineapple', percentage: 30 },
+            { ingredient_id: 'chia', percentage: 10 }
+        ]);
+
+        expect(errors).toEqual([]);
+        // 0.6 * 10000 + 0.3 * 8000 + 0.1 * 30000 + 2000
+        expect(blend.price_per_litre).toBe(13400);
+        expect(blend.nutritional_info).toEqual({
+            calories_per_100ml: 51,
+            sugar_per_100ml: 11.4,
+            protein_per_100ml: 0.2,
+            fat_per_100ml: 0
+        });
+        expect(blend.allergens).toEqual(['seeds']);
+        expect(blend.ingredients).toEqual(['mango', 'pineapple', 'chia']);
+    });
+
+    test('needs two to five ingredients', async () => {
+        const { errors, blend } = await evaluateBlend([{ ingredient_id: 'mango', percentage: 100 }]);
+
+        expect(blend).toBeUndefined();
+        expect(errors).toContain('A blend needs 2 to 5 ingredients');
+    });
+
+    test('needs percentages adding up to 100', async () => {
+        const { errors } = await evaluateBlend([
+            { ingredient_id: 'mango', percentage: 50 },
+            { ingredient_id: 'pineapple', percentage: 40 }
+        ]);
+
+        expect(errors).toEqual(['Percentages must add up to 100 (currently 90)']);
+    });
+
+    test('needs every ingredient to be at least 5% and within its own maximum', async () => {
+        const { errors } = await evaluateBlend([
+            { ingredient_id: 'mango', percentage: 57 },
+            { ingredient_id: 'spinach', percentage: 40 },
+            { ingredient_id: 'ginger', percentage: 3 }
+        ]);
+
+        expect(errors).toEqual([
+            'Spinach can be at most 30% of the blend',
+            'Ginger must be at least 5% of the blend'
+        ]);
+    });
+
+    test('limits boosters to 15% of the blend', async () => {
+        const { errors } = await evaluateBlend([
+            { ingredient_id: 'mango', percentage: 80 },
+            { ingredient_id: 'ginger', percentage: 10 },
+            { ingredient_id: 'chia', percentage: 10 }
+        ]);
+
+        expect(errors).toEqual(['Boosters can make up at most 15% of the blend']);
+    });
+
+    test('needs a fruit or vegetable', async () => {
+        const { errors } = await evaluateBlend([
+            { ingredient_id: 'coconut-water', percentage: 90 },
+            { ingredient_id: 'chia', percentage: 10 }
+        ]);
+
+        expect(errors).toEqual(['A blend needs at least one fruit or vegetable']);
+    });
+
+    test('rejects unavailable and unknown ingredients', async () => {
+        const { errors } = await evaluateBlend([
+            { ingredient_id: 'mango', percentage: 50 },
+            { ingredient_id: 'lychee', percentage: 30 },
+            { ingredient_id: 'durian', percentage: 20 }
+        ]);
+
+        expect(errors).toEqual([
+            'Ingredient lychee is not available',
+            'Ingredient durian is not available'
+        ]);
+    });
+
+    test('rejects ingredients that can\'t be blended together', async () => {
+        incompatibilities = [{ ingredient_a: 'pineapple', ingredient_b: 'yoghurt', reason: 'it curdles' }];
+
+        const { errors } = await evaluateBlend([
+            { ingredient_id: 'pineapple', percentage: 60 },
+            { ingredient_id: 'yoghurt', percentage: 40 }
+        ]);
+
+        expect(errors).toEqual(['Pineapple and Yoghurt can\'t be blended: it curdles']);
+    });
+});
@@ -0,0 +1,158 @@
+jest.mock('../db/supabase', () => require('./helpers/fakeSupabase'));
+jest.mock('../middleware/auth', () => require('./helpers/fakeAuth'));
+
+const request = require('supertest');
+const { onTable, onRpc, rpcCalls, calls, resetFakeSupabase } = require('../db/supabase');
+const { TEST_USER } = require('../middleware/auth');
+const { buildApp } = require('./helpers/app');
+const cartRoutes = require('../routes/cart');
+
+const app = buildApp('/api/cart', cartRoutes);
+
+const CART_ID = '77777777-7777-4777-8777-777777777777';
+const ADDRESS_ID = '55555555-5555-4555-8555-555555555555';
+const MANGO_ID = '22222222-2222-4222-8222-222222222222';
+const MANGO_500ML_ID = '44444444-4444-4444-8444-444444444444';
+const GREEN_ID = '88888888-8888-4888-8888-888888888888';
+const BLEND_ID = '66666666-6666-4666-8666-666666666666';
+
+// Prices the fake database charges
+const PRICE_PER_LITRE = { [MANGO_ID]: 15000, [GREEN_ID]: 18000 };
+const BOTTLE_PRICE = { [MANGO_500ML_ID]: 8000 };
+const DELIVERY_FEE = 6000;
+
+const CART = {
+    id: CART_ID,
+    address_id: ADDRESS_ID,
+    payment_method: 'mobile_money',
+    notes: 'Call on arrival',
+    user_addresses: { id: ADDRESS_ID, label: 'Home' },
+    cart_items: [
+        { id: 'line-1', product_id: MANGO_ID, variant_id: MANGO_500ML_ID, blend_id: null, quantity: 3,
+            quantity_litres: '1.500', created_at: '2025-10-19T10:00:00Z' },
+        { id: 'line-2', product_id: GREEN_ID, variant_id: null, blend_id: null, quantity: null,
+            quantity_litres: '2.000', created_at: '2025-10-19T10:01:00Z' },
+        { id: 'line-3', product_id: null, variant_id: null, blend_id: BLEND_ID, quantity: null,
+            quantity_litres: '1.000', created_at: '2025-10-19T10:02:00Z' }
+    ]
+};
+
+/**
+ * Quote items the way quote_order does, from the items the API sends
+ */
+const fakeQuote = (items) => {
+    const lines = items.map(item => {
+        if (item.blend_id) {
+            return { blend_id: item.blend_id, quantity_litres: item.quantity_litres, unit_price: item.unit_price,
+                subtotal: item.unit_price * item.quantity_litres, blend_snapshot: item.blend_snapshot };
+        }
+        if (item.variant_id) {
+            return { product_id: item.product_id, variant_id: item.variant_id, bottle_count: item.quantity,
+                unit_price: BOTTLE_PRICE[item.variant_id], subtotal: BOTTLE_PRICE[item.variant_id] * item.quantity };
+        }
+        return { product_id: item.product_id, quantity_litres: item.quantity_litres,
+            unit_price: PRICE_PER_LITRE[item.product_id], subtotal: PRICE_PER_LITRE[item.product_id] * item.quantity_litres };
+    });
+    const subtotal = lines.reduce((sum, line) => sum + line.subtotal, 0);
+
+    return { items: lines, subtotal, delivery_fee: DELIVERY_FEE, total: subtotal + DELIVERY_FEE };
+};
+
+beforeEach(() => {
+    resetFakeSupabase();
+
+    onTable('carts', () => ({ data: CART }));
+    onTable('cart_items', () => ({}));
+    onTable('user_addresses', () => ({
+        data: { id: ADDRESS_ID, label: 'Home', street: 'Plot 1', city: 'Kampala', district: 'Central', lat: '0.3476', lng: '32.5825' }
+    }));
+    onTable('blends', () => ({
+        data: { id: BLEND_ID, name: 'Sunrise', blend_ingredients: [
+            { ingredient_id: 'mango', percentage: 70 },
+            { ingredient_id: 'carrot', percentage: 30 }
+        ] }
+    }));
+    onTable('ingredients', () => ({
+        data: [
+            { id: 'mango', name: 'Mango', kind: 'fruit', max_percentage: 100, price_per_litre: '10000',
+                is_available: true, allergens: [], nutrition_per_100ml: {} },
+            { id: 'carrot', name: 'Carrot', kind: 'vegetable', max_percentage: 100, price_per_litre: '5000',
+                is_available: true, allergens: [], nutrition_per_100ml: {} }
+        ]
+    }));
+    onTable('ingredient_incompatibilities', () => ({ data: [] }));
+
+    onRpc('quote_order', (params) => ({ data: fakeQuote(params.p_items) }));
+    onRpc('checkout_cart', (params) => {
+        const quote = fakeQuote(params.p_items);
+        return { data: { id: 'order-1', total_amount: quote.total, delivery_fee: quote.delivery_fee, order_items: quote.items } };
+    });
+});
+
+describe('cart items', () => {
+    test('rejects item ids that aren\'t UUIDs', async () => {
+        const res = await request(app).delete('/api/cart/items/not-a-uuid');
+
+        expect(res.status).toBe(400);
+        expect(calls).toHaveLength(0);
+    });
+});
+
+describe('cart quote and checkout', () => {
+    test('checkout charges exactly what the quote showed', async () => {
+        const quote = await request(app).get('/api/cart/quote');
+        const checkout = await request(app).post('/api/cart/checkout');
+
+        expect(quote.status).toBe(200);
+        expect(checkout.status).toBe(201);
+
+        // 3 x 8000 + 2 x 18000 + 1 litre of blend at 0.7 x 10000 + 0.3 x 5000 + 2000
+        expect(quote.body.data.subtotal).toBe(70500);
+        expect(checkout.body.data.total_amount).toBe(quote.body.data.total);
+        expect(checkout.body.data.delivery_fee).toBe(quote.body.data.delivery_fee);
+    });
+
+    test('quote and checkout send the database the same items and location', async () => {
+        await request(app).get('/api/cart/quote');
+        await request(app).post('/api/cart/checkout');
+
+        const [quoteCall] = rpcCalls('quote_order');
+        const [placeCall] = rpcCalls('checkout_cart');
+
+        expect(placeCall.params.p_items).toEqual(quoteCall.params.p_items);
+        expect(placeCall.params.p_delivery_lat).toBe(quoteCall.params.p_delivery_lat);
+        expect(placeCall.params.p_delivery_lng).toBe(quoteCall.params.p_delivery_lng);
+        expect(placeCall.params).toMatchObject({
+            p_user_id: TEST_USER.id,
+            p_payment_method: 'mobile_money',
+            p_notes: 'Call on arrival'
+        });
+    });
+
+    test('checkout empties the lines it ordered in the same call that places the order', async () => {
+        await request(app).post('/api/cart/checkout');
+
+        expect(rpcCalls('checkout_cart')[0].params).toMatchObject({
+            p_cart_id: CART_ID,
+            p_item_ids: ['line-1', 'line-2', 'line-3']
+        });
+        expect(rpcCalls('place_order')).toHaveLength(0);
+        expect(calls.some(call => call.table === 'cart_items' && call.action === 'delete')).toBe(false);
+    });
+
+    test('reports a failed checkout with its order error', async () => {
+        onRpc('checkout_cart', () => ({ error: { message: `OUT_OF_STOCK:${GREEN_ID}` } }));
+
+        const res = await request(app).post('/api/cart/checkout');
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('OUT_OF_STOCK');
+    });
+
+    test('checkout takes no body - the cart holds the address, payment method and notes', async () => {
+        const res = await request(app).post('/api/cart/checkout').send({ payment_method: 'card' });
+
+        expect(res.status).toBe(400);
+        expect(rpcCalls('checkout_cart')).toHaveLength(0);
+    });
+});
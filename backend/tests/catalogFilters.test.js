@@ -0,0 +1,106 @@
+const { parseTagList, applyCatalogFilters, withoutFacetFilters, buildFacets } = require('../services/catalogFilters');
+
+const PRODUCTS = [
+    { id: 'mango', price_per_litre: '15000', nutritional_info: { calories_per_100ml: 120 },
+        health_benefits: ['Vitamin_C', 'antioxidants'], allergens: [], categories: [{ slug: 'tropical' }] },
+    { id: 'green', price_per_litre: '18000', nutritional_info: { calories_per_100ml: 40 },
+        health_benefits: ['detox', 'vitamin_c'], allergens: ['celery'], categories: [{ slug: 'green' }] },
+    { id: 'berry', price_per_litre: '11000', nutritional_info: { calories_per_100ml: 80 },
+        health_benefits: ['antioxidants'], allergens: ['nuts'], categories: [{ slug: 'berries' }, { slug: 'tropical' }] }
+];
+
+/**
+ * Records the filters added to a products query
+ */
+const recordingQuery = () => {
+    const filters = [];
+    const query = {};
+
+    for (const method of ['gte', 'lte', 'not', 'contains']) {
+        query[method] = (...args) => {
+            filters.push([method, ...args]);
+            return query;
+        };
+    }
+
+    return { query, filters };
+};
+
+const countOf = (facet, value) => (facet.find(entry => entry.value === value || entry.label === value) || {}).count;
+
+describe('parseTagList', () => {
+    test('splits, lowercases and trims comma-separated tags', () => {
+        expect(parseTagList(' Vitamin_C,detox ,')).toEqual(['vitamin_c', 'detox']);
+        expect(parseTagList(undefined)).toEqual([]);
+    });
+});
+
+describe('applyCatalogFilters', () => {
+    test('adds range, allergen, ingredient and benefit filters', () => {
+        const { query, filters } = recordingQuery();
+
+        applyCatalogFilters(query, {
+            max_calories: 100,
+            min_price: 12000,
+            exclude_allergens: 'nuts',
+            exclude_ingredients: 'ginger',
+            benefits: 'detox,vitamin_c'
+        });
+
+        expect(filters).toEqual([
+            ['lte', 'nutritional_info->calories_per_100ml', 100],
+            ['gte', 'price_per_litre', 12000],
+            ['not', 'allergens', 'cs', '["nuts"]'],
+            ['not', 'ingredients', 'cs', '["ginger"]'],
+            ['contains', 'health_benefits', ['detox', 'vitamin_c']]
+        ]);
+    });
+});
+
+describe('withoutFacetFilters', () => {
+    test('keeps only the filters no facet owns', () => {
+        expect(withoutFacetFilters({ benefits: 'detox', max_price: 15000, exclude_ingredients: 'ginger', q: 'mango' }))
+            .toEqual({ exclude_ingredients: 'ginger', q: 'mango' });
+    });
+});
+
+describe('buildFacets', () => {
+    test('counts every product when nothing is filtered', () => {
+        const facets = buildFacets(PRODUCTS);
+
+        expect(facets.categories).toEqual([
+            { value: 'tropical', count: 2 },
+            { value: 'berries', count: 1 },
+            { value: 'green', count: 1 }
+        ]);
+        expect(countOf(facets.health_benefits, 'vitamin_c')).toBe(2);
+        expect(countOf(facets.calories, 'Under 50 kcal')).toBe(1);
+        expect(facets.price_range).toEqual({ min: 11000, max: 18000 });
+    });
+
+    test('counts each facet with every filter except its own', () => {
+        const facets = buildFacets(PRODUCTS, { benefits: 'antioxidants', max_calories: 100 });
+
+        // Benefits ignore the benefit filter but not the calorie one: only green and berry
+        expect(countOf(facets.health_benefits, 'detox')).toBe(1);
+        expect(countOf(facets.health_benefits, 'antioxidants')).toBe(1);
+        // Calories ignore the calorie filter but not the benefit one: mango and berry
+        expect(countOf(facets.calories, '100-150 kcal')).toBe(1);
+        expect(countOf(facets.calories, '50-100 kcal')).toBe(1);
+        // Other facets apply both filters: only berry
+        expect(facets.allergens).toEqual([{ value: 'nuts', count: 1 }]);
+        expect(facets.price_range).toEqual({ min: 11000, max: 11000 });
+    });
+
+    test('counts categories without the category filter and other facets with it', () => {
+        const facets = buildFacets(PRODUCTS, {}, ['green']);
+
+        expect(facets.categories).toHaveLength(3);
+        expect(facets.allergens).toEqual([{ value: 'celery', count: 1 }]);
+    });
+
+    test('keeps the price range of the other filters when the price filter matches nothing', () => {
+        expect(buildFacets(PRODUCTS, { min_price: 50000 }).price_range).toEqual({ min: 11000, max: 18000 });
+        expect(buildFacets(PRODUCTS, { min_calories: 500 }).price_range).toBeNull();
+    });
+});
@@ -0,0 +1,74 @@
+const {
+    findAllergyConflicts,
+    excludeAllergens,
+    shouldHideConflicts,
+    annotateProducts
+} = require('../services/healthProfile');
+
+const PEANUT_SHAKE = {
+    id: 'shake',
+    allergens: ['Peanuts'],
+    ingredients: ['banana', 'milk '],
+    nutritional_info: { calories_per_100ml: 150, sugar_per_100ml: 12 }
+};
+
+describe('findAllergyConflicts', () => {
+    test('matches allergies against allergens and ingredients, ignoring case and spacing', () => {
+        expect(findAllergyConflicts(PEANUT_SHAKE, ['peanuts', 'MILK', 'gluten'])).toEqual(['peanuts', 'milk']);
+    });
+
+    test('finds nothing without allergies', () => {
+        expect(findAllergyConflicts(PEANUT_SHAKE, null)).toEqual([]);
+    });
+});
+
+describe('excludeAllergens', () => {
+    test('drops products listing an allergy as an allergen or ingredient', () => {
+        const filters = [];
+        const query = {
+            not: (...args) => {
+                filters.push(args);
+                return query;
+            }
+        };
+
+        excludeAllergens(query, ['Peanuts']);
+
+        expect(filters).toEqual([
+            ['allergens', 'cs', '["peanuts"]'],
+            ['ingredients', 'cs', '["peanuts"]']
+        ]);
+    });
+});
+
+describe('shouldHideConflicts', () => {
+    test('hides conflicts only when asked to and there are allergies', () => {
+        expect(shouldHideConflicts({ hide_allergen_conflicts: true, allergies: ['milk'] })).toBe(true);
+        expect(shouldHideConflicts({ hide_allergen_conflicts: true, allergies: [] })).toBe(false);
+        expect(shouldHideConflicts({ hide_allergen_conflicts: false, allergies: ['milk'] })).toBe(false);
+        expect(shouldHideConflicts(null)).toBe(false);
+    });
+});
+
+describe('annotateProducts', () => {
+    test('flags allergy conflicts and targets the product goes over', () => {
+        const [product] = annotateProducts([PEANUT_SHAKE], {
+            allergies: ['peanuts'],
+            max_calories_per_100ml: 100,
+            max_sugar_per_100ml: 20
+        });
+
+        expect(product).toMatchObject({
+            allergy_conflicts: ['peanuts'],
+            has_allergy_conflict: true,
+            exceeds_calorie_target: true,
+            exceeds_sugar_target: false
+        });
+    });
+
+    test('leaves products alone without a health profile', () => {
+        const products = [PEANUT_SHAKE];
+
+        expect(annotateProducts(products, null)).toBe(products);
+    });
+});
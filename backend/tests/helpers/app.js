@@ -0,0 +1,22 @@
+/**
+ * Build a small Express app around one router, parsing JSON the way server.js does
+ */
+
+const express = require('express');
+
+const buildApp = (path, router) => {
+    const app = express();
+
+    app.use(express.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
+    app.use(path, router);
+
+    return app;
+};
+
+module.exports = {
+    buildApp
+};
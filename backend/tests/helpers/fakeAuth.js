@@ -0,0 +1,24 @@
+/**
+ * Fake auth middleware for tests
+ * Every request is made by TEST_USER, so routes can be exercised without tokens
+ */
+
+const TEST_USER = {
+    id: '11111111-1111-4111-8111-111111111111',
+    role: 'customer',
+    outlet_ids: []
+};
+
+const authenticateToken = (req, res, next) => {
+    req.user = { ...TEST_USER };
+    next();
+};
+
+module.exports = {
+    TEST_USER,
+    authenticateToken,
+    optionalAuth: authenticateToken,
+    authorize: () => (req, res, next) => next(),
+    authorizeOutlet: () => (req, res, next) => next(),
+    canAccessOutlet: () => true
+};
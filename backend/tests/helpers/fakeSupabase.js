@@ -0,0 +1,144 @@
+/**
+ * Fake Supabase clients for tests
+ * Stands in for db/supabase.js: queries are recorded and answered by per-table and per-RPC
+ * handlers set by each test, so no database is needed
+ */
+
+// Query builder methods that only narrow or shape the query
+const CHAIN_METHODS = [
+    'eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'is', 'like', 'ilike', 'not', 'or',
+    'contains', 'overlaps', 'textSearch', 'order', 'range', 'limit'
+];
+
+const tableHandlers = {};
+const rpcHandlers = {};
+const calls = [];
+
+/**
+ * A recorded query, answered by its handler once awaited
+ */
+class FakeQuery {
+    constructor(resolve, details) {
+        this.resolve = resolve;
+        this.details = { action: 'select', filters: [], payload: null, result: 'many', ...details };
+
+        for (const method of CHAIN_METHODS) {
+            this[method] = (...args) => {
+                this.details.filters.push([method, ...args]);
+                return this;
+            };
+        }
+    }
+
+    select(columns, options) {
+        this.details.columns = columns;
+        this.details.options = options;
+        return this;
+    }
+
+    insert(payload) {
+        return this.write('insert', payload);
+    }
+
+    update(payload) {
+        return this.write('update', payload);
+    }
+
+    upsert(payload) {
+        return this.write('upsert', payload);
+    }
+
+    delete() {
+        return this.write('delete', null);
+    }
+
+    write(action, payload) {
+        this.details.action = action;
+        this.details.payload = payload;
+        return this;
+    }
+
+    single() {
+        this.details.result = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.details.result = 'maybeSingle';
+        return this;
+    }
+
+    /**
+     * Value of the first eq() filter on a column
+     */
+    eqValue(column) {
+        const filter = this.details.filters.find(([method, name]) => method === 'eq' && name === column);
+        return filter ? filter[2] : undefined;
+    }
+
+    then(onFulfilled, onRejected) {
+        return Promise.resolve()
+            .then(() => {
+                calls.push(this.details);
+                return this.resolve(this);
+            })
+            .then(({ data = null, error = null, count = null } = {}) => {
+                if (!error && this.details.result !== 'many' && Array.isArray(data)) {
+                    return { data: data.length > 0 ? data[0] : null, error, count };
+                }
+                return { data, error, count };
+            })
+            .then(onFulfilled, onRejected);
+    }
+}
+
+const client = {
+    from: (table) => new FakeQuery(
+        (query) => (tableHandlers[table] ? tableHandlers[table](query.details, query) : {}),
+        { table }
+    ),
+    rpc: (name, params) => new FakeQuery(
+        (query) => (rpcHandlers[name] ? rpcHandlers[name](params, query) : {}),
+        { rpc: name, params }
+    )
+};
+
+/**
+ * Answer queries on a table: handler(details, query) returns { data, error, count }
+ */
+const onTable = (table, handler) => {
+    tableHandlers[table] = handler;
+};
+
+/**
+ * Answer calls to a database function: handler(params) returns { data, error }
+ */
+const onRpc = (name, handler) => {
+    rpcHandlers[name] = handler;
+};
+
+/**
+ * Forget every handler and recorded call
+ */
+const resetFakeSupabase = () => {
+    for (const handlers of [tableHandlers, rpcHandlers]) {
+        for (const name of Object.keys(handlers)) delete handlers[name];
+    }
+    calls.length = 0;
+};
+
+/**
+ * Calls made to a database function, oldest first
+ */
+const rpcCalls = (name) => calls.filter(call => call.rpc === name);
+
+module.exports = {
+    supabase: client,
+    supabaseAdmin: client,
+    testConnection: async () => true,
+    onTable,
+    onRpc,
+    rpcCalls,
+    calls,
+    resetFakeSupabase
+};
@@ -0,0 +1,131 @@
+jest.mock('../db/supabase', () => require('./helpers/fakeSupabase'));
+jest.mock('../services/idempotency');
+jest.mock('../middleware/auth', () => require('./helpers/fakeAuth'));
+
+const express = require('express');
+const request = require('supertest');
+const {
+    claimIdempotencyKey,
+    saveIdempotentResponse,
+    releaseIdempotencyKey
+} = require('../services/idempotency');
+const { authenticateToken, TEST_USER } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { buildApp } = require('./helpers/app');
+const { onTable, resetFakeSupabase } = require('./helpers/fakeSupabase');
+
+let handler;
+
+const router = express.Router();
+router.post('/orders', authenticateToken, idempotency, (req, res) => handler(req, res));
+
+const app = buildApp('/api', router);
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    saveIdempotentResponse.mockResolvedValue();
+    releaseIdempotencyKey.mockResolvedValue();
+    handler = (req, res) => res.status(201).json({ success: true, data: { id: 'order-1' } });
+});
+
+describe('idempotency middleware', () => {
+    test('runs requests without a key as normal', async () => {
+        const res = await request(app).post('/api/orders').send({ items: [] });
+
+        expect(res.status).toBe(201);
+        expect(claimIdempotencyKey).not.toHaveBeenCalled();
+    });
+
+    test('rejects keys longer than 255 characters', async () => {
+        const res = await request(app).post('/api/orders').set('Idempotency-Key', 'k'.repeat(256)).send({});
+
+        expect(res.status).toBe(400);
+        expect(claimIdempotencyKey).not.toHaveBeenCalled();
+    });
+
+    test('stores the response of a new request under its key', async () => {
+        claimIdempotencyKey.mockResolvedValue({ claimed: true });
+
+        const res = await request(app).post('/api/orders').set('Idempotency-Key', 'tap-1').send({ items: [] });
+
+        expect(res.status).toBe(201);
+        expect(claimIdempotencyKey).toHaveBeenCalledWith(TEST_USER.id, 'tap-1', expect.any(String));
+        expect(saveIdempotentResponse).toHaveBeenCalledWith(TEST_USER.id, 'tap-1', 201, res.body);
+    });
+
+    test('replays the stored response for a retry without running the request again', async () => {
+        claimIdempotencyKey.mockResolvedValue({ claimed: true });
+        await request(app).post('/api/orders').set('Idempotency-Key', 'tap-1').send({ items: [] });
+        const requestHash = claimIdempotencyKey.mock.calls[0][2];
+
+        handler = jest.fn();
+        claimIdempotencyKey.mockResolvedValue({
+            existing: { request_hash: requestHash, status_code: 201, response_body: { success: true, data: { id: 'order-1' } } }
+        });
+
+        const res = await request(app).post('/api/orders').set('Idempotency-Key', 'tap-1').send({ items: [] });
+
+        expect(res.status).toBe(201);
+        expect(res.headers['idempotent-replayed']).toBe('true');
+        expect(res.body.data.id).toBe('order-1');
+        expect(handler).not.toHaveBeenCalled();
+    });
+
+    test('rejects a key reused for a different request', async () => {
+        claimIdempotencyKey.mockResolvedValue({
+            existing: { request_hash: 'another request', status_code: 201, response_body: {} }
+        });
+
+        const res = await request(app).post('/api/orders').set('Idempotency-Key', 'tap-1').send({ items: [] });
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    });
+
+    test('rejects a retry while the first request is still running', async () => {
+        claimIdempotencyKey.mockImplementation(async (userId, key, requestHash) => ({
+            existing: { request_hash: requestHash, status_code: null, response_body: null }
+        }));
+
+        const res = await request(app).post('/api/orders').set('Idempotency-Key', 'tap-1').send({ items: [] });
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('IDEMPOTENCY_KEY_IN_USE');
+    });
+
+    test('releases the key after a server error so the request can be retried', async () => {
+        claimIdempotencyKey.mockResolvedValue({ claimed: true });
+        handler = (req, res) => res.status(500).json({ success: false, message: 'Internal server error' });
+
+        const res = await request(app).post('/api/orders').set('Idempotency-Key', 'tap-1').send({ items: [] });
+
+        expect(res.status).toBe(500);
+        expect(releaseIdempotencyKey).toHaveBeenCalledWith(TEST_USER.id, 'tap-1');
+        expect(saveIdempotentResponse).not.toHaveBeenCalled();
+    });
+});
+
+
+describe('claimIdempotencyKey', () => {
+    const { claimIdempotencyKey: claim } = jest.requireActual('../services/idempotency');
+
+    beforeEach(() => resetFakeSupabase());
+
+    test('takes over a key whose request never stored a response', async () => {
+        let takeOver;
+        onTable('idempotency_keys', (details) => {
+            if (details.action === 'insert') return { error: { code: '23505' } };
+            if (details.action === 'update') {
+                takeOver = details;
+                return { data: { key: 'tap-1' } };
+            }
+            return {};
+        });
+
+        const result = await claim(TEST_USER.id, 'tap-1', 'hash');
+
+        expect(result).toEqual({ claimed: true });
+        const [, condition] = takeOver.filters.find(([method]) => method === 'or');
+        expect(condition).toMatch(/and\(status_code\.is\.null,created_at\.lt\.[^)]+\)/);
+    });
+});
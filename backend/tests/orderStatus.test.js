@@ -0,0 +1,89 @@
+jest.mock('../db/supabase', () => require('./helpers/fakeSupabase'));
+
+const { onRpc, onTable, rpcCalls, resetFakeSupabase } = require('../db/supabase');
+const { transitionOrderStatus, getStatusTimeline } = require('../services/orderStatus');
+
+const ORDER_ID = '33333333-3333-4333-8333-333333333333';
+const STAFF_ID = '99999999-9999-4999-8999-999999999999';
+
+beforeEach(() => {
+    resetFakeSupabase();
+});
+
+describe('transitionOrderStatus', () => {
+    test('passes who made the change and the statuses it may move from', async () => {
+        onRpc('transition_order_status', () => ({ data: [{ id: ORDER_ID, status: 'confirmed' }] }));
+
+        const { order } = await transitionOrderStatus(ORDER_ID, 'confirmed', {
+            changedBy: STAFF_ID,
+            actorRole: 'outlet_staff',
+            note: 'On it',
+            allowedFrom: ['pending']
+        });
+
+        expect(order).toEqual({ id: ORDER_ID, status: 'confirmed' });
+        expect(rpcCalls('transition_order_status')[0].params).toEqual({
+            p_order_id: ORDER_ID,
+            p_to_status: 'confirmed',
+            p_changed_by: STAFF_ID,
+            p_actor_role: 'outlet_staff',
+            p_note: 'On it',
+            p_allowed_from: ['pending']
+        });
+    });
+
+    test('defaults to a system change from any status', async () => {
+        onRpc('transition_order_status', () => ({ data: [{ id: ORDER_ID, status: 'cancelled' }] }));
+
+        await transitionOrderStatus(ORDER_ID, 'cancelled');
+
+        expect(rpcCalls('transition_order_status')[0].params).toMatchObject({
+            p_changed_by: null,
+            p_actor_role: 'system',
+            p_note: null,
+            p_allowed_from: null
+        });
+    });
+
+    test.each([
+        ['ORDER_NOT_FOUND', 404, 'ORDER_NOT_FOUND', 'Order not found'],
+        ['ILLEGAL_TRANSITION:delivered:cancelled', 409, 'ILLEGAL_TRANSITION', 'Order can\'t move from delivered to cancelled'],
+        ['RIDER_REQUIRED', 409, 'RIDER_REQUIRED', 'The order needs a rider who has accepted it before it goes out for delivery']
+    ])('maps %s to a %i error', async (message, status, code, text) => {
+        onRpc('transition_order_status', () => ({ error: { message } }));
+
+        const { error } = await transitionOrderStatus(ORDER_ID, 'cancelled');
+
+        expect(error).toEqual({ code, status, message: text });
+    });
+
+    test('reports unknown database errors as TRANSITION_FAILED', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        onRpc('transition_order_status', () => ({ error: { message: 'connection reset' } }));
+
+        const { error } = await transitionOrderStatus(ORDER_ID, 'confirmed');
+
+        expect(error).toMatchObject({ code: 'TRANSITION_FAILED', status: 500 });
+        console.error.mockRestore();
+    });
+});
+
+describe('getStatusTimeline', () => {
+    test('lists each status with its message, actor and note', async () => {
+        onTable('order_status_history', () => ({
+            data: [
+                { to_status: 'pending', actor_role: 'customer', note: null, created_at: '2025-10-19T10:00:00Z' },
+                { to_status: 'cancelled', actor_role: 'outlet_staff', note: 'Out of mangoes', created_at: '2025-10-19T10:05:00Z' }
+            ]
+        }));
+
+        const timeline = await getStatusTimeline(ORDER_ID);
+
+        expect(timeline).toEqual([
+            { status: 'pending', status_message: 'Order received and being processed', actor_role: 'customer',
+                note: null, at: '2025-10-19T10:00:00Z' },
+            { status: 'cancelled', status_message: 'Order has been cancelled', actor_role: 'outlet_staff',
+                note: 'Out of mangoes', at: '2025-10-19T10:05:00Z' }
+        ]);
+    });
+});
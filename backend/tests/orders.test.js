@@ -0,0 +1,127 @@
+jest.mock('../db/supabase', () => require('./helpers/fakeSupabase'));
+jest.mock('../middleware/auth', () => require('./helpers/fakeAuth'));
+
+const request = require('supertest');
+const { onTable, onRpc, rpcCalls, resetFakeSupabase } = require('../db/supabase');
+const { buildApp } = require('./helpers/app');
+const orderRoutes = require('../routes/orders');
+
+const app = buildApp('/api/orders', orderRoutes);
+
+const PRODUCT_ID = '22222222-2222-4222-8222-222222222222';
+const ORDER_ID = '33333333-3333-4333-8333-333333333333';
+
+const ORDER_BODY = {
+    items: [{ product_id: PRODUCT_ID, quantity_litres: 1.5 }],
+    delivery_address: { street: 'Plot 1, Kampala Road', city: 'Kampala', district: 'Central' },
+    delivery_lat: 0.3476,
+    delivery_lng: 32.5825
+};
+
+beforeEach(() => {
+    resetFakeSupabase();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('POST /api/orders', () => {
+    test('places the order through place_order', async () => {
+        onRpc('place_order', () => ({ data: { id: ORDER_ID, total_amount: 26500 } }));
+
+        const res = await request(app).post('/api/orders').send(ORDER_BODY);
+
+        expect(res.status).toBe(201);
+        expect(res.body.data).toEqual({ id: ORDER_ID, total_amount: 26500 });
+        expect(rpcCalls('place_order')[0].params).toMatchObject({
+            p_items: ORDER_BODY.items,
+            p_delivery_lat: 0.3476,
+            p_delivery_lng: 32.5825,
+            p_payment_method: 'cash'
+        });
+    });
+
+    test.each([
+        [`PRODUCT_UNAVAILABLE:${PRODUCT_ID}`, 400, 'PRODUCT_UNAVAILABLE', `Product ${PRODUCT_ID} not found or unavailable`],
+        ['VARIANT_UNAVAILABLE:44444444-4444-4444-8444-444444444444', 400, 'VARIANT_UNAVAILABLE',
+            'Size 44444444-4444-4444-8444-444444444444 not found or unavailable'],
+        ['NO_OUTLET', 400, 'NO_OUTLET', 'No outlets available in your area'],
+        [`OUT_OF_STOCK:${PRODUCT_ID}`, 409, 'OUT_OF_STOCK', 'Some items are out of stock at the outlets that deliver to you'],
+        ['deadlock detected', 500, 'ORDER_FAILED', 'Failed to create order']
+    ])('maps a database error of %s to %i %s', async (message, status, code, text) => {
+        onRpc('place_order', () => ({ data: null, error: { message } }));
+
+        const res = await request(app).post('/api/orders').send(ORDER_BODY);
+
+        expect(res.status).toBe(status);
+        expect(res.body).toEqual({ success: false, code, message: text });
+    });
+
+    test('returns 404 for a saved address that isn\'t the user\'s', async () => {
+        onTable('user_addresses', () => ({ data: null }));
+
+        const res = await request(app)
+            .post('/api/orders')
+            .send({ items: ORDER_BODY.items, address_id: '55555555-5555-4555-8555-555555555555' });
+
+        expect(res.status).toBe(404);
+        expect(res.body.code).toBe('ADDRESS_NOT_FOUND');
+        expect(rpcCalls('place_order')).toHaveLength(0);
+    });
+
+    test('returns 400 for a blend that isn\'t the user\'s', async () => {
+        onTable('blends', () => ({ data: null }));
+
+        const res = await request(app)
+            .post('/api/orders')
+            .send({ ...ORDER_BODY, items: [{ blend_id: '66666666-6666-4666-8666-666666666666', quantity_litres: 1 }] });
+
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('BLEND_NOT_FOUND');
+        expect(rpcCalls('place_order')).toHaveLength(0);
+    });
+});
+
+describe('PUT /api/orders/:id/cancel', () => {
+    beforeEach(() => {
+        onTable('orders', () => ({ data: { id: ORDER_ID } }));
+    });
+
+    test('checks the customer\'s cancellable statuses in the same call as the change', async () => {
+        onRpc('transition_order_status', () => ({ data: [{ id: ORDER_ID, status: 'cancelled' }] }));
+
+        const res = await request(app).put(`/api/orders/${ORDER_ID}/cancel`);
+
+        expect(res.status).toBe(200);
+        expect(rpcCalls('transition_order_status')[0].params).toMatchObject({
+            p_order_id: ORDER_ID,
+            p_to_status: 'cancelled',
+            p_actor_role: 'customer',
+            p_allowed_from: ['pending', 'confirmed']
+        });
+    });
+
+    test('returns 400 when the order has moved past the cancellable statuses', async () => {
+        onRpc('transition_order_status', () => ({ error: { message: 'ILLEGAL_TRANSITION:preparing:cancelled' } }));
+
+        const res = await request(app).put(`/api/orders/${ORDER_ID}/cancel`);
+
+        expect(res.status).toBe(400);
+        expect(res.body).toEqual({
+            success: false,
+            code: 'ILLEGAL_TRANSITION',
+            message: 'Order cannot be cancelled at this stage'
+        });
+    });
+
+    test('returns 404 for another user\'s order', async () => {
+        onTable('orders', () => ({ data: null, error: { message: 'JSON object requested, multiple (or no) rows returned' } }));
+
+        const res = await request(app).put(`/api/orders/${ORDER_ID}/cancel`);
+
+        expect(res.status).toBe(404);
+        expect(rpcCalls('transition_order_status')).toHaveLength(0);
+    });
+});
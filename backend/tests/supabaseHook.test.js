@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { verifySupabaseHook } = require('../middleware/supabaseHook');
+const { buildApp } = require('./helpers/app');
+
+const SECRET_BYTES = crypto.randomBytes(32);
+const SECRET = `v1,whsec_${SECRET_BYTES.toString('base64')}`;
+
+const router = express.Router();
+router.post('/hook', verifySupabaseHook('TEST_HOOK_SECRET'), (req, res) => res.json({ ok: true }));
+
+const app = buildApp('/api', router);
+
+/**
+ * Sign a body the way Supabase Auth does
+ */
+const sign = (id, timestamp, body, key = SECRET_BYTES) => `v1,${crypto
+    .createHmac('sha256', key)
+    .update(`${id}.${timestamp}.${body}`)
+    .digest('base64')}`;
+
+const send = (headers, body = '{"user_id":"abc"}') => request(app)
+    .post('/api/hook')
+    .set('Content-Type', 'application/json')
+    .set(headers)
+    .send(body);
+
+const now = () => String(Math.floor(Date.now() / 1000));
+
+beforeEach(() => {
+    process.env.TEST_HOOK_SECRET = SECRET;
+});
+
+afterAll(() => {
+    delete process.env.TEST_HOOK_SECRET;
+});
+
+describe('verifySupabaseHook', () => {
+    test('accepts a correctly signed request', async () => {
+        const timestamp = now();
+        const body = '{"user_id":"abc"}';
+
+        const res = await send({
+            'webhook-id': 'msg_1',
+            'webhook-timestamp': timestamp,
+            'webhook-signature': sign('msg_1', timestamp, body)
+        }, body);
+
+        expect(res.status).toBe(200);
+    });
+
+    test('accepts a request when any of several signatures matches', async () => {
+        const timestamp = now();
+        const body = '{"user_id":"abc"}';
+        const stale = sign('msg_1', timestamp, body, crypto.randomBytes(32));
+
+        const res = await send({
+            'webhook-id': 'msg_1',
+            'webhook-timestamp': timestamp,
+            'webhook-signature': `${stale} ${sign('msg_1', timestamp, body)}`
+        }, body);
+
+        expect(res.status).toBe(200);
+    });
+
+    test('rejects a tampered body', async () => {
+        const timestamp = now();
+
+        const res = await send({
+            'webhook-id': 'msg_1',
+            'webhook-timestamp': timestamp,
+            'webhook-signature': sign('msg_1', timestamp, '{"user_id":"abc"}')
+        }, '{"user_id":"xyz"}');
+
+        expect(res.status).toBe(401);
+        expect(res.body.error.message).toBe('Invalid webhook signature');
+    });
+
+    test('rejects an old timestamp', async () => {
+        const timestamp = String(Math.floor(Date.now() / 1000) - 10 * 60);
+        const body = '{"user_id":"abc"}';
+
+        const res = await send({
+            'webhook-id': 'msg_1',
+            'webhook-timestamp': timestamp,
+            'webhook-signature': sign('msg_1', timestamp, body)
+        }, body);
+
+        expect(res.status).toBe(401);
+        expect(res.body.error.message).toBe('Webhook timestamp out of range');
+    });
+
+    test('rejects a request without signature headers', async () => {
+        const res = await send({});
+
+        expect(res.status).toBe(401);
+        expect(res.body.error.message).toBe('Missing webhook signature');
+    });
+
+    test('fails closed when the secret isn\'t configured', async () => {
+        delete process.env.TEST_HOOK_SECRET;
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const res = await send({});
+
+        expect(res.status).toBe(500);
+        console.error.mockRestore();
+    });
+});
@@ -2,30 +2,7 @@
  * Utility helper functions
  */
 
-/**
- * Calculate delivery fee based on distance
- * Base fee: UGX 2000, Additional: UGX 2000 per km
- */
-const calculateDeliveryFee = (distanceKm) => {
-    const baseFee = 2000;
-    const perKmFee = 2000;
-    return baseFee + (perKmFee * Math.ceil(distanceKm));
-};
-
-/**
- * Calculate estimated delivery time based on distance
- * Base time: 30 minutes, Additional: 10 minutes per km
- */
-const calculateEstimatedDeliveryTime = (distanceKm) => {
-    const baseTimeMinutes = 30;
-    const perKmMinutes = 10;
-    const totalMinutes = baseTimeMinutes + (perKmMinutes * distanceKm);
-    
-    const deliveryTime = new Date();
-    deliveryTime.setMinutes(deliveryTime.getMinutes() + totalMinutes);
-    
-    return deliveryTime;
-};
+const crypto = require('crypto');
 
 /**
  * Format currency to UGX
@@ -69,21 +46,6 @@ const sanitizeInput = (input) => {
     return input.trim().replace(/[<>]/g, '');
 };
 
-/**
- * Generate random rider info for demo purposes
- */
-const generateRiderInfo = () => {
-    const riders = [
-        { name: 'Kato', phone: '+256700123456', rating: 4.8 },
-        { name: 'Nakato', phone: '+256700123457', rating: 4.9 },
-        { name: 'Ssemakula', phone: '+256700123458', rating: 4.7 },
-        { name: 'Namukasa', phone: '+256700123459', rating: 4.6 },
-        { name: 'Mukasa', phone: '+256700123460', rating: 4.8 }
-    ];
-    
-    return riders[Math.floor(Math.random() * riders.length)];
-};
-
 /**
  * Get status message for order tracking
  */
@@ -92,6 +54,7 @@ const getStatusMessage = (status) => {
         'pending': 'Order received and being processed',
         'confirmed': 'Order confirmed and being prepared',
         'preparing': 'Your fresh juices are being prepared',
+        'ready': 'Your order is ready and waiting for a rider',
         'out_for_delivery': 'Order is on the way to you',
         'delivered': 'Order has been delivered successfully',
         'cancelled': 'Order has been cancelled'
@@ -100,6 +63,20 @@ const getStatusMessage = (status) => {
     return messages[status] || 'Order status unknown';
 };
 
+/**
+ * Generate a random 6-digit verification code
+ */
+const generateVerificationCode = () => {
+    return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+};
+
+/**
+ * Hash a verification code for storage
+ */
+const hashVerificationCode = (code) => {
+    return crypto.createHash('sha256').update(code).digest('hex');
+};
+
 /**
  * Validate coordinates
  */
@@ -108,13 +85,12 @@ const isValidCoordinate = (lat, lng) => {
 };
 
 module.exports = {
-    calculateDeliveryFee,
-    calculateEstimatedDeliveryTime,
     formatCurrency,
     generateOrderNumber,
     calculateDistance,
     sanitizeInput,
-    generateRiderInfo,
     getStatusMessage,
+    generateVerificationCode,
+    hashVerificationCode,
     isValidCoordinate
 };
\ No newline at end of file
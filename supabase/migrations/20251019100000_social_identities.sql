@@ -0,0 +1,17 @@
+-- Social sign-in identities
+-- Links a Google/Facebook auth user to an existing profile with the same verified email
+-- when Supabase created a separate auth user instead of linking automatically
+
+CREATE TABLE IF NOT EXISTS user_identities (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    auth_user_id UUID UNIQUE REFERENCES auth.users(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL CHECK (provider IN ('google', 'facebook')),
+    email VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable RLS for user_identities (no policies: service role only)
+ALTER TABLE user_identities ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
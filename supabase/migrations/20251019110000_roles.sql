@@ -0,0 +1,98 @@
+-- Role-based access control
+-- Roles live on users; outlet staff are scoped to outlets; every change is audited
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(50) NOT NULL DEFAULT 'customer'
+    CHECK (role IN ('customer', 'outlet_staff', 'rider', 'admin'));
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+
+-- Outlets each staff member works at
+CREATE TABLE IF NOT EXISTS outlet_staff (
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    outlet_id UUID REFERENCES outlets(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, outlet_id)
+);
+
+-- Enable RLS for outlet_staff (no policies: service role only)
+ALTER TABLE outlet_staff ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_outlet_staff_outlet_id ON outlet_staff(outlet_id);
+
+-- Audit trail of role changes
+CREATE TABLE IF NOT EXISTS role_audit_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    old_role VARCHAR(50),
+    new_role VARCHAR(50) NOT NULL,
+    old_outlet_ids UUID[] DEFAULT '{}',
+    new_outlet_ids UUID[] DEFAULT '{}',
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable RLS for role_audit_log (no policies: service role only)
+ALTER TABLE role_audit_log ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_role_audit_log_user_id ON role_audit_log(user_id, created_at DESC);
+
+-- Users may update their own row through RLS, so block role changes made with end-user tokens
+-- (the service role and the SQL editor can still change roles)
+CREATE OR REPLACE FUNCTION protect_user_role()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF auth.role() IN ('anon', 'authenticated') THEN
+        IF TG_OP = 'INSERT' AND NEW.role <> 'customer' THEN
+            RAISE EXCEPTION 'Only administrators can assign roles';
+        END IF;
+
+        IF TG_OP = 'UPDATE' AND NEW.role IS DISTINCT FROM OLD.role THEN
+            RAISE EXCEPTION 'Only administrators can change roles';
+        END IF;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER users_role_guard
+    BEFORE INSERT OR UPDATE ON users
+    FOR EACH ROW
+    EXECUTE FUNCTION protect_user_role();
+
+-- Change a user's role and outlets, recording the change, in one transaction
+CREATE OR REPLACE FUNCTION set_user_role(
+    p_user_id UUID,
+    p_role VARCHAR,
+    p_outlet_ids UUID[],
+    p_changed_by UUID,
+    p_reason TEXT
+)
+RETURNS SETOF users AS $$
+DECLARE
+    v_old_role VARCHAR;
+    v_old_outlet_ids UUID[];
+    v_new_outlet_ids UUID[] := CASE WHEN p_role = 'outlet_staff' THEN COALESCE(p_outlet_ids, '{}') ELSE '{}' END;
+BEGIN
+    SELECT role INTO v_old_role FROM users WHERE id = p_user_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'USER_NOT_FOUND';
+    END IF;
+
+    SELECT COALESCE(array_agg(outlet_id), '{}') INTO v_old_outlet_ids
+    FROM outlet_staff WHERE user_id = p_user_id;
+
+    UPDATE users SET role = p_role, updated_at = NOW() WHERE id = p_user_id;
+
+    DELETE FROM outlet_staff WHERE user_id = p_user_id;
+    INSERT INTO outlet_staff (user_id, outlet_id)
+    SELECT p_user_id, unnest(v_new_outlet_ids);
+
+    INSERT INTO role_audit_log (user_id, changed_by, old_role, new_role, old_outlet_ids, new_outlet_ids, reason)
+    VALUES (p_user_id, p_changed_by, v_old_role, p_role, v_old_outlet_ids, v_new_outlet_ids, p_reason);
+
+    RETURN QUERY SELECT * FROM users WHERE id = p_user_id;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,36 @@
+-- Account deletion with a grace period
+-- Deleted accounts keep their orders for accounting, with personal details stripped
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_users_deletion_scheduled_for ON users(deletion_scheduled_for)
+    WHERE deletion_scheduled_for IS NOT NULL;
+
+-- Orders outlive their customer instead of cascading away
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_user_id_fkey;
+ALTER TABLE orders ADD CONSTRAINT orders_user_id_fkey
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMP WITH TIME ZONE;
+
+-- Strip personal details from a user's orders ahead of deleting the account
+CREATE OR REPLACE FUNCTION anonymize_user_orders(p_user_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    UPDATE orders
+    SET user_id = NULL,
+        delivery_address = NULL,
+        delivery_lat = NULL,
+        delivery_lng = NULL,
+        notes = NULL,
+        anonymized_at = NOW(),
+        updated_at = NOW()
+    WHERE user_id = p_user_id;
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
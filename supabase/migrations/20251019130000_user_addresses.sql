@@ -0,0 +1,30 @@
+-- Saved delivery addresses
+
+CREATE TABLE IF NOT EXISTS user_addresses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    label VARCHAR(50) NOT NULL DEFAULT 'Home',
+    street TEXT NOT NULL,
+    city VARCHAR(100) NOT NULL,
+    district VARCHAR(100) NOT NULL,
+    lat DECIMAL(10, 8) NOT NULL,
+    lng DECIMAL(11, 8) NOT NULL,
+    is_default BOOLEAN DEFAULT false,
+    -- Result of the delivery availability check when the address was saved
+    delivery_available BOOLEAN DEFAULT false,
+    nearest_outlet_id UUID REFERENCES outlets(id) ON DELETE SET NULL,
+    distance_km DECIMAL(10, 2),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable RLS for user_addresses
+ALTER TABLE user_addresses ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own addresses" ON user_addresses
+    FOR ALL USING (user_id IN (SELECT id FROM users WHERE auth_user_id = auth.uid()));
+
+CREATE INDEX IF NOT EXISTS idx_user_addresses_user_id ON user_addresses(user_id);
+
+-- At most one default address per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_addresses_default ON user_addresses(user_id) WHERE is_default = true;
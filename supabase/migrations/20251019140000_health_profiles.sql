@@ -0,0 +1,20 @@
+-- Health preferences and allergy settings
+-- Applied automatically to recommendations and product listings for logged-in users
+
+CREATE TABLE IF NOT EXISTS user_health_profiles (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    allergies JSONB NOT NULL DEFAULT '[]',
+    dietary_restrictions JSONB NOT NULL DEFAULT '[]',
+    max_calories_per_100ml INTEGER,
+    max_sugar_per_100ml INTEGER,
+    goals JSONB NOT NULL DEFAULT '[]',
+    hide_allergen_conflicts BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable RLS for user_health_profiles
+ALTER TABLE user_health_profiles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own health profile" ON user_health_profiles
+    FOR ALL USING (user_id IN (SELECT id FROM users WHERE auth_user_id = auth.uid()));
@@ -0,0 +1,45 @@
+-- Product size variants (300ml / 500ml / 1L) with per-bottle pricing
+-- Existing order items keep their per-litre pricing via pricing_unit = 'litre'
+
+CREATE TABLE IF NOT EXISTS product_variants (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+    sku VARCHAR(50) UNIQUE NOT NULL,
+    size_label VARCHAR(20) NOT NULL,
+    volume_ml INTEGER NOT NULL CHECK (volume_ml > 0),
+    price DECIMAL(10, 2) NOT NULL CHECK (price >= 0),
+    is_available BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (product_id, volume_ml)
+);
+
+-- Enable RLS for product_variants (public read access)
+ALTER TABLE product_variants ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view product variants" ON product_variants
+    FOR SELECT USING (true);
+
+CREATE INDEX IF NOT EXISTS idx_product_variants_product_id ON product_variants(product_id);
+
+-- Order items record the variant and bottle count; old rows stay per-litre
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id) ON DELETE SET NULL;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS bottle_count INTEGER CHECK (bottle_count > 0);
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS pricing_unit VARCHAR(10) NOT NULL DEFAULT 'litre'
+    CHECK (pricing_unit IN ('litre', 'bottle'));
+
+-- Seed the three standard sizes for every product; smaller bottles cost more per litre
+INSERT INTO product_variants (product_id, sku, size_label, volume_ml, price)
+SELECT
+    p.id,
+    'FG-' || UPPER(SUBSTRING(REPLACE(p.id::TEXT, '-', '') FROM 1 FOR 8)) || '-' || s.volume_ml,
+    s.size_label,
+    s.volume_ml,
+    ROUND(p.price_per_litre * s.volume_ml / 1000.0 * s.markup / 100) * 100
+FROM products p
+CROSS JOIN (VALUES
+    ('300ml', 300, 1.25),
+    ('500ml', 500, 1.10),
+    ('1L', 1000, 1.00)
+) AS s(size_label, volume_ml, markup)
+ON CONFLICT (product_id, volume_ml) DO NOTHING;
@@ -0,0 +1,42 @@
+-- Admin product management
+-- Tracks who changed products, lets them be archived, and keeps updated_at current
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS thumbnail_url TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS updated_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS archived_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- Function to keep updated_at current on any table that has it
+CREATE OR REPLACE FUNCTION set_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER products_updated_at_trigger
+    BEFORE UPDATE ON products
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
+
+CREATE TRIGGER product_variants_updated_at_trigger
+    BEFORE UPDATE ON product_variants
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
+
+-- Audit trail of product changes
+CREATE TABLE IF NOT EXISTS product_audit_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+    action VARCHAR(50) NOT NULL CHECK (action IN ('create', 'update', 'archive', 'restore', 'image')),
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    changes JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable RLS for product_audit_log (no policies: service role only)
+ALTER TABLE product_audit_log ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_product_audit_log_product_id ON product_audit_log(product_id, created_at DESC);
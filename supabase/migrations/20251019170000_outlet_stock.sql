@@ -0,0 +1,129 @@
+-- Per-outlet stock levels
+-- Stock is kept in litres; bottle orders use volume x count. Orders reserve stock when
+-- created and release it when cancelled.
+
+CREATE TABLE IF NOT EXISTS outlet_stock (
+    outlet_id UUID REFERENCES outlets(id) ON DELETE CASCADE,
+    product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+    quantity_litres DECIMAL(10, 3) NOT NULL DEFAULT 0 CHECK (quantity_litres >= 0),
+    -- A product is unavailable at an outlet once its stock hits zero
+    is_available BOOLEAN GENERATED ALWAYS AS (quantity_litres > 0) STORED,
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (outlet_id, product_id)
+);
+
+-- Enable RLS for outlet_stock (public read access)
+ALTER TABLE outlet_stock ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view outlet stock" ON outlet_stock
+    FOR SELECT USING (true);
+
+CREATE INDEX IF NOT EXISTS idx_outlet_stock_product_id ON outlet_stock(product_id);
+
+CREATE TRIGGER outlet_stock_updated_at_trigger
+    BEFORE UPDATE ON outlet_stock
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
+
+-- Whether an order currently holds stock at its outlet
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS stock_reserved BOOLEAN DEFAULT false;
+
+-- Nearest active outlet within the delivery radius that has every item in stock
+-- p_items: [{"product_id": "...", "quantity_litres": 1.5}, ...]
+CREATE OR REPLACE FUNCTION get_nearest_outlet_with_stock(user_lat DECIMAL, user_lng DECIMAL, p_items JSONB)
+RETURNS TABLE(
+    outlet_id UUID,
+    outlet_name VARCHAR,
+    outlet_address TEXT,
+    distance_km DECIMAL
+) AS $$
+BEGIN
+    RETURN QUERY
+    WITH needed AS (
+        SELECT (item->>'product_id')::UUID AS product_id,
+               SUM((item->>'quantity_litres')::DECIMAL) AS quantity_litres
+        FROM jsonb_array_elements(p_items) AS item
+        GROUP BY 1
+    )
+    SELECT
+        o.id,
+        o.name,
+        o.address,
+        calculate_distance(user_lat, user_lng, o.lat, o.lng) AS distance
+    FROM outlets o
+    WHERE o.is_active = true
+      AND calculate_distance(user_lat, user_lng, o.lat, o.lng) <= 20
+      AND NOT EXISTS (
+          SELECT 1 FROM needed n
+          LEFT JOIN outlet_stock s ON s.outlet_id = o.id AND s.product_id = n.product_id
+          WHERE COALESCE(s.quantity_litres, 0) < n.quantity_litres
+      )
+    ORDER BY distance
+    LIMIT 1;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Take an order's items out of its outlet's stock; all or nothing
+CREATE OR REPLACE FUNCTION reserve_order_stock(p_order_id UUID)
+RETURNS VOID AS $$
+DECLARE
+    v_outlet_id UUID;
+    v_item RECORD;
+BEGIN
+    SELECT outlet_id INTO v_outlet_id FROM orders WHERE id = p_order_id AND stock_reserved = false FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    FOR v_item IN
+        SELECT product_id, SUM(quantity_litres) AS quantity_litres
+        FROM order_items WHERE order_id = p_order_id
+        GROUP BY product_id
+    LOOP
+        UPDATE outlet_stock
+        SET quantity_litres = quantity_litres - v_item.quantity_litres
+        WHERE outlet_id = v_outlet_id
+          AND product_id = v_item.product_id
+          AND quantity_litres >= v_item.quantity_litres;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'OUT_OF_STOCK:%', v_item.product_id;
+        END IF;
+    END LOOP;
+
+    UPDATE orders SET stock_reserved = true WHERE id = p_order_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Put a cancelled order's items back into stock
+CREATE OR REPLACE FUNCTION release_order_stock(p_order_id UUID)
+RETURNS VOID AS $$
+DECLARE
+    v_outlet_id UUID;
+BEGIN
+    SELECT outlet_id INTO v_outlet_id FROM orders WHERE id = p_order_id AND stock_reserved = true FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    UPDATE outlet_stock s
+    SET quantity_litres = s.quantity_litres + i.quantity_litres
+    FROM (
+        SELECT product_id, SUM(quantity_litres) AS quantity_litres
+        FROM order_items WHERE order_id = p_order_id
+        GROUP BY product_id
+    ) i
+    WHERE s.outlet_id = v_outlet_id AND s.product_id = i.product_id;
+
+    UPDATE orders SET stock_reserved = false WHERE id = p_order_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Starting stock for the sample outlets and products
+INSERT INTO outlet_stock (outlet_id, product_id, quantity_litres)
+SELECT o.id, p.id, 50
+FROM outlets o CROSS JOIN products p
+ON CONFLICT (outlet_id, product_id) DO NOTHING;
@@ -0,0 +1,122 @@
+-- Ranked full-text and fuzzy product search
+-- Full-text search handles stemming ("mangoes" -> "mango"), trigrams handle typos ("pinaple")
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Weighted document: name, then ingredients and benefits, then description
+ALTER TABLE products ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(ingredients::TEXT, '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(health_benefits::TEXT, '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(description, '')), 'C')
+    ) STORED;
+
+-- Plain text for trigram matching
+ALTER TABLE products ADD COLUMN IF NOT EXISTS search_text TEXT
+    GENERATED ALWAYS AS (
+        lower(name || ' ' || COALESCE(ingredients::TEXT, '') || ' ' || COALESCE(health_benefits::TEXT, ''))
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_products_search_vector ON products USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_products_search_text_trgm ON products USING GIN (search_text gin_trgm_ops);
+
+-- Words customers are likely to search for, used for "did you mean" suggestions
+CREATE OR REPLACE VIEW product_search_words AS
+SELECT DISTINCT word
+FROM (
+    SELECT regexp_split_to_table(lower(name), '[^a-z]+') AS word FROM products WHERE is_available = true
+    UNION
+    SELECT lower(jsonb_array_elements_text(ingredients)) FROM products WHERE is_available = true
+    UNION
+    SELECT lower(jsonb_array_elements_text(health_benefits)) FROM products WHERE is_available = true
+) words
+WHERE length(word) >= 3;
+
+-- Suggest a corrected query by swapping each unknown word for the closest catalog word
+-- Returns NULL when every word is already known or nothing is close enough
+CREATE OR REPLACE FUNCTION suggest_search_query(p_query TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    v_word TEXT;
+    v_match TEXT;
+    v_words TEXT[] := '{}';
+    v_changed BOOLEAN := false;
+BEGIN
+    FOR v_word IN SELECT regexp_split_to_table(lower(trim(p_query)), '\s+') LOOP
+        IF v_word = '' THEN
+            CONTINUE;
+        END IF;
+
+        SELECT w.word INTO v_match
+        FROM product_search_words w
+        WHERE similarity(w.word, v_word) >= 0.3
+        ORDER BY similarity(w.word, v_word) DESC, w.word
+        LIMIT 1;
+
+        IF v_match IS NOT NULL AND v_match <> v_word
+           AND NOT EXISTS (SELECT 1 FROM product_search_words w WHERE w.word = v_word) THEN
+            v_words := v_words || v_match;
+            v_changed := true;
+        ELSE
+            v_words := v_words || v_word;
+        END IF;
+    END LOOP;
+
+    IF NOT v_changed THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN array_to_string(v_words, ' ');
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Search available products, best match first
+-- p_exclude drops products whose allergens or ingredients contain any of the tags
+-- Pass p_limit NULL to get every match
+CREATE OR REPLACE FUNCTION search_products(
+    p_query TEXT,
+    p_exclude TEXT[] DEFAULT '{}',
+    p_limit INTEGER DEFAULT 20,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE(
+    product_id UUID,
+    relevance REAL,
+    name_highlight TEXT,
+    description_highlight TEXT,
+    total_count BIGINT
+) AS $$
+DECLARE
+    v_query TEXT := lower(trim(p_query));
+    -- Also match (and highlight) the spelling-corrected query
+    v_tsquery TSQUERY := websearch_to_tsquery('english', p_query) ||
+        websearch_to_tsquery('english', COALESCE(suggest_search_query(p_query), ''));
+BEGIN
+    RETURN QUERY
+    WITH matches AS (
+        SELECT
+            p.id,
+            p.name,
+            p.description,
+            (ts_rank_cd(p.search_vector, v_tsquery) + word_similarity(v_query, p.search_text))::REAL AS score
+        FROM products p
+        WHERE p.is_available = true
+          AND (p.search_vector @@ v_tsquery OR word_similarity(v_query, p.search_text) >= 0.4)
+          AND NOT EXISTS (
+              SELECT 1 FROM unnest(p_exclude) AS tag
+              WHERE p.allergens ? tag OR p.ingredients ? tag
+          )
+    )
+    SELECT
+        m.id,
+        m.score,
+        ts_headline('english', m.name, v_tsquery, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'),
+        ts_headline('english', COALESCE(m.description, ''), v_tsquery, 'StartSel=<mark>, StopSel=</mark>, MaxWords=20, MinWords=8'),
+        COUNT(*) OVER ()
+    FROM matches m
+    ORDER BY m.score DESC, m.name
+    LIMIT p_limit
+    OFFSET p_offset;
+END;
+$$ LANGUAGE plpgsql STABLE;
@@ -0,0 +1,79 @@
+-- Product categories
+-- Products can be in several categories; products.category stays as the primary category's slug
+
+CREATE TABLE IF NOT EXISTS categories (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    slug VARCHAR(100) UNIQUE NOT NULL CHECK (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    icon_url TEXT,
+    image_url TEXT,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable RLS for categories (public read access to active categories)
+ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view active categories" ON categories
+    FOR SELECT USING (is_active = true);
+
+CREATE INDEX IF NOT EXISTS idx_categories_sort_order ON categories(sort_order);
+
+CREATE TRIGGER categories_updated_at_trigger
+    BEFORE UPDATE ON categories
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
+
+CREATE TABLE IF NOT EXISTS product_categories (
+    product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+    category_id UUID REFERENCES categories(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (product_id, category_id)
+);
+
+-- Enable RLS for product_categories (public read access)
+ALTER TABLE product_categories ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view product categories" ON product_categories
+    FOR SELECT USING (true);
+
+CREATE INDEX IF NOT EXISTS idx_product_categories_category_id ON product_categories(category_id);
+
+-- Home screen categories
+INSERT INTO categories (slug, name, description, sort_order) VALUES
+('energy', 'Energy', 'Natural sugars and nutrients for a clean energy lift', 1),
+('detox', 'Detox', 'Green and citrus blends to cleanse and refresh', 2),
+('immunity', 'Immunity', 'Vitamin C and anti-inflammatory blends', 3)
+ON CONFLICT (slug) DO NOTHING;
+
+-- Carry over the existing free-text categories
+INSERT INTO categories (slug, name, sort_order)
+SELECT DISTINCT
+    trim(BOTH '-' FROM regexp_replace(lower(category), '[^a-z0-9]+', '-', 'g')),
+    initcap(category),
+    100
+FROM products
+WHERE category IS NOT NULL AND category ~ '[A-Za-z0-9]'
+ON CONFLICT (slug) DO NOTHING;
+
+INSERT INTO product_categories (product_id, category_id)
+SELECT p.id, c.id
+FROM products p
+JOIN categories c ON c.slug = trim(BOTH '-' FROM regexp_replace(lower(p.category), '[^a-z0-9]+', '-', 'g'))
+ON CONFLICT DO NOTHING;
+
+-- Place the sample products in the home screen categories by their benefits
+INSERT INTO product_categories (product_id, category_id)
+SELECT p.id, c.id
+FROM products p
+JOIN categories c ON
+    (c.slug = 'energy' AND p.health_benefits ?| ARRAY['energy', 'brain_function']) OR
+    (c.slug = 'detox' AND p.health_benefits ?| ARRAY['detox', 'digestive_health', 'digestive_enzymes']) OR
+    (c.slug = 'immunity' AND p.health_benefits ?| ARRAY['immunity', 'immunity_boost'])
+ON CONFLICT DO NOTHING;
+
+UPDATE products SET category = trim(BOTH '-' FROM regexp_replace(lower(category), '[^a-z0-9]+', '-', 'g'))
+WHERE category IS NOT NULL;
@@ -0,0 +1,73 @@
+-- Merchandising: featured products and home banners
+-- Both are scheduled with starts_at/ends_at and can target one outlet or a region.
+-- Rows with neither outlet_id nor region show everywhere.
+
+-- Region an outlet serves, used for targeting
+ALTER TABLE outlets ADD COLUMN IF NOT EXISTS region VARCHAR(100);
+
+UPDATE outlets SET region = 'Kampala' WHERE region IS NULL AND address ILIKE '%Kampala%';
+
+CREATE TABLE IF NOT EXISTS featured_slots (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL DEFAULT 0,
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    ends_at TIMESTAMP WITH TIME ZONE,
+    outlet_id UUID REFERENCES outlets(id) ON DELETE CASCADE,
+    region VARCHAR(100),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (ends_at IS NULL OR ends_at > starts_at)
+);
+
+-- Enable RLS for featured_slots (public read access to active slots)
+ALTER TABLE featured_slots ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view active featured slots" ON featured_slots
+    FOR SELECT USING (is_active = true);
+
+CREATE INDEX IF NOT EXISTS idx_featured_slots_schedule ON featured_slots(starts_at, ends_at) WHERE is_active = true;
+
+CREATE TRIGGER featured_slots_updated_at_trigger
+    BEFORE UPDATE ON featured_slots
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
+
+CREATE TABLE IF NOT EXISTS banners (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    title VARCHAR(150) NOT NULL,
+    body TEXT,
+    image_url TEXT NOT NULL,
+    cta_label VARCHAR(50),
+    -- App route or URL opened on tap, e.g. fruitygulp://category/energy
+    deep_link TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    ends_at TIMESTAMP WITH TIME ZONE,
+    outlet_id UUID REFERENCES outlets(id) ON DELETE CASCADE,
+    region VARCHAR(100),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (ends_at IS NULL OR ends_at > starts_at)
+);
+
+-- Enable RLS for banners (public read access to active banners)
+ALTER TABLE banners ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view active banners" ON banners
+    FOR SELECT USING (is_active = true);
+
+CREATE INDEX IF NOT EXISTS idx_banners_schedule ON banners(starts_at, ends_at) WHERE is_active = true;
+
+CREATE TRIGGER banners_updated_at_trigger
+    BEFORE UPDATE ON banners
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
+
+-- Sample home banner
+INSERT INTO banners (title, body, image_url, cta_label, deep_link, position) VALUES
+('Boost your day with our new energy blends!', 'Fresh-pressed fruit for a natural lift', 'https://example.com/banners/energy.jpg', 'Shop Energy', 'fruitygulp://category/energy', 1);
@@ -0,0 +1,117 @@
+-- Product ratings and reviews
+-- A review belongs to one order item, so only customers who received a product can review it.
+-- Only approved reviews count towards products.rating_average and rating_count.
+
+CREATE TABLE IF NOT EXISTS product_reviews (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    order_item_id UUID UNIQUE NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    title VARCHAR(150),
+    body TEXT,
+    photo_urls JSONB NOT NULL DEFAULT '[]',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    moderation_note TEXT,
+    moderated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    moderated_at TIMESTAMP WITH TIME ZONE,
+    helpful_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable RLS for product_reviews (public read access to approved reviews)
+ALTER TABLE product_reviews ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view approved reviews" ON product_reviews
+    FOR SELECT USING (status = 'approved');
+
+CREATE INDEX IF NOT EXISTS idx_product_reviews_product_id ON product_reviews(product_id, status);
+CREATE INDEX IF NOT EXISTS idx_product_reviews_user_id ON product_reviews(user_id);
+CREATE INDEX IF NOT EXISTS idx_product_reviews_pending ON product_reviews(created_at) WHERE status = 'pending';
+
+CREATE TRIGGER product_reviews_updated_at_trigger
+    BEFORE UPDATE ON product_reviews
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
+
+-- "Helpful" votes, one per user per review
+CREATE TABLE IF NOT EXISTS review_votes (
+    review_id UUID REFERENCES product_reviews(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (review_id, user_id)
+);
+
+-- Enable RLS for review_votes (no policies: service role only)
+ALTER TABLE review_votes ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_review_votes_user_id ON review_votes(user_id);
+
+-- Rating aggregates on products
+ALTER TABLE products ADD COLUMN IF NOT EXISTS rating_average DECIMAL(3, 2) NOT NULL DEFAULT 0;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS rating_count INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_products_rating ON products(rating_average DESC, rating_count DESC);
+
+-- Recalculate a product's rating from its approved reviews
+CREATE OR REPLACE FUNCTION refresh_product_rating(p_product_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE products p
+    SET rating_average = COALESCE(r.average, 0),
+        rating_count = r.total
+    FROM (
+        SELECT ROUND(AVG(rating), 2) AS average, COUNT(*) AS total
+        FROM product_reviews
+        WHERE product_id = p_product_id AND status = 'approved'
+    ) r
+    WHERE p.id = p_product_id;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION product_reviews_refresh_rating()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        PERFORM refresh_product_rating(OLD.product_id);
+    END IF;
+
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        PERFORM refresh_product_rating(NEW.product_id);
+        RETURN NEW;
+    END IF;
+
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER product_reviews_rating_trigger
+    AFTER INSERT OR UPDATE OF status, rating OR DELETE ON product_reviews
+    FOR EACH ROW
+    EXECUTE FUNCTION product_reviews_refresh_rating();
+
+-- Keep helpful_count in step with review_votes
+CREATE OR REPLACE FUNCTION review_votes_refresh_count()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_review_id UUID;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        v_review_id := OLD.review_id;
+    ELSE
+        v_review_id := NEW.review_id;
+    END IF;
+
+    UPDATE product_reviews
+    SET helpful_count = (SELECT COUNT(*) FROM review_votes WHERE review_id = v_review_id)
+    WHERE id = v_review_id;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER review_votes_count_trigger
+    AFTER INSERT OR DELETE ON review_votes
+    FOR EACH ROW
+    EXECUTE FUNCTION review_votes_refresh_count();
@@ -0,0 +1,183 @@
+-- Favorites and in-app notifications
+-- Users are notified when a favorited product comes back in stock or goes on promotion
+-- (price drop or a new featured slot).
+
+CREATE TABLE IF NOT EXISTS user_favorites (
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+    -- Bottle size used when reordering favorites; NULL orders a litre
+    variant_id UUID REFERENCES product_variants(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, product_id)
+);
+
+-- Enable RLS for user_favorites
+ALTER TABLE user_favorites ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own favorites" ON user_favorites
+    FOR ALL USING (user_id IN (SELECT id FROM users WHERE auth_user_id = auth.uid()));
+
+CREATE INDEX IF NOT EXISTS idx_user_favorites_product_id ON user_favorites(product_id);
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(30) NOT NULL CHECK (type IN ('restock', 'promotion')),
+    title VARCHAR(150) NOT NULL,
+    body TEXT,
+    -- e.g. {"product_id": "...", "outlet_id": "..."}
+    data JSONB NOT NULL DEFAULT '{}',
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable RLS for notifications
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own notifications" ON notifications
+    FOR SELECT USING (user_id IN (SELECT id FROM users WHERE auth_user_id = auth.uid()));
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+
+-- Notify everyone who favorited a product, at most once a day per product and type
+-- With p_outlet_id set, only users served by that outlet (or with no default address) are notified
+CREATE OR REPLACE FUNCTION notify_favorited_product(
+    p_product_id UUID,
+    p_type VARCHAR,
+    p_title VARCHAR,
+    p_body TEXT,
+    p_outlet_id UUID DEFAULT NULL
+)
+RETURNS VOID AS $$
+BEGIN
+    INSERT INTO notifications (user_id, type, title, body, data)
+    SELECT f.user_id, p_type, p_title, p_body,
+        jsonb_strip_nulls(jsonb_build_object('product_id', p_product_id, 'outlet_id', p_outlet_id))
+    FROM user_favorites f
+    LEFT JOIN user_addresses a ON a.user_id = f.user_id AND a.is_default = true
+    WHERE f.product_id = p_product_id
+      AND (p_outlet_id IS NULL OR a.id IS NULL OR a.nearest_outlet_id = p_outlet_id)
+      AND NOT EXISTS (
+          SELECT 1 FROM notifications n
+          WHERE n.user_id = f.user_id
+            AND n.type = p_type
+            AND n.data->>'product_id' = p_product_id::TEXT
+            AND n.created_at > NOW() - INTERVAL '1 day'
+      );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Back in stock at an outlet
+CREATE OR REPLACE FUNCTION outlet_stock_notify_restock()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_name VARCHAR;
+    v_outlet VARCHAR;
+BEGIN
+    IF NEW.is_available AND (TG_OP = 'INSERT' OR NOT OLD.is_available) THEN
+        SELECT name INTO v_name FROM products WHERE id = NEW.product_id AND is_available = true;
+        SELECT name INTO v_outlet FROM outlets WHERE id = NEW.outlet_id;
+
+        IF v_name IS NOT NULL THEN
+            PERFORM notify_favorited_product(
+                NEW.product_id, 'restock',
+                v_name || ' is back in stock',
+                'Your favorite is available again at ' || v_outlet || '.',
+                NEW.outlet_id
+            );
+        END IF;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER outlet_stock_restock_trigger
+    AFTER INSERT OR UPDATE OF quantity_litres ON outlet_stock
+    FOR EACH ROW
+    EXECUTE FUNCTION outlet_stock_notify_restock();
+
+-- Back in the catalog, or cheaper per litre
+CREATE OR REPLACE FUNCTION products_notify_favorites()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.is_available AND NOT OLD.is_available THEN
+        PERFORM notify_favorited_product(
+            NEW.id, 'restock',
+            NEW.name || ' is back',
+            'Your favorite is available to order again.'
+        );
+    ELSIF NEW.is_available AND NEW.price_per_litre < OLD.price_per_litre THEN
+        PERFORM notify_favorited_product(
+            NEW.id, 'promotion',
+            NEW.name || ' is now cheaper',
+            'Now UGX ' || to_char(NEW.price_per_litre, 'FM999,999,999') || ' per litre, down from UGX ' ||
+                to_char(OLD.price_per_litre, 'FM999,999,999') || '.'
+        );
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER products_favorites_trigger
+    AFTER UPDATE OF is_available, price_per_litre ON products
+    FOR EACH ROW
+    EXECUTE FUNCTION products_notify_favorites();
+
+-- Bottle price drop
+CREATE OR REPLACE FUNCTION product_variants_notify_favorites()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_name VARCHAR;
+BEGIN
+    IF NEW.is_available AND NEW.price < OLD.price THEN
+        SELECT name INTO v_name FROM products WHERE id = NEW.product_id AND is_available = true;
+
+        IF v_name IS NOT NULL THEN
+            PERFORM notify_favorited_product(
+                NEW.product_id, 'promotion',
+                v_name || ' ' || NEW.size_label || ' is now cheaper',
+                'Now UGX ' || to_char(NEW.price, 'FM999,999,999') || ' a bottle, down from UGX ' ||
+                    to_char(OLD.price, 'FM999,999,999') || '.'
+            );
+        END IF;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER product_variants_favorites_trigger
+    AFTER UPDATE OF price ON product_variants
+    FOR EACH ROW
+    EXECUTE FUNCTION product_variants_notify_favorites();
+
+-- Newly featured
+CREATE OR REPLACE FUNCTION featured_slots_notify_favorites()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_name VARCHAR;
+BEGIN
+    IF NEW.is_active AND NEW.starts_at <= NOW() THEN
+        SELECT name INTO v_name FROM products WHERE id = NEW.product_id AND is_available = true;
+
+        IF v_name IS NOT NULL THEN
+            PERFORM notify_favorited_product(
+                NEW.product_id, 'promotion',
+                v_name || ' is featured',
+                'One of your favorites is in the spotlight today.',
+                NEW.outlet_id
+            );
+        END IF;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER featured_slots_favorites_trigger
+    AFTER INSERT ON featured_slots
+    FOR EACH ROW
+    EXECUTE FUNCTION featured_slots_notify_favorites();
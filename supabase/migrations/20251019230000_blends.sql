@@ -0,0 +1,146 @@
+-- Build-your-own blends
+-- Customers mix catalog ingredients by percentage; price, nutrition and allergens are derived
+-- from the ingredients. Blends can be saved, shared by code and ordered by the litre.
+
+CREATE TABLE IF NOT EXISTS ingredients (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    slug VARCHAR(100) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    kind VARCHAR(20) NOT NULL DEFAULT 'fruit' CHECK (kind IN ('fruit', 'vegetable', 'base', 'booster')),
+    -- Cost of a litre made entirely of this ingredient
+    price_per_litre DECIMAL(10, 2) NOT NULL CHECK (price_per_litre >= 0),
+    nutrition_per_100ml JSONB NOT NULL DEFAULT '{"calories_per_100ml": 0, "sugar_per_100ml": 0, "protein_per_100ml": 0, "fat_per_100ml": 0}',
+    allergens JSONB NOT NULL DEFAULT '[]',
+    -- Largest share of a blend this ingredient can make up
+    max_percentage INTEGER NOT NULL DEFAULT 100 CHECK (max_percentage BETWEEN 1 AND 100),
+    image_url TEXT,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    is_available BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable RLS for ingredients (public read access)
+ALTER TABLE ingredients ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view ingredients" ON ingredients
+    FOR SELECT USING (true);
+
+CREATE TRIGGER ingredients_updated_at_trigger
+    BEFORE UPDATE ON ingredients
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
+
+-- Pairs that can't go in the same blend
+CREATE TABLE IF NOT EXISTS ingredient_incompatibilities (
+    ingredient_a UUID REFERENCES ingredients(id) ON DELETE CASCADE,
+    ingredient_b UUID REFERENCES ingredients(id) ON DELETE CASCADE,
+    reason TEXT NOT NULL,
+    PRIMARY KEY (ingredient_a, ingredient_b),
+    CHECK (ingredient_a < ingredient_b)
+);
+
+-- Enable RLS for ingredient_incompatibilities (public read access)
+ALTER TABLE ingredient_incompatibilities ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view ingredient incompatibilities" ON ingredient_incompatibilities
+    FOR SELECT USING (true);
+
+CREATE TABLE IF NOT EXISTS blends (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    -- Short code for sharing the recipe
+    share_code VARCHAR(12) UNIQUE NOT NULL,
+    -- Values when the blend was last saved; orders re-price from current ingredients
+    price_per_litre DECIMAL(10, 2) NOT NULL,
+    nutritional_info JSONB NOT NULL,
+    allergens JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable RLS for blends (no policies: service role only)
+ALTER TABLE blends ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_blends_user_id ON blends(user_id);
+
+CREATE TRIGGER blends_updated_at_trigger
+    BEFORE UPDATE ON blends
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
+
+CREATE TABLE IF NOT EXISTS blend_ingredients (
+    blend_id UUID REFERENCES blends(id) ON DELETE CASCADE,
+    ingredient_id UUID REFERENCES ingredients(id),
+    percentage INTEGER NOT NULL CHECK (percentage BETWEEN 1 AND 100),
+    PRIMARY KEY (blend_id, ingredient_id)
+);
+
+-- Enable RLS for blend_ingredients (no policies: service role only)
+ALTER TABLE blend_ingredients ENABLE ROW LEVEL SECURITY;
+
+-- Blend order items have no product; the recipe is kept as it was when ordered
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS blend_id UUID REFERENCES blends(id) ON DELETE SET NULL;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS blend_snapshot JSONB;
+
+ALTER TABLE order_items ADD CONSTRAINT order_items_product_or_blend
+    CHECK (product_id IS NOT NULL OR blend_snapshot IS NOT NULL) NOT VALID;
+
+-- Only catalog products are stocked per outlet
+CREATE OR REPLACE FUNCTION reserve_order_stock(p_order_id UUID)
+RETURNS VOID AS $$
+DECLARE
+    v_outlet_id UUID;
+    v_item RECORD;
+BEGIN
+    SELECT outlet_id INTO v_outlet_id FROM orders WHERE id = p_order_id AND stock_reserved = false FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    FOR v_item IN
+        SELECT product_id, SUM(quantity_litres) AS quantity_litres
+        FROM order_items WHERE order_id = p_order_id AND product_id IS NOT NULL
+        GROUP BY product_id
+    LOOP
+        UPDATE outlet_stock
+        SET quantity_litres = quantity_litres - v_item.quantity_litres
+        WHERE outlet_id = v_outlet_id
+          AND product_id = v_item.product_id
+          AND quantity_litres >= v_item.quantity_litres;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'OUT_OF_STOCK:%', v_item.product_id;
+        END IF;
+    END LOOP;
+
+    UPDATE orders SET stock_reserved = true WHERE id = p_order_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Sample ingredients
+INSERT INTO ingredients (slug, name, kind, price_per_litre, nutrition_per_100ml, allergens, max_percentage, sort_order) VALUES
+('mango', 'Mango', 'fruit', 14000, '{"calories_per_100ml": 60, "sugar_per_100ml": 14, "protein_per_100ml": 0.8, "fat_per_100ml": 0.4}', '[]', 80, 1),
+('pineapple', 'Pineapple', 'fruit', 12000, '{"calories_per_100ml": 50, "sugar_per_100ml": 10, "protein_per_100ml": 0.5, "fat_per_100ml": 0.1}', '[]', 80, 2),
+('passion-fruit', 'Passion Fruit', 'fruit', 16000, '{"calories_per_100ml": 97, "sugar_per_100ml": 11, "protein_per_100ml": 2.2, "fat_per_100ml": 0.7}', '[]', 50, 3),
+('orange', 'Orange', 'fruit', 11000, '{"calories_per_100ml": 45, "sugar_per_100ml": 8, "protein_per_100ml": 0.7, "fat_per_100ml": 0.2}', '["citrus"]', 80, 4),
+('watermelon', 'Watermelon', 'fruit', 8000, '{"calories_per_100ml": 30, "sugar_per_100ml": 6, "protein_per_100ml": 0.6, "fat_per_100ml": 0.2}', '[]', 80, 5),
+('banana', 'Banana', 'fruit', 9000, '{"calories_per_100ml": 89, "sugar_per_100ml": 12, "protein_per_100ml": 1.1, "fat_per_100ml": 0.3}', '[]', 40, 6),
+('spinach', 'Spinach', 'vegetable', 10000, '{"calories_per_100ml": 23, "sugar_per_100ml": 0.4, "protein_per_100ml": 2.9, "fat_per_100ml": 0.4}', '[]', 40, 7),
+('cucumber', 'Cucumber', 'vegetable', 7000, '{"calories_per_100ml": 15, "sugar_per_100ml": 1.7, "protein_per_100ml": 0.7, "fat_per_100ml": 0.1}', '[]', 60, 8),
+('carrot', 'Carrot', 'vegetable', 8000, '{"calories_per_100ml": 41, "sugar_per_100ml": 4.7, "protein_per_100ml": 0.9, "fat_per_100ml": 0.2}', '[]', 70, 9),
+('coconut-water', 'Coconut Water', 'base', 10000, '{"calories_per_100ml": 19, "sugar_per_100ml": 2.6, "protein_per_100ml": 0.7, "fat_per_100ml": 0.2}', '["coconut"]', 70, 10),
+('yoghurt', 'Yoghurt', 'base', 12000, '{"calories_per_100ml": 61, "sugar_per_100ml": 4.7, "protein_per_100ml": 3.5, "fat_per_100ml": 3.3}', '["dairy"]', 50, 11),
+('ginger', 'Ginger', 'booster', 20000, '{"calories_per_100ml": 80, "sugar_per_100ml": 1.7, "protein_per_100ml": 1.8, "fat_per_100ml": 0.8}', '[]', 10, 12),
+('turmeric', 'Turmeric', 'booster', 25000, '{"calories_per_100ml": 30, "sugar_per_100ml": 0.3, "protein_per_100ml": 1, "fat_per_100ml": 0.3}', '[]', 5, 13),
+('mint', 'Mint', 'booster', 15000, '{"calories_per_100ml": 44, "sugar_per_100ml": 0, "protein_per_100ml": 3.3, "fat_per_100ml": 0.7}', '[]', 10, 14)
+ON CONFLICT (slug) DO NOTHING;
+
+-- Citrus curdles dairy
+INSERT INTO ingredient_incompatibilities (ingredient_a, ingredient_b, reason)
+SELECT LEAST(a.id, b.id), GREATEST(a.id, b.id), 'Citrus curdles yoghurt'
+FROM ingredients a, ingredients b
+WHERE a.slug = 'orange' AND b.slug = 'yoghurt'
+ON CONFLICT DO NOTHING;
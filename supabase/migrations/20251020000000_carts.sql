@@ -0,0 +1,47 @@
+-- Server-side carts
+-- One cart per user, kept between sessions. Items use the same shapes as order items;
+-- prices are worked out when the cart is quoted or checked out, never stored.
+
+CREATE TABLE IF NOT EXISTS carts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    address_id UUID REFERENCES user_addresses(id) ON DELETE SET NULL,
+    payment_method VARCHAR(20) NOT NULL DEFAULT 'cash' CHECK (payment_method IN ('cash', 'mobile_money', 'card')),
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable RLS for carts (no policies: service role only)
+ALTER TABLE carts ENABLE ROW LEVEL SECURITY;
+
+CREATE TRIGGER carts_updated_at_trigger
+    BEFORE UPDATE ON carts
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
+
+CREATE TABLE IF NOT EXISTS cart_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    cart_id UUID NOT NULL REFERENCES carts(id) ON DELETE CASCADE,
+    product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+    variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE,
+    blend_id UUID REFERENCES blends(id) ON DELETE CASCADE,
+    -- Bottle count for a variant, otherwise NULL
+    quantity INTEGER CHECK (quantity BETWEEN 1 AND 50),
+    -- Litres for a loose product or blend, otherwise NULL
+    quantity_litres DECIMAL(5, 3) CHECK (quantity_litres > 0 AND quantity_litres <= 10),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((product_id IS NULL) <> (blend_id IS NULL)),
+    CHECK ((variant_id IS NULL) = (quantity IS NULL) AND (quantity IS NULL) <> (quantity_litres IS NULL)),
+    -- Adding the same thing again updates the existing line
+    UNIQUE NULLS NOT DISTINCT (cart_id, product_id, variant_id, blend_id)
+);
+
+-- Enable RLS for cart_items (no policies: service role only)
+ALTER TABLE cart_items ENABLE ROW LEVEL SECURITY;
+
+CREATE TRIGGER cart_items_updated_at_trigger
+    BEFORE UPDATE ON cart_items
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
@@ -0,0 +1,232 @@
+-- Atomic order placement
+-- Pricing, outlet choice, the order and its items and the stock reservation all happen in one
+-- transaction: an order is either placed completely or not at all.
+--
+-- Failures are raised as typed codes the API maps to responses:
+--   PRODUCT_UNAVAILABLE:<product_id>  product missing or not available
+--   VARIANT_UNAVAILABLE:<variant_id>  bottle size missing, not available or of another product
+--   NO_OUTLET                         no active outlet delivers to the location
+--   OUT_OF_STOCK[:<product_id>]       no outlet that delivers has every item in stock
+
+-- Delivery fee for a distance; matches calculateDeliveryFee in backend/utils/helpers.js
+CREATE OR REPLACE FUNCTION calculate_delivery_fee(p_distance_km DECIMAL)
+RETURNS DECIMAL AS $$
+    SELECT 2000 + 2000 * CEIL(p_distance_km);
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Price order items at current prices, locking the rows read until the transaction ends
+-- Items: {product_id, variant_id, quantity} bottles, {product_id, quantity_litres} loose litres,
+-- or {blend_id, name, blend_snapshot, unit_price, quantity_litres} blends priced by the API
+CREATE OR REPLACE FUNCTION price_order_items(p_items JSONB)
+RETURNS JSONB AS $$
+DECLARE
+    v_item JSONB;
+    v_product products%ROWTYPE;
+    v_variant product_variants%ROWTYPE;
+    v_lines JSONB := '[]';
+BEGIN
+    FOR v_item IN SELECT * FROM jsonb_array_elements(p_items)
+    LOOP
+        IF v_item ? 'blend_id' THEN
+            v_lines := v_lines || jsonb_build_array(jsonb_build_object(
+                'name', v_item->>'name',
+                'size_label', NULL,
+                'product_id', NULL,
+                'variant_id', NULL,
+                'blend_id', v_item->>'blend_id',
+                'blend_snapshot', v_item->'blend_snapshot',
+                'bottle_count', NULL,
+                'quantity_litres', (v_item->>'quantity_litres')::DECIMAL,
+                'unit_price', (v_item->>'unit_price')::DECIMAL,
+                'pricing_unit', 'litre',
+                'subtotal', (v_item->>'unit_price')::DECIMAL * (v_item->>'quantity_litres')::DECIMAL
+            ));
+            CONTINUE;
+        END IF;
+
+        SELECT * INTO v_product FROM products
+        WHERE id = (v_item->>'product_id')::UUID AND is_available = true
+        FOR SHARE;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'PRODUCT_UNAVAILABLE:%', v_item->>'product_id';
+        END IF;
+
+        IF v_item ? 'variant_id' THEN
+            -- Bottle sizes are priced per bottle
+            SELECT * INTO v_variant FROM product_variants
+            WHERE id = (v_item->>'variant_id')::UUID AND product_id = v_product.id AND is_available = true
+            FOR SHARE;
+
+            IF NOT FOUND THEN
+                RAISE EXCEPTION 'VARIANT_UNAVAILABLE:%', v_item->>'variant_id';
+            END IF;
+
+            v_lines := v_lines || jsonb_build_array(jsonb_build_object(
+                'name', v_product.name,
+                'size_label', v_variant.size_label,
+                'product_id', v_product.id,
+                'variant_id', v_variant.id,
+                'blend_id', NULL,
+                'blend_snapshot', NULL,
+                'bottle_count', (v_item->>'quantity')::INTEGER,
+                'quantity_litres', v_variant.volume_ml * (v_item->>'quantity')::INTEGER / 1000.0,
+                'unit_price', v_variant.price,
+                'pricing_unit', 'bottle',
+                'subtotal', v_variant.price * (v_item->>'quantity')::INTEGER
+            ));
+        ELSE
+            v_lines := v_lines || jsonb_build_array(jsonb_build_object(
+                'name', v_product.name,
+                'size_label', NULL,
+                'product_id', v_product.id,
+                'variant_id', NULL,
+                'blend_id', NULL,
+                'blend_snapshot', NULL,
+                'bottle_count', NULL,
+                'quantity_litres', (v_item->>'quantity_litres')::DECIMAL,
+                'unit_price', v_product.price_per_litre,
+                'pricing_unit', 'litre',
+                'subtotal', v_product.price_per_litre * (v_item->>'quantity_litres')::DECIMAL
+            ));
+        END IF;
+    END LOOP;
+
+    RETURN v_lines;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Work out what an order would cost: priced items, the nearest outlet within 20 km that
+-- has every product in stock, and its delivery fee
+CREATE OR REPLACE FUNCTION quote_order(p_items JSONB, p_delivery_lat DECIMAL, p_delivery_lng DECIMAL)
+RETURNS JSONB AS $$
+DECLARE
+    v_lines JSONB;
+    v_nearest_km DECIMAL;
+    v_outlet RECORD;
+    v_subtotal DECIMAL;
+    v_delivery_fee DECIMAL;
+BEGIN
+    v_lines := price_order_items(p_items);
+
+    SELECT n.distance_km INTO v_nearest_km FROM get_nearest_outlet(p_delivery_lat, p_delivery_lng) n;
+
+    IF v_nearest_km IS NULL OR v_nearest_km > 20 THEN
+        RAISE EXCEPTION 'NO_OUTLET';
+    END IF;
+
+    -- Blends are made from fresh ingredients, not outlet stock
+    SELECT * INTO v_outlet
+    FROM get_nearest_outlet_with_stock(p_delivery_lat, p_delivery_lng, COALESCE(
+        (SELECT jsonb_agg(jsonb_build_object('product_id', l->'product_id', 'quantity_litres', l->'quantity_litres'))
+         FROM jsonb_array_elements(v_lines) l
+         WHERE l->>'product_id' IS NOT NULL),
+        '[]'
+    ));
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'OUT_OF_STOCK';
+    END IF;
+
+    SELECT COALESCE(SUM((l->>'subtotal')::DECIMAL), 0) INTO v_subtotal FROM jsonb_array_elements(v_lines) l;
+    v_delivery_fee := calculate_delivery_fee(v_outlet.distance_km);
+
+    RETURN jsonb_build_object(
+        'items', v_lines,
+        'subtotal', v_subtotal,
+        'delivery_fee', v_delivery_fee,
+        'total', v_subtotal + v_delivery_fee,
+        'outlet', jsonb_build_object(
+            'id', v_outlet.outlet_id,
+            'name', v_outlet.outlet_name,
+            'distance_km', v_outlet.distance_km
+        ),
+        -- Matches calculateEstimatedDeliveryTime in backend/utils/helpers.js
+        'estimated_delivery_time', NOW() + (30 + 10 * v_outlet.distance_km) * INTERVAL '1 minute'
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Quote and place an order, reserve its stock and return it with its items and outlet
+CREATE OR REPLACE FUNCTION place_order(
+    p_user_id UUID,
+    p_items JSONB,
+    p_delivery_address JSONB,
+    p_delivery_lat DECIMAL,
+    p_delivery_lng DECIMAL,
+    p_payment_method VARCHAR,
+    p_notes TEXT,
+    p_rider_info JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_quote JSONB;
+    v_order_id UUID;
+BEGIN
+    v_quote := quote_order(p_items, p_delivery_lat, p_delivery_lng);
+
+    INSERT INTO orders (
+        user_id, outlet_id, total_amount, delivery_fee, payment_method, delivery_address,
+        delivery_lat, delivery_lng, estimated_delivery_time, rider_info, notes, status
+    ) VALUES (
+        p_user_id,
+        (v_quote->'outlet'->>'id')::UUID,
+        (v_quote->>'total')::DECIMAL,
+        (v_quote->>'delivery_fee')::DECIMAL,
+        COALESCE(p_payment_method, 'cash'),
+        p_delivery_address,
+        p_delivery_lat,
+        p_delivery_lng,
+        (v_quote->>'estimated_delivery_time')::TIMESTAMP WITH TIME ZONE,
+        p_rider_info,
+        p_notes,
+        'pending'
+    )
+    RETURNING id INTO v_order_id;
+
+    INSERT INTO order_items (
+        order_id, product_id, variant_id, blend_id, blend_snapshot,
+        bottle_count, quantity_litres, unit_price, pricing_unit, subtotal
+    )
+    SELECT
+        v_order_id,
+        (l->>'product_id')::UUID,
+        (l->>'variant_id')::UUID,
+        (l->>'blend_id')::UUID,
+        NULLIF(l->'blend_snapshot', 'null'::JSONB),
+        (l->>'bottle_count')::INTEGER,
+        (l->>'quantity_litres')::DECIMAL,
+        (l->>'unit_price')::DECIMAL,
+        l->>'pricing_unit',
+        (l->>'subtotal')::DECIMAL
+    FROM jsonb_array_elements(v_quote->'items') l;
+
+    -- Raises OUT_OF_STOCK if another order took the stock first, undoing everything above
+    PERFORM reserve_order_stock(v_order_id);
+
+    RETURN (
+        SELECT to_jsonb(o) || jsonb_build_object(
+            'order_items', (
+                SELECT jsonb_agg(to_jsonb(i) || jsonb_build_object(
+                    'products', (SELECT to_jsonb(p) FROM products p WHERE p.id = i.product_id),
+                    'product_variants', (
+                        SELECT jsonb_build_object('sku', v.sku, 'size_label', v.size_label, 'volume_ml', v.volume_ml)
+                        FROM product_variants v WHERE v.id = i.variant_id
+                    )
+                ) ORDER BY i.created_at)
+                FROM order_items i WHERE i.order_id = o.id
+            ),
+            'outlets', (
+                SELECT jsonb_build_object('name', ol.name, 'address', ol.address, 'phone', ol.phone)
+                FROM outlets ol WHERE ol.id = o.outlet_id
+            )
+        )
+        FROM orders o WHERE o.id = v_order_id
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- These trust the user ID and blend prices they are given, so only the API (service role) may call them
+REVOKE EXECUTE ON FUNCTION price_order_items(JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION quote_order(JSONB, DECIMAL, DECIMAL) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION place_order(UUID, JSONB, JSONB, DECIMAL, DECIMAL, VARCHAR, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,20 @@
+-- Idempotency keys
+-- The first response to a request sent with an Idempotency-Key header is kept per user and key,
+-- and replayed when the client retries with the same key.
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    key VARCHAR(255),
+    -- SHA-256 of the method, path and body, to spot a key reused for a different request
+    request_hash CHAR(64) NOT NULL,
+    -- NULL while the first request is still being handled
+    status_code INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, key)
+);
+
+-- Enable RLS for idempotency_keys (no policies: service role only)
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys(created_at);
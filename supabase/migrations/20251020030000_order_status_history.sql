@@ -0,0 +1,120 @@
+-- Order status state machine
+-- Orders move pending -> confirmed -> preparing -> out_for_delivery -> delivered, and can be
+-- cancelled until they leave the outlet. Every status an order takes is recorded with who set it.
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    -- Role the change was made as; 'system' for automatic changes
+    actor_role VARCHAR(50) NOT NULL DEFAULT 'system'
+        CHECK (actor_role IN ('customer', 'outlet_staff', 'rider', 'admin', 'system')),
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable RLS for order_status_history (users can view their own orders' history)
+ALTER TABLE order_status_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own order status history" ON order_status_history
+    FOR SELECT USING (order_id IN (SELECT id FROM orders WHERE user_id IN (SELECT id FROM users WHERE auth_user_id = auth.uid())));
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history(order_id, created_at);
+
+-- Whether an order may move from one status to another
+CREATE OR REPLACE FUNCTION is_order_transition_allowed(p_from VARCHAR, p_to VARCHAR)
+RETURNS BOOLEAN AS $$
+    SELECT (p_from, p_to) IN (
+        ('pending', 'confirmed'),
+        ('confirmed', 'preparing'),
+        ('preparing', 'out_for_delivery'),
+        ('out_for_delivery', 'delivered'),
+        ('pending', 'cancelled'),
+        ('confirmed', 'cancelled'),
+        ('preparing', 'cancelled')
+    );
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Reject illegal moves however the status is changed, including from the SQL editor
+CREATE OR REPLACE FUNCTION guard_order_status()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status IS DISTINCT FROM OLD.status AND NOT is_order_transition_allowed(OLD.status, NEW.status) THEN
+        RAISE EXCEPTION 'ILLEGAL_TRANSITION:%:%', OLD.status, NEW.status;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER orders_status_guard
+    BEFORE UPDATE OF status ON orders
+    FOR EACH ROW
+    EXECUTE FUNCTION guard_order_status();
+
+-- The first entry of every order is the customer placing it
+CREATE OR REPLACE FUNCTION record_order_placed()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, actor_role, created_at)
+    VALUES (NEW.id, NULL, NEW.status, NEW.user_id, 'customer', NEW.created_at);
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER orders_placed_history
+    AFTER INSERT ON orders
+    FOR EACH ROW
+    EXECUTE FUNCTION record_order_placed();
+
+-- Move an order to a new status and record who did it, in one transaction
+-- Cancelling returns the order's stock to its outlet
+CREATE OR REPLACE FUNCTION transition_order_status(
+    p_order_id UUID,
+    p_to_status VARCHAR,
+    p_changed_by UUID,
+    p_actor_role VARCHAR,
+    p_note TEXT
+)
+RETURNS SETOF orders AS $$
+DECLARE
+    v_from_status VARCHAR;
+BEGIN
+    SELECT status INTO v_from_status FROM orders WHERE id = p_order_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'ORDER_NOT_FOUND';
+    END IF;
+
+    IF NOT is_order_transition_allowed(v_from_status, p_to_status) THEN
+        RAISE EXCEPTION 'ILLEGAL_TRANSITION:%:%', v_from_status, p_to_status;
+    END IF;
+
+    UPDATE orders SET status = p_to_status, updated_at = NOW() WHERE id = p_order_id;
+
+    INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, actor_role, note)
+    VALUES (p_order_id, v_from_status, p_to_status, p_changed_by, p_actor_role, p_note);
+
+    IF p_to_status = 'cancelled' THEN
+        PERFORM release_order_stock(p_order_id);
+    END IF;
+
+    RETURN QUERY SELECT * FROM orders WHERE id = p_order_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trusts the actor it is given, so only the API (service role) may call it
+REVOKE EXECUTE ON FUNCTION transition_order_status(UUID, VARCHAR, UUID, VARCHAR, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Start the history of existing orders: placed, then their current status if it has moved on
+INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, actor_role, created_at)
+SELECT id, NULL, 'pending', user_id, 'customer', created_at FROM orders
+WHERE NOT EXISTS (SELECT 1 FROM order_status_history h WHERE h.order_id = orders.id);
+
+INSERT INTO order_status_history (order_id, from_status, to_status, actor_role, created_at)
+SELECT id, 'pending', status, 'system', updated_at FROM orders
+WHERE status <> 'pending'
+  AND NOT EXISTS (SELECT 1 FROM order_status_history h WHERE h.order_id = orders.id AND h.from_status IS NOT NULL);
@@ -0,0 +1,42 @@
+-- Outlet order console
+-- Staff accept or reject orders, prepare them, mark them ready and hand them to a rider.
+-- Adds a 'ready' status between preparing and out_for_delivery, and the rider assigned to an order.
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+    CHECK (status IN ('pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery', 'delivered', 'cancelled'));
+
+-- Rider (a user with the rider role) taking the order out
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS rider_id UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_outlet_queue ON orders(outlet_id, status, created_at);
+
+CREATE OR REPLACE FUNCTION is_order_transition_allowed(p_from VARCHAR, p_to VARCHAR)
+RETURNS BOOLEAN AS $$
+    SELECT (p_from, p_to) IN (
+        ('pending', 'confirmed'),
+        ('confirmed', 'preparing'),
+        ('preparing', 'ready'),
+        ('ready', 'out_for_delivery'),
+        ('out_for_delivery', 'delivered'),
+        ('pending', 'cancelled'),
+        ('confirmed', 'cancelled'),
+        ('preparing', 'cancelled')
+    );
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Orders only leave the outlet with a rider
+CREATE OR REPLACE FUNCTION guard_order_status()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status IS DISTINCT FROM OLD.status AND NOT is_order_transition_allowed(OLD.status, NEW.status) THEN
+        RAISE EXCEPTION 'ILLEGAL_TRANSITION:%:%', OLD.status, NEW.status;
+    END IF;
+
+    IF NEW.status = 'out_for_delivery' AND NEW.rider_id IS NULL THEN
+        RAISE EXCEPTION 'RIDER_REQUIRED';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
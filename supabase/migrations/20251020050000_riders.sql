@@ -0,0 +1,412 @@
+-- Riders and dispatch
+-- Every user with the rider role has a riders row with their shift, home outlet and current load
+-- (their offered and accepted orders). When an order becomes ready it is offered to the best
+-- available rider, who accepts or declines it; a declined order is offered to the next rider.
+
+CREATE TABLE IF NOT EXISTS riders (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    home_outlet_id UUID REFERENCES outlets(id) ON DELETE SET NULL,
+    on_shift BOOLEAN NOT NULL DEFAULT false,
+    shift_started_at TIMESTAMP WITH TIME ZONE,
+    -- Orders the rider has been offered or is carrying; kept in sync by rider_assignments_load_trigger
+    current_load INTEGER NOT NULL DEFAULT 0,
+    max_active_orders INTEGER NOT NULL DEFAULT 2 CHECK (max_active_orders BETWEEN 1 AND 10),
+    last_assigned_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable RLS for riders (no policies: service role only)
+ALTER TABLE riders ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_riders_on_shift ON riders(on_shift, home_outlet_id);
+
+CREATE TRIGGER riders_updated_at_trigger
+    BEFORE UPDATE ON riders
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
+
+-- Orders offered to riders and what became of each offer
+CREATE TABLE IF NOT EXISTS rider_assignments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    rider_id UUID NOT NULL REFERENCES riders(user_id) ON DELETE CASCADE,
+    -- withdrawn: the order was given to someone else, cancelled or the rider went off shift
+    status VARCHAR(20) NOT NULL DEFAULT 'offered'
+        CHECK (status IN ('offered', 'accepted', 'declined', 'withdrawn', 'completed')),
+    decline_reason TEXT,
+    offered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    responded_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Enable RLS for rider_assignments (no policies: service role only)
+ALTER TABLE rider_assignments ENABLE ROW LEVEL SECURITY;
+
+-- An order has at most one rider at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rider_assignments_open_order
+    ON rider_assignments(order_id) WHERE status IN ('offered', 'accepted');
+CREATE INDEX IF NOT EXISTS idx_rider_assignments_rider_id ON rider_assignments(rider_id, status, offered_at);
+
+-- Recount a rider's load whenever one of their assignments opens or closes
+CREATE OR REPLACE FUNCTION sync_rider_load()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE riders SET current_load = (
+        SELECT COUNT(*) FROM rider_assignments
+        WHERE rider_id = NEW.rider_id AND status IN ('offered', 'accepted')
+    )
+    WHERE user_id = NEW.rider_id;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER rider_assignments_load_trigger
+    AFTER INSERT OR UPDATE OF status ON rider_assignments
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_rider_load();
+
+-- Offer an order to a rider, withdrawing any earlier offer, and show the rider on the order
+CREATE OR REPLACE FUNCTION offer_order_to_rider(p_order_id UUID, p_rider_id UUID)
+RETURNS SETOF orders AS $$
+BEGIN
+    UPDATE rider_assignments SET status = 'withdrawn', responded_at = NOW()
+    WHERE order_id = p_order_id AND status IN ('offered', 'accepted');
+
+    INSERT INTO rider_assignments (order_id, rider_id) VALUES (p_order_id, p_rider_id);
+
+    UPDATE riders SET last_assigned_at = NOW() WHERE user_id = p_rider_id;
+
+    UPDATE orders SET
+        rider_id = p_rider_id,
+        rider_info = (SELECT jsonb_build_object('name', u.name, 'phone', u.phone) FROM users u WHERE u.id = p_rider_id),
+        updated_at = NOW()
+    WHERE id = p_order_id;
+
+    RETURN QUERY SELECT * FROM orders WHERE id = p_order_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Take an order back from its rider, so it can be offered to someone else
+CREATE OR REPLACE FUNCTION unassign_order_rider(p_order_id UUID, p_assignment_status VARCHAR)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE rider_assignments SET status = p_assignment_status, responded_at = NOW()
+    WHERE order_id = p_order_id AND status IN ('offered', 'accepted');
+
+    UPDATE orders SET rider_id = NULL, rider_info = NULL, updated_at = NOW() WHERE id = p_order_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Offer a ready order without a rider to the best available one: on shift, with room for another
+-- order and not having declined this one. Riders based at the order's outlet come first, then the
+-- least loaded, then whoever has waited longest for an order. Returns the rider, or NULL if nobody is free.
+CREATE OR REPLACE FUNCTION dispatch_order(p_order_id UUID)
+RETURNS UUID AS $$
+DECLARE
+    v_order orders%ROWTYPE;
+    v_rider_id UUID;
+BEGIN
+    SELECT * INTO v_order FROM orders WHERE id = p_order_id FOR UPDATE;
+
+    IF NOT FOUND OR v_order.status <> 'ready' OR v_order.rider_id IS NOT NULL THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT r.user_id INTO v_rider_id
+    FROM riders r
+    JOIN users u ON u.id = r.user_id
+    WHERE r.on_shift
+      AND u.role = 'rider'
+      AND r.current_load < r.max_active_orders
+      AND NOT EXISTS (
+          SELECT 1 FROM rider_assignments a
+          WHERE a.order_id = p_order_id AND a.rider_id = r.user_id AND a.status = 'declined'
+      )
+    ORDER BY
+        (r.home_outlet_id IS NOT DISTINCT FROM v_order.outlet_id) DESC,
+        r.current_load,
+        r.last_assigned_at NULLS FIRST
+    LIMIT 1
+    -- Riders being offered another order right now are skipped rather than waited for
+    FOR UPDATE OF r SKIP LOCKED;
+
+    IF v_rider_id IS NOT NULL THEN
+        PERFORM offer_order_to_rider(p_order_id, v_rider_id);
+    END IF;
+
+    RETURN v_rider_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Offer every ready order still waiting for a rider, oldest first; returns how many found one
+CREATE OR REPLACE FUNCTION dispatch_waiting_orders()
+RETURNS INTEGER AS $$
+DECLARE
+    v_order_id UUID;
+    v_dispatched INTEGER := 0;
+BEGIN
+    FOR v_order_id IN
+        SELECT id FROM orders WHERE status = 'ready' AND rider_id IS NULL ORDER BY created_at
+    LOOP
+        IF dispatch_order(v_order_id) IS NOT NULL THEN
+            v_dispatched := v_dispatched + 1;
+        END IF;
+    END LOOP;
+
+    RETURN v_dispatched;
+END;
+$$ LANGUAGE plpgsql;
+
+-- A rider accepts or declines an order they were offered; a declined order goes to the next rider
+CREATE OR REPLACE FUNCTION respond_to_assignment(
+    p_assignment_id UUID,
+    p_rider_id UUID,
+    p_accept BOOLEAN,
+    p_reason TEXT
+)
+RETURNS SETOF rider_assignments AS $$
+DECLARE
+    v_assignment rider_assignments%ROWTYPE;
+BEGIN
+    SELECT * INTO v_assignment FROM rider_assignments WHERE id = p_assignment_id AND rider_id = p_rider_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'ASSIGNMENT_NOT_FOUND';
+    END IF;
+
+    -- Lock the order before the assignment, in the same order dispatching does
+    PERFORM 1 FROM orders WHERE id = v_assignment.order_id FOR UPDATE;
+    SELECT * INTO v_assignment FROM rider_assignments WHERE id = p_assignment_id FOR UPDATE;
+
+    IF v_assignment.status <> 'offered' THEN
+        RAISE EXCEPTION 'ASSIGNMENT_CLOSED:%', v_assignment.status;
+    END IF;
+
+    IF p_accept THEN
+        UPDATE rider_assignments SET status = 'accepted', responded_at = NOW() WHERE id = p_assignment_id;
+    ELSE
+        UPDATE rider_assignments SET decline_reason = p_reason WHERE id = p_assignment_id;
+        PERFORM unassign_order_rider(v_assignment.order_id, 'declined');
+        PERFORM dispatch_order(v_assignment.order_id);
+    END IF;
+
+    RETURN QUERY SELECT * FROM rider_assignments WHERE id = p_assignment_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Start or end a rider's shift. Starting picks up orders waiting for a rider; ending hands the
+-- rider's unanswered offers to other riders (orders already accepted stay with them).
+CREATE OR REPLACE FUNCTION set_rider_shift(p_rider_id UUID, p_on_shift BOOLEAN)
+RETURNS SETOF riders AS $$
+DECLARE
+    v_order_id UUID;
+BEGIN
+    UPDATE riders SET
+        on_shift = p_on_shift,
+        shift_started_at = CASE
+            WHEN NOT p_on_shift THEN NULL
+            WHEN on_shift THEN shift_started_at
+            ELSE NOW()
+        END
+    WHERE user_id = p_rider_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'RIDER_NOT_FOUND';
+    END IF;
+
+    IF p_on_shift THEN
+        PERFORM dispatch_waiting_orders();
+    ELSE
+        FOR v_order_id IN
+            SELECT order_id FROM rider_assignments WHERE rider_id = p_rider_id AND status = 'offered'
+        LOOP
+            PERFORM unassign_order_rider(v_order_id, 'withdrawn');
+            PERFORM dispatch_order(v_order_id);
+        END LOOP;
+    END IF;
+
+    RETURN QUERY SELECT * FROM riders WHERE user_id = p_rider_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Give every rider a riders row, and take riders who lose the role off shift
+CREATE OR REPLACE FUNCTION sync_rider_role()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.role = 'rider' THEN
+        INSERT INTO riders (user_id) VALUES (NEW.id) ON CONFLICT (user_id) DO NOTHING;
+    ELSIF TG_OP = 'UPDATE' AND OLD.role = 'rider' AND EXISTS (SELECT 1 FROM riders WHERE user_id = NEW.id) THEN
+        PERFORM set_rider_shift(NEW.id, false);
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER users_rider_role_trigger
+    AFTER INSERT OR UPDATE OF role ON users
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_rider_role();
+
+INSERT INTO riders (user_id)
+SELECT id FROM users WHERE role = 'rider'
+ON CONFLICT (user_id) DO NOTHING;
+
+-- Orders leave the outlet only with a rider who has accepted them
+CREATE OR REPLACE FUNCTION guard_order_status()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status IS DISTINCT FROM OLD.status AND NOT is_order_transition_allowed(OLD.status, NEW.status) THEN
+        RAISE EXCEPTION 'ILLEGAL_TRANSITION:%:%', OLD.status, NEW.status;
+    END IF;
+
+    IF NEW.status = 'out_for_delivery' AND NOT EXISTS (
+        SELECT 1 FROM rider_assignments
+        WHERE order_id = NEW.id AND rider_id = NEW.rider_id AND status = 'accepted'
+    ) THEN
+        RAISE EXCEPTION 'RIDER_REQUIRED';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Dispatch orders as they become ready, and free their riders once they are delivered or cancelled
+CREATE OR REPLACE FUNCTION transition_order_status(
+    p_order_id UUID,
+    p_to_status VARCHAR,
+    p_changed_by UUID,
+    p_actor_role VARCHAR,
+    p_note TEXT
+)
+RETURNS SETOF orders AS $$
+DECLARE
+    v_from_status VARCHAR;
+BEGIN
+    SELECT status INTO v_from_status FROM orders WHERE id = p_order_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'ORDER_NOT_FOUND';
+    END IF;
+
+    IF NOT is_order_transition_allowed(v_from_status, p_to_status) THEN
+        RAISE EXCEPTION 'ILLEGAL_TRANSITION:%:%', v_from_status, p_to_status;
+    END IF;
+
+    UPDATE orders SET status = p_to_status, updated_at = NOW() WHERE id = p_order_id;
+
+    INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, actor_role, note)
+    VALUES (p_order_id, v_from_status, p_to_status, p_changed_by, p_actor_role, p_note);
+
+    IF p_to_status = 'ready' THEN
+        PERFORM dispatch_order(p_order_id);
+    END IF;
+
+    IF p_to_status = 'cancelled' THEN
+        PERFORM release_order_stock(p_order_id);
+        UPDATE rider_assignments SET status = 'withdrawn', responded_at = NOW()
+        WHERE order_id = p_order_id AND status IN ('offered', 'accepted');
+    END IF;
+
+    IF p_to_status = 'delivered' THEN
+        UPDATE rider_assignments SET status = 'completed', responded_at = NOW()
+        WHERE order_id = p_order_id AND status = 'accepted';
+    END IF;
+
+    IF p_to_status IN ('cancelled', 'delivered') THEN
+        PERFORM dispatch_waiting_orders();
+    END IF;
+
+    RETURN QUERY SELECT * FROM orders WHERE id = p_order_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Riders now come from dispatch, so orders are placed without one
+DROP FUNCTION IF EXISTS place_order(UUID, JSONB, JSONB, DECIMAL, DECIMAL, VARCHAR, TEXT, JSONB);
+
+-- Quote and place an order, reserve its stock and return it with its items and outlet
+CREATE OR REPLACE FUNCTION place_order(
+    p_user_id UUID,
+    p_items JSONB,
+    p_delivery_address JSONB,
+    p_delivery_lat DECIMAL,
+    p_delivery_lng DECIMAL,
+    p_payment_method VARCHAR,
+    p_notes TEXT
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_quote JSONB;
+    v_order_id UUID;
+BEGIN
+    v_quote := quote_order(p_items, p_delivery_lat, p_delivery_lng);
+
+    INSERT INTO orders (
+        user_id, outlet_id, total_amount, delivery_fee, payment_method, delivery_address,
+        delivery_lat, delivery_lng, estimated_delivery_time, notes, status
+    ) VALUES (
+        p_user_id,
+        (v_quote->'outlet'->>'id')::UUID,
+        (v_quote->>'total')::DECIMAL,
+        (v_quote->>'delivery_fee')::DECIMAL,
+        COALESCE(p_payment_method, 'cash'),
+        p_delivery_address,
+        p_delivery_lat,
+        p_delivery_lng,
+        (v_quote->>'estimated_delivery_time')::TIMESTAMP WITH TIME ZONE,
+        p_notes,
+        'pending'
+    )
+    RETURNING id INTO v_order_id;
+
+    INSERT INTO order_items (
+        order_id, product_id, variant_id, blend_id, blend_snapshot,
+        bottle_count, quantity_litres, unit_price, pricing_unit, subtotal
+    )
+    SELECT
+        v_order_id,
+        (l->>'product_id')::UUID,
+        (l->>'variant_id')::UUID,
+        (l->>'blend_id')::UUID,
+        NULLIF(l->'blend_snapshot', 'null'::JSONB),
+        (l->>'bottle_count')::INTEGER,
+        (l->>'quantity_litres')::DECIMAL,
+        (l->>'unit_price')::DECIMAL,
+        l->>'pricing_unit',
+        (l->>'subtotal')::DECIMAL
+    FROM jsonb_array_elements(v_quote->'items') l;
+
+    -- Raises OUT_OF_STOCK if another order took the stock first, undoing everything above
+    PERFORM reserve_order_stock(v_order_id);
+
+    RETURN (
+        SELECT to_jsonb(o) || jsonb_build_object(
+            'order_items', (
+                SELECT jsonb_agg(to_jsonb(i) || jsonb_build_object(
+                    'products', (SELECT to_jsonb(p) FROM products p WHERE p.id = i.product_id),
+                    'product_variants', (
+                        SELECT jsonb_build_object('sku', v.sku, 'size_label', v.size_label, 'volume_ml', v.volume_ml)
+                        FROM product_variants v WHERE v.id = i.variant_id
+                    )
+                ) ORDER BY i.created_at)
+                FROM order_items i WHERE i.order_id = o.id
+            ),
+            'outlets', (
+                SELECT jsonb_build_object('name', ol.name, 'address', ol.address, 'phone', ol.phone)
+                FROM outlets ol WHERE ol.id = o.outlet_id
+            )
+        )
+        FROM orders o WHERE o.id = v_order_id
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- These trust the rider and user IDs they are given, so only the API (service role) may call them
+REVOKE EXECUTE ON FUNCTION place_order(UUID, JSONB, JSONB, DECIMAL, DECIMAL, VARCHAR, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION offer_order_to_rider(UUID, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION unassign_order_rider(UUID, VARCHAR) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION dispatch_order(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION dispatch_waiting_orders() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION respond_to_assignment(UUID, UUID, BOOLEAN, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION set_rider_shift(UUID, BOOLEAN) FROM PUBLIC, anon, authenticated;
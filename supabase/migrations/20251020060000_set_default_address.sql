@@ -0,0 +1,23 @@
+-- Switch a user's default address in one transaction
+-- Only one address per user can be the default (idx_user_addresses_default), so the old default
+-- is cleared and the new one set together - a failure leaves the previous default in place.
+
+CREATE OR REPLACE FUNCTION set_default_address(p_user_id UUID, p_address_id UUID)
+RETURNS SETOF user_addresses AS $$
+BEGIN
+    UPDATE user_addresses SET is_default = false, updated_at = NOW()
+    WHERE user_id = p_user_id AND is_default AND id <> p_address_id;
+
+    UPDATE user_addresses SET is_default = true, updated_at = NOW()
+    WHERE id = p_address_id AND user_id = p_user_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'ADDRESS_NOT_FOUND';
+    END IF;
+
+    RETURN QUERY SELECT * FROM user_addresses WHERE id = p_address_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trusts the user ID it is given, so only the API (service role) may call it
+REVOKE EXECUTE ON FUNCTION set_default_address(UUID, UUID) FROM PUBLIC, anon, authenticated;
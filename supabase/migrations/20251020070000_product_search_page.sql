@@ -0,0 +1,72 @@
+-- Product search returns its page, the full match count and the spelling suggestion together
+-- The count no longer rides on the page rows, so pages past the end still report the total,
+-- and the suggestion is worked out once instead of in a second call.
+-- Highlights are HTML: product text is escaped before <mark> tags are added around matches.
+
+-- Escape text for use inside HTML
+CREATE OR REPLACE FUNCTION html_escape(p_text TEXT)
+RETURNS TEXT AS $$
+    SELECT replace(replace(replace(replace(replace(p_text,
+        '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;'), '''', '&#39;');
+$$ LANGUAGE sql IMMUTABLE;
+
+DROP FUNCTION IF EXISTS search_products(TEXT, TEXT[], INTEGER, INTEGER);
+
+-- Search available products, best match first
+-- p_exclude drops products whose allergens or ingredients contain any of the tags
+-- Pass p_limit NULL to get every match
+-- Returns { total, suggestion, matches: [{ product_id, relevance, name_highlight, description_highlight }] }
+CREATE OR REPLACE FUNCTION search_products(
+    p_query TEXT,
+    p_exclude TEXT[] DEFAULT '{}',
+    p_limit INTEGER DEFAULT 20,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_query TEXT := lower(trim(p_query));
+    v_suggestion TEXT := suggest_search_query(p_query);
+    -- Also match (and highlight) the spelling-corrected query
+    v_tsquery TSQUERY := websearch_to_tsquery('english', p_query) ||
+        websearch_to_tsquery('english', COALESCE(v_suggestion, ''));
+    v_result JSONB;
+BEGIN
+    WITH matches AS (
+        SELECT
+            p.id,
+            p.name,
+            p.description,
+            (ts_rank_cd(p.search_vector, v_tsquery) + word_similarity(v_query, p.search_text))::REAL AS score
+        FROM products p
+        WHERE p.is_available = true
+          AND (p.search_vector @@ v_tsquery OR word_similarity(v_query, p.search_text) >= 0.4)
+          AND NOT EXISTS (
+              SELECT 1 FROM unnest(p_exclude) AS tag
+              WHERE p.allergens ? tag OR p.ingredients ? tag
+          )
+    ),
+    page AS (
+        SELECT * FROM matches m
+        ORDER BY m.score DESC, m.name
+        LIMIT p_limit
+        OFFSET p_offset
+    )
+    SELECT jsonb_build_object(
+        'total', (SELECT COUNT(*) FROM matches),
+        'suggestion', v_suggestion,
+        'matches', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'product_id', pg.id,
+                'relevance', pg.score,
+                'name_highlight', ts_headline('english', html_escape(pg.name), v_tsquery,
+                    'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'),
+                'description_highlight', ts_headline('english', html_escape(COALESCE(pg.description, '')), v_tsquery,
+                    'StartSel=<mark>, StopSel=</mark>, MaxWords=20, MinWords=8')
+            ) ORDER BY pg.score DESC, pg.name)
+            FROM page pg
+        ), '[]'::JSONB)
+    ) INTO v_result;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql STABLE;
@@ -0,0 +1,103 @@
+-- Featured slot notifications go out when the slot goes live, not when it is created
+-- Slots scheduled for later are picked up by notify_live_featured_slots (run by the API every
+-- few minutes), and region-targeted slots only notify users served by an outlet in that region.
+
+ALTER TABLE featured_slots ADD COLUMN IF NOT EXISTS notified_at TIMESTAMP WITH TIME ZONE;
+
+-- Slots that were live before this migration were notified when they were created
+UPDATE featured_slots SET notified_at = created_at WHERE notified_at IS NULL AND starts_at <= NOW();
+
+CREATE INDEX IF NOT EXISTS idx_featured_slots_unnotified ON featured_slots(starts_at) WHERE notified_at IS NULL;
+
+DROP FUNCTION IF EXISTS notify_favorited_product(UUID, VARCHAR, VARCHAR, TEXT, UUID);
+
+-- Notify everyone who favorited a product, at most once a day per product and type
+-- With p_outlet_id or p_region set, only users served by that outlet or by an outlet in that
+-- region (or with no default address) are notified
+CREATE OR REPLACE FUNCTION notify_favorited_product(
+    p_product_id UUID,
+    p_type VARCHAR,
+    p_title VARCHAR,
+    p_body TEXT,
+    p_outlet_id UUID DEFAULT NULL,
+    p_region VARCHAR DEFAULT NULL
+)
+RETURNS VOID AS $$
+BEGIN
+    INSERT INTO notifications (user_id, type, title, body, data)
+    SELECT f.user_id, p_type, p_title, p_body,
+        jsonb_strip_nulls(jsonb_build_object('product_id', p_product_id, 'outlet_id', p_outlet_id))
+    FROM user_favorites f
+    LEFT JOIN user_addresses a ON a.user_id = f.user_id AND a.is_default = true
+    LEFT JOIN outlets o ON o.id = a.nearest_outlet_id
+    WHERE f.product_id = p_product_id
+      AND (p_outlet_id IS NULL OR a.id IS NULL OR a.nearest_outlet_id = p_outlet_id)
+      AND (p_region IS NULL OR a.id IS NULL OR lower(o.region) = lower(p_region))
+      AND NOT EXISTS (
+          SELECT 1 FROM notifications n
+          WHERE n.user_id = f.user_id
+            AND n.type = p_type
+            AND n.data->>'product_id' = p_product_id::TEXT
+            AND n.created_at > NOW() - INTERVAL '1 day'
+      );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Notify favorites of every live slot that hasn't notified yet; returns how many slots notified
+CREATE OR REPLACE FUNCTION notify_live_featured_slots()
+RETURNS INTEGER AS $$
+DECLARE
+    v_slot featured_slots%ROWTYPE;
+    v_name VARCHAR;
+    v_notified INTEGER := 0;
+BEGIN
+    FOR v_slot IN
+        SELECT * FROM featured_slots
+        WHERE notified_at IS NULL
+          AND is_active
+          AND starts_at <= NOW()
+          AND (ends_at IS NULL OR ends_at > NOW())
+        ORDER BY starts_at
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        UPDATE featured_slots SET notified_at = NOW() WHERE id = v_slot.id;
+
+        SELECT name INTO v_name FROM products WHERE id = v_slot.product_id AND is_available = true;
+
+        IF v_name IS NOT NULL THEN
+            PERFORM notify_favorited_product(
+                v_slot.product_id, 'promotion',
+                v_name || ' is featured',
+                'One of your favorites is in the spotlight today.',
+                v_slot.outlet_id,
+                v_slot.region
+            );
+        END IF;
+
+        v_notified := v_notified + 1;
+    END LOOP;
+
+    RETURN v_notified;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Slots that are live as soon as they are saved notify straight away
+CREATE OR REPLACE FUNCTION featured_slots_notify_favorites()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.notified_at IS NULL AND NEW.is_active AND NEW.starts_at <= NOW() THEN
+        PERFORM notify_live_featured_slots();
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS featured_slots_favorites_trigger ON featured_slots;
+
+CREATE TRIGGER featured_slots_favorites_trigger
+    AFTER INSERT OR UPDATE OF is_active, starts_at ON featured_slots
+    FOR EACH ROW
+    EXECUTE FUNCTION featured_slots_notify_favorites();
+
+REVOKE EXECUTE ON FUNCTION notify_live_featured_slots() FROM PUBLIC, anon, authenticated;
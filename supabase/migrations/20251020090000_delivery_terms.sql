@@ -0,0 +1,132 @@
+-- Delivery terms in one place
+-- The delivery radius, fee and time estimate are defined only here. Order quotes use them
+-- directly and the API reads them for a location through get_delivery_terms.
+
+-- Furthest an outlet delivers, in kilometres
+CREATE OR REPLACE FUNCTION max_delivery_distance_km()
+RETURNS DECIMAL AS $$
+    SELECT 20::DECIMAL;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Delivery fee for a distance: UGX 2000 plus UGX 2000 per started kilometre
+CREATE OR REPLACE FUNCTION calculate_delivery_fee(p_distance_km DECIMAL)
+RETURNS DECIMAL AS $$
+    SELECT 2000 + 2000 * CEIL(p_distance_km);
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Minutes to deliver over a distance: 30 minutes plus 10 per kilometre
+CREATE OR REPLACE FUNCTION estimate_delivery_minutes(p_distance_km DECIMAL)
+RETURNS DECIMAL AS $$
+    SELECT 30 + 10 * p_distance_km;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- The nearest active outlet to a location and what delivering from it costs
+-- Always returns one row; the outlet columns are null when there are no active outlets
+CREATE OR REPLACE FUNCTION get_delivery_terms(user_lat DECIMAL, user_lng DECIMAL)
+RETURNS TABLE(
+    outlet_id UUID,
+    outlet_name VARCHAR,
+    outlet_address TEXT,
+    distance_km DECIMAL,
+    delivery_available BOOLEAN,
+    max_delivery_distance_km DECIMAL,
+    delivery_fee DECIMAL,
+    estimated_delivery_minutes INTEGER
+) AS $$
+    SELECT
+        n.outlet_id,
+        n.outlet_name,
+        n.outlet_address,
+        n.distance_km,
+        COALESCE(n.distance_km <= max_delivery_distance_km(), false),
+        max_delivery_distance_km(),
+        calculate_delivery_fee(n.distance_km),
+        CEIL(estimate_delivery_minutes(n.distance_km))::INTEGER
+    FROM (SELECT 1) AS one
+    LEFT JOIN get_nearest_outlet(user_lat, user_lng) n ON true;
+$$ LANGUAGE sql STABLE;
+
+-- Nearest active outlet within the delivery radius that has every item in stock
+-- p_items: [{"product_id": "...", "quantity_litres": 1.5}, ...]
+CREATE OR REPLACE FUNCTION get_nearest_outlet_with_stock(user_lat DECIMAL, user_lng DECIMAL, p_items JSONB)
+RETURNS TABLE(
+    outlet_id UUID,
+    outlet_name VARCHAR,
+    outlet_address TEXT,
+    distance_km DECIMAL
+) AS $$
+BEGIN
+    RETURN QUERY
+    WITH needed AS (
+        SELECT (item->>'product_id')::UUID AS product_id,
+               SUM((item->>'quantity_litres')::DECIMAL) AS quantity_litres
+        FROM jsonb_array_elements(p_items) AS item
+        GROUP BY 1
+    )
+    SELECT
+        o.id,
+        o.name,
+        o.address,
+        calculate_distance(user_lat, user_lng, o.lat, o.lng) AS distance
+    FROM outlets o
+    WHERE o.is_active = true
+      AND calculate_distance(user_lat, user_lng, o.lat, o.lng) <= max_delivery_distance_km()
+      AND NOT EXISTS (
+          SELECT 1 FROM needed n
+          LEFT JOIN outlet_stock s ON s.outlet_id = o.id AND s.product_id = n.product_id
+          WHERE COALESCE(s.quantity_litres, 0) < n.quantity_litres
+      )
+    ORDER BY distance
+    LIMIT 1;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Work out what an order would cost: priced items, the nearest outlet within the delivery
+-- radius that has every product in stock, and its delivery fee
+CREATE OR REPLACE FUNCTION quote_order(p_items JSONB, p_delivery_lat DECIMAL, p_delivery_lng DECIMAL)
+RETURNS JSONB AS $$
+DECLARE
+    v_lines JSONB;
+    v_nearest_km DECIMAL;
+    v_outlet RECORD;
+    v_subtotal DECIMAL;
+    v_delivery_fee DECIMAL;
+BEGIN
+    v_lines := price_order_items(p_items);
+
+    SELECT n.distance_km INTO v_nearest_km FROM get_nearest_outlet(p_delivery_lat, p_delivery_lng) n;
+
+    IF v_nearest_km IS NULL OR v_nearest_km > max_delivery_distance_km() THEN
+        RAISE EXCEPTION 'NO_OUTLET';
+    END IF;
+
+    -- Blends are made from fresh ingredients, not outlet stock
+    SELECT * INTO v_outlet
+    FROM get_nearest_outlet_with_stock(p_delivery_lat, p_delivery_lng, COALESCE(
+        (SELECT jsonb_agg(jsonb_build_object('product_id', l->'product_id', 'quantity_litres', l->'quantity_litres'))
+         FROM jsonb_array_elements(v_lines) l
+         WHERE l->>'product_id' IS NOT NULL),
+        '[]'
+    ));
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'OUT_OF_STOCK';
+    END IF;
+
+    SELECT COALESCE(SUM((l->>'subtotal')::DECIMAL), 0) INTO v_subtotal FROM jsonb_array_elements(v_lines) l;
+    v_delivery_fee := calculate_delivery_fee(v_outlet.distance_km);
+
+    RETURN jsonb_build_object(
+        'items', v_lines,
+        'subtotal', v_subtotal,
+        'delivery_fee', v_delivery_fee,
+        'total', v_subtotal + v_delivery_fee,
+        'outlet', jsonb_build_object(
+            'id', v_outlet.outlet_id,
+            'name', v_outlet.outlet_name,
+            'distance_km', v_outlet.distance_km
+        ),
+        'estimated_delivery_time', NOW() + estimate_delivery_minutes(v_outlet.distance_km) * INTERVAL '1 minute'
+    );
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,61 @@
+-- Let callers limit which statuses an order may be moved from
+-- Customers may only cancel from some statuses. Checking that against a status read before
+-- the change races with staff moving the order on, so the check now happens here, under the
+-- same row lock as the change itself.
+
+DROP FUNCTION IF EXISTS transition_order_status(UUID, VARCHAR, UUID, VARCHAR, TEXT);
+
+-- Dispatch orders as they become ready, and free their riders once they are delivered or cancelled
+-- p_allowed_from: statuses the caller may move the order from, or NULL for any
+CREATE OR REPLACE FUNCTION transition_order_status(
+    p_order_id UUID,
+    p_to_status VARCHAR,
+    p_changed_by UUID,
+    p_actor_role VARCHAR,
+    p_note TEXT,
+    p_allowed_from VARCHAR[] DEFAULT NULL
+)
+RETURNS SETOF orders AS $$
+DECLARE
+    v_from_status VARCHAR;
+BEGIN
+    SELECT status INTO v_from_status FROM orders WHERE id = p_order_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'ORDER_NOT_FOUND';
+    END IF;
+
+    IF NOT is_order_transition_allowed(v_from_status, p_to_status)
+       OR (p_allowed_from IS NOT NULL AND NOT v_from_status = ANY(p_allowed_from)) THEN
+        RAISE EXCEPTION 'ILLEGAL_TRANSITION:%:%', v_from_status, p_to_status;
+    END IF;
+
+    UPDATE orders SET status = p_to_status, updated_at = NOW() WHERE id = p_order_id;
+
+    INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, actor_role, note)
+    VALUES (p_order_id, v_from_status, p_to_status, p_changed_by, p_actor_role, p_note);
+
+    IF p_to_status = 'ready' THEN
+        PERFORM dispatch_order(p_order_id);
+    END IF;
+
+    IF p_to_status = 'cancelled' THEN
+        PERFORM release_order_stock(p_order_id);
+        UPDATE rider_assignments SET status = 'withdrawn', responded_at = NOW()
+        WHERE order_id = p_order_id AND status IN ('offered', 'accepted');
+    END IF;
+
+    IF p_to_status = 'delivered' THEN
+        UPDATE rider_assignments SET status = 'completed', responded_at = NOW()
+        WHERE order_id = p_order_id AND status = 'accepted';
+    END IF;
+
+    IF p_to_status IN ('cancelled', 'delivered') THEN
+        PERFORM dispatch_waiting_orders();
+    END IF;
+
+    RETURN QUERY SELECT * FROM orders WHERE id = p_order_id;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION transition_order_status(UUID, VARCHAR, UUID, VARCHAR, TEXT, VARCHAR[]) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,51 @@
+-- Only offer orders to riders who can take them
+-- Outlet staff choosing a rider went straight to offer_order_to_rider, so riders off shift or
+-- already at max_active_orders could be handed more work. The check now happens here, under
+-- the rider's row lock, for dispatch and manual offers alike.
+--
+-- New typed failures:
+--   RIDER_NOT_FOUND     there's no rider record for p_rider_id
+--   RIDER_OFF_SHIFT     the rider isn't on shift
+--   RIDER_AT_CAPACITY   the rider already holds max_active_orders other orders
+
+-- Offer an order to a rider, taking it back from anyone it was offered to before
+CREATE OR REPLACE FUNCTION offer_order_to_rider(p_order_id UUID, p_rider_id UUID)
+RETURNS SETOF orders AS $$
+DECLARE
+    v_rider riders%ROWTYPE;
+    v_other_orders INTEGER;
+BEGIN
+    SELECT * INTO v_rider FROM riders WHERE user_id = p_rider_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'RIDER_NOT_FOUND';
+    END IF;
+
+    IF NOT v_rider.on_shift THEN
+        RAISE EXCEPTION 'RIDER_OFF_SHIFT';
+    END IF;
+
+    -- Offering the rider an order they already hold doesn't add to their load
+    SELECT COUNT(*) INTO v_other_orders FROM rider_assignments
+    WHERE rider_id = p_rider_id AND order_id <> p_order_id AND status IN ('offered', 'accepted');
+
+    IF v_other_orders >= v_rider.max_active_orders THEN
+        RAISE EXCEPTION 'RIDER_AT_CAPACITY';
+    END IF;
+
+    UPDATE rider_assignments SET status = 'withdrawn', responded_at = NOW()
+    WHERE order_id = p_order_id AND status IN ('offered', 'accepted');
+
+    INSERT INTO rider_assignments (order_id, rider_id) VALUES (p_order_id, p_rider_id);
+
+    UPDATE riders SET last_assigned_at = NOW() WHERE user_id = p_rider_id;
+
+    UPDATE orders SET
+        rider_id = p_rider_id,
+        rider_info = (SELECT jsonb_build_object('name', u.name, 'phone', u.phone) FROM users u WHERE u.id = p_rider_id),
+        updated_at = NOW()
+    WHERE id = p_order_id;
+
+    RETURN QUERY SELECT * FROM orders WHERE id = p_order_id;
+END;
+$$ LANGUAGE plpgsql;
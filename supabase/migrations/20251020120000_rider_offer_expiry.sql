@@ -0,0 +1,41 @@
+-- Offers riders don't answer in time go to the next rider
+-- An unanswered offer used to hold the order, and count towards the rider's load, until the
+-- rider answered it. expire_rider_offers (run by the API every minute) treats offers older
+-- than p_max_age as declined, so dispatch skips that rider for the order, and offers the
+-- order again.
+
+CREATE OR REPLACE FUNCTION expire_rider_offers(p_max_age INTERVAL)
+RETURNS INTEGER AS $$
+DECLARE
+    v_assignment rider_assignments%ROWTYPE;
+    v_expired INTEGER := 0;
+BEGIN
+    FOR v_assignment IN
+        SELECT * FROM rider_assignments
+        WHERE status = 'offered' AND offered_at < NOW() - p_max_age
+        ORDER BY offered_at
+    LOOP
+        -- Lock the order before the assignment, in the same order dispatching does
+        PERFORM 1 FROM orders WHERE id = v_assignment.order_id FOR UPDATE;
+        PERFORM 1 FROM rider_assignments WHERE id = v_assignment.id AND status = 'offered' FOR UPDATE;
+
+        -- The rider answered while we were waiting for the lock
+        IF NOT FOUND THEN
+            CONTINUE;
+        END IF;
+
+        UPDATE rider_assignments SET decline_reason = 'Offer expired' WHERE id = v_assignment.id;
+        PERFORM unassign_order_rider(v_assignment.order_id, 'declined');
+        PERFORM dispatch_order(v_assignment.order_id);
+
+        v_expired := v_expired + 1;
+    END LOOP;
+
+    -- Riders freed above may have room for orders that were already waiting
+    PERFORM dispatch_waiting_orders();
+
+    RETURN v_expired;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION expire_rider_offers(INTERVAL) FROM PUBLIC, anon, authenticated;
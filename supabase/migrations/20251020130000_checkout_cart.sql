@@ -0,0 +1,42 @@
+-- Cart checkout in one transaction
+-- Checkout used to place the order and then empty the cart in a second request, so a failed
+-- clear left an order placed and the cart still full. checkout_cart places the order and
+-- removes the lines that went into it together: both happen or neither does.
+
+-- Place an order for a cart's lines and remove those lines from the cart
+-- p_item_ids: the cart lines p_items was built from; lines added since are kept
+CREATE OR REPLACE FUNCTION checkout_cart(
+    p_cart_id UUID,
+    p_item_ids UUID[],
+    p_user_id UUID,
+    p_items JSONB,
+    p_delivery_address JSONB,
+    p_delivery_lat DECIMAL,
+    p_delivery_lng DECIMAL,
+    p_payment_method VARCHAR,
+    p_notes TEXT
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_order JSONB;
+BEGIN
+    -- A second checkout of the same cart waits for this one
+    PERFORM 1 FROM carts WHERE id = p_cart_id AND user_id = p_user_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'CART_NOT_FOUND';
+    END IF;
+
+    v_order := place_order(
+        p_user_id, p_items, p_delivery_address, p_delivery_lat, p_delivery_lng, p_payment_method, p_notes
+    );
+
+    DELETE FROM cart_items WHERE cart_id = p_cart_id AND id = ANY(p_item_ids);
+    UPDATE carts SET notes = NULL WHERE id = p_cart_id;
+
+    RETURN v_order;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trusts the user ID it is given, so only the API (service role) may call it
+REVOKE EXECUTE ON FUNCTION checkout_cart(UUID, UUID[], UUID, JSONB, JSONB, DECIMAL, DECIMAL, VARCHAR, TEXT) FROM PUBLIC, anon, authenticated;